@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+// Command-line entry point for headless analysis runs (e.g. in CI pipelines)
+const path = require('path');
+const fs = require('fs').promises;
+const dotenv = require('dotenv');
+const { performAIAnalysis } = require('./src/ai-analysis');
+const { getProvider, listProviders } = require('./src/ai-providers');
+const { getFlowsData } = require('./src/flow-retrieval');
+const { loadFlowsFromDirectory, loadFlowsFromZip } = require('./src/local-source');
+const { lintFlows, SEVERITY_LEVELS } = require('./src/rule-engine');
+const { renderMarkdownReport } = require('./src/reports');
+
+dotenv.config();
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_FINDINGS = 1;
+const EXIT_ERROR = 2;
+
+const USAGE = `Usage: flow-analyzer analyze [options]
+
+Flow sources (pick one):
+  --source <path>         Local SFDX project directory or zip archive
+  --flows <file>          JSON file exported from /api/flows/export
+  --instance-url <url>    Salesforce instance URL (or SF_INSTANCE_URL)
+  --access-token <token>  Salesforce access token (or SF_ACCESS_TOKEN)
+
+Options:
+  --provider <name>       AI provider: ${listProviders().map(provider => provider.id).join(', ')} (omit to skip AI analysis)
+  --api-key <key>         AI provider API key (or ${listProviders().map(provider => provider.apiKeyVariable).join(' / ')})
+  --model <name>          Model to use instead of the provider default (or <PREFIX>_MODEL, e.g. OPENAI_MODEL)
+  --base-url <url>        API base URL, e.g. http://localhost:11434/v1 for a local
+                          Ollama server with --provider custom (or CUSTOM_AI_BASE_URL)
+  --format <format>       json or markdown (default: from --out extension, else markdown)
+  --out <file>            Write the report to a file instead of stdout
+  --fail-on <severity>    Exit with code ${EXIT_FINDINGS} when findings at or above this severity exist:
+                          ${[...SEVERITY_LEVELS].reverse().join(', ')}, none (default: error)
+  -h, --help              Show this help
+`;
+
+function parseArgs(argv) {
+    const options = { command: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg.startsWith('--')) {
+            const [rawName, inlineValue] = arg.slice(2).split(/=(.*)/s);
+            const name = rawName.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+            if (inlineValue !== undefined) {
+                options[name] = inlineValue;
+            } else if (i + 1 < argv.length) {
+                options[name] = argv[++i];
+            } else {
+                throw new Error(`Missing value for --${rawName}`);
+            }
+        } else if (!options.command) {
+            options.command = arg;
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+async function loadFlows(options) {
+    if (options.source) {
+        if (options.source.endsWith('.zip')) {
+            const buffer = await fs.readFile(options.source);
+            return loadFlowsFromZip(buffer, path.basename(options.source));
+        }
+        return loadFlowsFromDirectory(options.source);
+    }
+
+    if (options.flows) {
+        const flowsData = JSON.parse(await fs.readFile(options.flows, 'utf8'));
+        if (!Array.isArray(flowsData.flows)) {
+            throw new Error(`${options.flows} does not contain a "flows" array`);
+        }
+        return flowsData;
+    }
+
+    const instanceUrl = options.instanceUrl || process.env.SF_INSTANCE_URL;
+    const accessToken = options.accessToken || process.env.SF_ACCESS_TOKEN;
+    if (instanceUrl && accessToken) {
+        return getFlowsData({ instanceUrl, accessToken });
+    }
+
+    throw new Error('No flow source given. Use --source, --flows or --instance-url with --access-token.');
+}
+
+function resolveFormat(options) {
+    if (options.format) {
+        const format = options.format.toLowerCase();
+        if (format === 'md') return 'markdown';
+        if (!['json', 'markdown'].includes(format)) {
+            throw new Error(`Unsupported format: ${options.format}`);
+        }
+        return format;
+    }
+    return options.out && options.out.endsWith('.json') ? 'json' : 'markdown';
+}
+
+// Number of findings at or above the chosen severity
+function countBlockingFindings(lintResult, failOn) {
+    if (failOn === 'none') return 0;
+
+    const threshold = SEVERITY_LEVELS.indexOf(failOn);
+    if (threshold === -1) {
+        throw new Error(`Unsupported severity for --fail-on: ${failOn}`);
+    }
+    return lintResult.findings.filter(f => SEVERITY_LEVELS.indexOf(f.severity) >= threshold).length;
+}
+
+async function analyze(options) {
+    const format = resolveFormat(options);
+    const failOn = options.failOn || 'error';
+
+    const flowsData = await loadFlows(options);
+    console.error(`📊 Loaded ${flowsData.flows.length} flows from ${flowsData.metadata?.source || 'source'}`);
+
+    const lintResult = lintFlows(flowsData);
+    console.error(`✅ Best-practice checks: ${lintResult.summary.totalFindings} findings`);
+
+    let analysisResult = null;
+    if (options.provider) {
+        const provider = getProvider(options.provider.toLowerCase());
+        const keyVariable = `${provider.envPrefix}_API_KEY`;
+
+        const apiKey = options.apiKey || process.env[keyVariable];
+        if (!apiKey && provider.requiresApiKey) {
+            throw new Error(`Missing API key. Use --api-key or set ${keyVariable}.`);
+        }
+
+        console.error(`🤖 Starting AI analysis with provider: ${provider.id}`);
+        analysisResult = await performAIAnalysis(provider.id, apiKey, flowsData, {
+            model: options.model,
+            baseUrl: options.baseUrl
+        });
+    }
+
+    const report = format === 'json' ?
+        JSON.stringify({ metadata: flowsData.metadata, lint: lintResult, analysis: analysisResult }, null, 2) :
+        renderMarkdownReport({ flowsData, lintResult, analysisResult });
+
+    if (options.out) {
+        await fs.writeFile(options.out, report + '\n');
+        console.error(`📝 Report written to ${options.out}`);
+    } else {
+        process.stdout.write(report + '\n');
+    }
+
+    const blocking = countBlockingFindings(lintResult, failOn);
+    if (blocking > 0) {
+        console.error(`❌ ${blocking} findings at or above "${failOn}" severity`);
+        return EXIT_FINDINGS;
+    }
+    return EXIT_OK;
+}
+
+async function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(`Error: ${error.message}\n\n${USAGE}`);
+        return EXIT_ERROR;
+    }
+
+    if (options.help || !options.command) {
+        process.stderr.write(USAGE);
+        return options.help ? EXIT_OK : EXIT_ERROR;
+    }
+
+    if (options.command !== 'analyze') {
+        console.error(`Unknown command: ${options.command}\n\n${USAGE}`);
+        return EXIT_ERROR;
+    }
+
+    try {
+        return await analyze(options);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        return EXIT_ERROR;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { main, parseArgs };
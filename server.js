@@ -4,8 +4,28 @@ const path = require('path');
 const dotenv = require('dotenv');
 const jsforce = require('jsforce');
 const fs = require('fs').promises;
-const fetch = require('node-fetch');
-const axios = require('axios');
+const { callProvider, getProvider, listProviders } = require('./src/ai-providers');
+const { summarizeFlowsForChat } = require('./src/ai-analysis');
+const { getFlowsData, parseFlowFilters, filterFlowsData, getFlowVersions, getFlowVersion } = require('./src/flow-retrieval');
+const { lintFlows } = require('./src/rule-engine');
+const { buildDependencyGraph, toDot, toMermaid } = require('./src/dependency-graph');
+const { buildTriggerOrderReport } = require('./src/trigger-order');
+const { buildFlowDiagram, toMermaid: flowDiagramToMermaid, toSvg } = require('./src/flow-diagram');
+const { diffFlowVersions } = require('./src/flow-diff');
+const { compareFlowSets } = require('./src/org-compare');
+const { renderComparisonReport, ANALYSIS_REPORT_FORMATS } = require('./src/reports');
+const { loadFlowsFromDirectory, loadFlowsFromZip } = require('./src/local-source');
+const { SessionDataStore, createSessionMiddleware, createSessionDataStore } = require('./src/session-store');
+const { SessionExpiredError } = require('./src/salesforce-auth');
+const { createJobQueue, getOwnerId, summarizeJob } = require('./src/job-queue');
+const { createAnalysisHistory, compareRuns, hashFlowSet } = require('./src/analysis-history');
+const { createFlowSnapshotStore } = require('./src/flow-snapshot');
+const { INVENTORY_SHEETS, buildFlowInventory, renderInventoryCsv, renderInventoryXlsx } = require('./src/flow-inventory');
+const { getWrittenObjects, buildValidationRuleReport, getValidationRules } = require('./src/validation-rules');
+const { searchFieldUsage } = require('./src/field-usage');
+const { buildGovernorLimitReport } = require('./src/governor-limits');
+const { buildFlowMetricsReport } = require('./src/flow-metrics');
+const { getWorkflowRules, buildMigrationReport } = require('./src/migration-readiness');
 
 // Load environment variables
 dotenv.config();
@@ -13,1254 +33,230 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Base directory local project paths are read from. Unset, the server reads no local
+// directories at all: on a hosted deployment any visitor could otherwise make it walk and
+// parse its whole filesystem. Zip uploads work either way.
+const LOCAL_SOURCE_DIR = process.env.LOCAL_SOURCE_DIR ? path.resolve(process.env.LOCAL_SOURCE_DIR) : null;
+
+// Zip uploads need a signed-in org or a loaded local source, unless ANONYMOUS_UPLOADS=true lets
+// visitors start from an upload (offline mode on a self-hosted analyzer)
+const ANONYMOUS_UPLOADS = process.env.ANONYMOUS_UPLOADS === 'true';
+
+// Flow versions retrieved per org, so later retrievals only fetch modified flows
+const flowSnapshots = createFlowSnapshotStore();
+
+// Past analysis runs and per-flow results, per org, reused for unchanged flows
+const analysisHistory = createAnalysisHistory();
+
+// Flows of loaded local sources, by session ID; the session only holds their metadata
+const sessionData = createSessionDataStore();
+const LOCAL_FLOWS = 'localFlows';
+const COMPARISON_FLOWS = 'comparisonFlows';
+
+// AI keys for follow-up chat, by session ID, in memory only: sessions (and session data) may be
+// written to disk, keys never are
+const sessionSecrets = new SessionDataStore();
+const AI_API_KEY = 'aiApiKey';
+
+// Long AI analyses run as background jobs shared by all users of this process
+const jobQueue = createJobQueue(analysisHistory);
+
+// Render (and most hosts) terminate TLS at a proxy; needed for secure session cookies
+app.set('trust proxy', 1);
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 app.use(express.static('public'));
+app.use(createSessionMiddleware());
+
+// Per-user state is kept in the session (req.session):
+//   connectionInfo   - Salesforce OAuth tokens and user info
+//   aiContext        - AI provider, flow summary and last analysis for follow-up chat; the
+//                      API key is in sessionSecrets as AI_API_KEY
+//   tempCredentials  - Connected App credentials entered in the UI, until the OAuth callback
+//   localSource      - { metadata, flowSetHash } of the flows loaded from a local SFDX project or
+//                      uploaded zip (offline mode); the flows are in sessionData as LOCAL_FLOWS
+//   comparisonSource - org ({ type: 'org', connectionInfo }) or local source
+//                      ({ type: 'local', metadata }, flows in sessionData as COMPARISON_FLOWS)
+//                      the main source is compared against
+
+function getConnectionInfo(req) {
+    return req.session.connectionInfo || {};
+}
 
-// Store connection info temporarily (in production, use proper session management)
-let connectionInfo = {};
-
-// Store AI conversation context
-let aiContext = {
-    provider: null,
-    apiKey: null,
-    flowsData: null,
-    analysisResult: null
-};
-
-// Store temporary OAuth credentials per session
-let tempCredentials = {};
-
-// AI Analysis Prompt
-const AI_ANALYSIS_PROMPT = `You are a Salesforce Flow Analyst. Analyze ALL the provided flows and provide:
-
-## Global overview of the selected flows
-Write a 100-150 word overview of the global flow architecture.
-
-## Potential Risks  
-Identify risks like infinite loops, governor limits, data integrity issues.
-
-## Global Improvements on the selected flows
-List improvement opportunities with benefits and implementation steps.
-
-## Individual Flow Analysis
-IMPORTANT: Analyze EVERY SINGLE flow provided. Do not skip any flows due to length constraints.
-For each flow:
-### [Flow Name]
-**Business Description:** 100-150 word description in simple terms a 12-year-old could understand
-**Improvement Opportunities:** Specific improvements with benefits and implementation guidance
-
-Requirements:
-- MUST analyze every single flow provided - no exceptions
-- Use simple language, avoid technical jargon
-- Focus on high-impact improvements only
-- Be specific about implementation (element names, when to call, etc.)
-- Make recommendations actionable for Salesforce admins
-- Use analogies for business descriptions
-- If you encounter length limits, prioritize individual flow analysis over other sections
-
-Flow data:
-`;
-
-// AI Service Functions
-async function callOpenAI(apiKey, prompt) {
-    const response = await axios.post('https://api.openai.com/v1/chat/completions', {
-        model: 'gpt-4o',
-        messages: [
-            {
-                role: 'user',
-                content: prompt
-            }
-        ],
-        max_tokens: 8000,
-        temperature: 0.7
-    }, {
-        headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json'
-        }
-    });
-    
-    return response.data.choices[0].message.content;
+async function getAIContext(req) {
+    return { ...req.session.aiContext, apiKey: await sessionSecrets.get(req.sessionID, AI_API_KEY) };
 }
 
-async function callClaude(apiKey, prompt, retryCount = 0) {
-    try {
-        console.log(`Claude API call - Prompt length: ${prompt.length} characters`);
-        
-        const response = await axios.post('https://api.anthropic.com/v1/messages', {
-            model: 'claude-3-5-sonnet-20241022',
-            max_tokens: 8000,
-            temperature: 0.3,
-            messages: [
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ]
-        }, {
-            headers: {
-                'x-api-key': apiKey,
-                'Content-Type': 'application/json',
-                'anthropic-version': '2023-06-01'
-            },
-            timeout: 120000 // 2 minute timeout
-        });
-        
-        return response.data.content[0].text;
-    } catch (error) {
-        console.log(`Claude API error: ${error.response?.status} - ${error.response?.data?.error?.message || error.message}`);
-        console.log(`Request payload size: ${prompt.length} characters`);
-        
-        // Retry on 529 (overloaded) errors with more aggressive backoff
-        if (error.response?.status === 529 && retryCount < 4) {
-            const waitTime = Math.pow(2, retryCount) * 3000; // 3s, 6s, 12s, 24s exponential backoff
-            console.log(`Claude API overloaded, retrying in ${waitTime}ms (attempt ${retryCount + 1}/5)`);
-            await new Promise(resolve => setTimeout(resolve, waitTime));
-            return callClaude(apiKey, prompt, retryCount + 1);
-        }
-        throw error;
-    }
+// Context for follow-up chat: everything but the API key goes into the session
+async function storeAIContext(req, { apiKey, ...aiContext }) {
+    await sessionSecrets.set(req.sessionID, AI_API_KEY, apiKey);
+    req.session.aiContext = aiContext;
 }
 
-async function callMistral(apiKey, prompt) {
-    const response = await axios.post('https://api.mistral.ai/v1/chat/completions', {
-        model: 'mistral-large-latest',
-        messages: [
-            {
-                role: 'user',
-                content: prompt
-            }
-        ],
-        max_tokens: 8000,
-        temperature: 0.7
-    }, {
-        headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json'
-        }
-    });
-    
-    return response.data.choices[0].message.content;
+// The access token was rejected and could not be refreshed: drop the connection
+// and tell the browser to sign in again
+function sendSessionExpired(req, res, error) {
+    req.session.connectionInfo = {};
+    res.status(401).json({ error: error.message, code: error.code });
 }
 
-async function callGemini(apiKey, prompt) {
-    // Validate API key format
-    if (!apiKey || !apiKey.startsWith('AIza')) {
-        throw new Error('Invalid Gemini API key format. Key should start with "AIza". Get a valid key from Google AI Studio (makersuite.google.com).');
-    }
-    
-    try {
-        const response = await axios.post(`https://generativelanguage.googleapis.com/v1/models/gemini-1.5-flash:generateContent?key=${apiKey}`, {
-            contents: [{
-                parts: [{
-                    text: prompt
-                }]
-            }],
-            generationConfig: {
-                temperature: 0.7,
-                maxOutputTokens: 8000
-            }
-        }, {
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            timeout: 60000 // 60 second timeout
-        });
-        
-        if (!response.data?.candidates?.[0]?.content?.parts?.[0]?.text) {
-            throw new Error('Invalid response format from Gemini API');
-        }
-        
-        return response.data.candidates[0].content.parts[0].text;
-        
-    } catch (error) {
-        if (error.response?.status === 404) {
-            throw new Error('Gemini API endpoint not found. Please check your API key and ensure you have access to Gemini API. Get a valid key from Google AI Studio (makersuite.google.com).');
-        } else if (error.response?.status === 403) {
-            throw new Error('Gemini API access denied. Check your API key permissions and billing setup in Google AI Studio.');
-        } else if (error.response?.status === 429) {
-            throw new Error('Gemini API rate limit exceeded. Please wait a moment and try again.');
-        } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-            throw new Error('Network error connecting to Gemini API. Please check your internet connection.');
-        }
-        
-        // Re-throw the original error with additional context
-        throw new Error(`Gemini API error: ${error.message}`);
-    }
+// OAuth state prefix for signing in to the comparison org instead of the main one
+const COMPARE_STATE_PREFIX = 'salesforce-flow-analyzer-compare';
+
+// True when flows can be served, either from a connected org or a local source
+function hasFlowSource(req) {
+    return !!getConnectionInfo(req).accessToken || !!req.session.localSource;
 }
 
-function compressFlowData(flowsData) {
-    // Create a simplified version of the flow data for AI analysis
-    const compressed = {
-        metadata: flowsData.metadata,
-        flows: flowsData.flows.map(flow => ({
-            Id: flow.Id,
-            FullName: flow.FullName,
-            MasterLabel: flow.MasterLabel,
-            Status: flow.Status,
-            ProcessType: flow.ProcessType,
-            Description: flow.Metadata?.description || '',
-            // Include key metadata elements but remove verbose details
-            Elements: {
-                assignments: flow.Metadata?.assignments?.length || 0,
-                decisions: flow.Metadata?.decisions?.length || 0,
-                recordCreates: flow.Metadata?.recordCreates?.length || 0,
-                recordUpdates: flow.Metadata?.recordUpdates?.length || 0,
-                recordLookups: flow.Metadata?.recordLookups?.length || 0,
-                actionCalls: flow.Metadata?.actionCalls?.length || 0,
-                loops: flow.Metadata?.loops?.length || 0,
-                formulas: flow.Metadata?.formulas?.length || 0
-            },
-            // Include trigger information if available
-            Triggers: flow.Metadata?.start ? {
-                type: flow.Metadata.start.triggerType,
-                object: flow.Metadata.start.object,
-                conditions: flow.Metadata.start.filterLogic ? 'Has conditions' : 'No conditions'
-            } : null,
-            // Include key formulas/logic summaries
-            FormulaCount: flow.Metadata?.formulas?.length || 0,
-            VariableCount: flow.Metadata?.variables?.length || 0,
-            TriggerOrder: flow.TriggerOrder,
-            ApiVersion: flow.ApiVersion,
-            LastModifiedDate: flow.LastModifiedDate
-        }))
+// Org the analysis history is filed under: the connected org's ID, or for a local source the
+// session owner and the flows it holds. Anyone signed in to the same org on this server shares
+// its history; local sources are named by the client, so their history stays with the session.
+function getHistoryOrg(req) {
+    const { localSource } = req.session;
+    if (localSource) {
+        return {
+            id: `local:${getOwnerId(req.sessionID)}:${localSource.flowSetHash}`,
+            label: `${localSource.metadata.orgAlias} (local source)`
+        };
+    }
+
+    const { instanceUrl, userInfo } = getConnectionInfo(req);
+    return {
+        id: `org:${userInfo?.organizationId || instanceUrl}`,
+        label: instanceUrl.replace('https://', '').split('.')[0]
     };
-    
-    return compressed;
 }
 
-function createBalancedFlowData(flowsData) {
-    // Create a balanced version that preserves key details for analysis quality
-    // while staying under API limits
-    const balanced = {
-        metadata: {
-            totalFlows: flowsData.metadata.totalFlows,
-            orgAlias: flowsData.metadata.orgAlias,
-            orgUsername: flowsData.metadata.orgUsername
-        },
-        flows: flowsData.flows.map(flow => ({
-            // Basic info
-            id: flow.Id,
-            name: flow.MasterLabel || flow.FullName,
-            fullName: flow.FullName,
-            type: flow.ProcessType,
-            status: flow.Status,
-            description: flow.Metadata?.description || '',
-            apiVersion: flow.ApiVersion,
-            lastModified: flow.LastModifiedDate?.substring(0, 10),
-            
-            // Trigger details (essential for analysis)
-            trigger: flow.Metadata?.start ? {
-                type: flow.Metadata.start.triggerType,
-                object: flow.Metadata.start.object,
-                recordTriggerType: flow.Metadata.start.recordTriggerType,
-                schedule: flow.Metadata.start.schedule,
-                filters: flow.Metadata.start.filters?.map(f => ({
-                    field: f.field,
-                    operator: f.operator,
-                    value: f.value?.stringValue || f.value?.elementReference
-                })) || []
-            } : null,
-            
-            // Element counts
-            elementCounts: {
-                recordUpdates: flow.Metadata?.recordUpdates?.length || 0,
-                recordCreates: flow.Metadata?.recordCreates?.length || 0,
-                recordLookups: flow.Metadata?.recordLookups?.length || 0,
-                decisions: flow.Metadata?.decisions?.length || 0,
-                assignments: flow.Metadata?.assignments?.length || 0,
-                actionCalls: flow.Metadata?.actionCalls?.length || 0,
-                formulas: flow.Metadata?.formulas?.length || 0,
-                variables: flow.Metadata?.variables?.length || 0,
-                loops: flow.Metadata?.loops?.length || 0
-            },
-            
-            // Key elements with details (for specific recommendations)
-            recordUpdates: flow.Metadata?.recordUpdates?.map(u => ({
-                name: u.name,
-                label: u.label,
-                object: u.object,
-                inputReference: u.inputReference,
-                fields: u.inputAssignments?.map(a => a.field) || []
-            })) || [],
-            
-            recordCreates: flow.Metadata?.recordCreates?.map(c => ({
-                name: c.name,
-                label: c.label,
-                object: c.object,
-                fields: c.inputAssignments?.map(a => a.field) || []
-            })) || [],
-            
-            decisions: flow.Metadata?.decisions?.map(d => ({
-                name: d.name,
-                label: d.label,
-                defaultConnector: d.defaultConnector?.targetReference,
-                rules: d.rules?.map(r => ({
-                    name: r.name,
-                    label: r.label,
-                    connector: r.connector?.targetReference
-                })) || []
-            })) || [],
-            
-            actionCalls: flow.Metadata?.actionCalls?.map(a => ({
-                name: a.name,
-                label: a.label,
-                actionName: a.actionName,
-                actionType: a.actionType
-            })) || [],
-            
-            formulas: flow.Metadata?.formulas?.map(f => ({
-                name: f.name,
-                dataType: f.dataType,
-                description: f.description,
-                expression: f.expression?.substring(0, 200) + (f.expression?.length > 200 ? '...' : '')
-            })) || [],
-            
-            variables: flow.Metadata?.variables?.map(v => ({
-                name: v.name,
-                dataType: v.dataType,
-                isCollection: v.isCollection,
-                isInput: v.isInput,
-                isOutput: v.isOutput
-            })) || [],
-            
-            // Assignments for business logic understanding
-            assignments: flow.Metadata?.assignments?.map(a => ({
-                name: a.name,
-                label: a.label,
-                assignmentItems: a.assignmentItems?.map(item => ({
-                    assignToReference: item.assignToReference,
-                    operator: item.operator,
-                    value: item.value?.stringValue || item.value?.elementReference || 'complex_value'
-                }))?.slice(0, 3) || [] // Limit to first 3 assignments
-            })) || []
-        }))
+// Options for org retrievals: incremental from the org's snapshot, unless ?fullResync=true,
+// and restricted to the flows matching the ?status, ?processType, ?object and ?name filters
+// (read from `query`, for routes whose own parameters share these names)
+function getRetrievalOptions(req, onProgress, query = req.query) {
+    return {
+        snapshots: flowSnapshots,
+        fullResync: query.fullResync === 'true',
+        filters: parseFlowFilters(query),
+        onProgress
     };
-
-    return balanced;
 }
 
-async function performAIAnalysis(provider, apiKey, flowsData) {
-    const flows = flowsData.flows;
-    const totalFlows = flows.length;
-    
-    console.log(`Starting analysis for ${totalFlows} flows`);
-    
-    // Determine if we need chunking based on data size and flow count
-    const compactSize = JSON.stringify(flowsData).length;
-    const shouldChunk = compactSize > 100000 || totalFlows > 15;
-    
-    if (!shouldChunk) {
-        console.log(`Small org: Using single analysis for ${totalFlows} flows (${compactSize} chars)`);
-        return await performSingleAnalysis(provider, apiKey, flowsData);
-    } else {
-        console.log(`Large org: Using chunked analysis for ${totalFlows} flows (${compactSize} chars)`);
-        return await performChunkedAnalysis(provider, apiKey, flowsData);
+// Flows of the loaded local source. They expire with the session, but may be gone before it
+// does (e.g. after a restart with in-memory session data): the source then has to be loaded again.
+async function loadLocalFlowsData(req) {
+    const flowsData = await sessionData.get(req.sessionID, LOCAL_FLOWS);
+    if (!flowsData) {
+        req.session.localSource = null;
+        throw new Error('The local source is no longer loaded. Please load it again.');
     }
+    return flowsData;
 }
 
-async function performSingleAnalysis(provider, apiKey, flowsData) {
-    const prompt = AI_ANALYSIS_PROMPT + JSON.stringify(flowsData);
-    
-    let analysisText;
-    switch (provider) {
-        case 'openai':
-            analysisText = await callOpenAI(apiKey, prompt);
-            break;
-        case 'claude':
-            analysisText = await callClaude(apiKey, prompt);
-            break;
-        case 'mistral':
-            analysisText = await callMistral(apiKey, prompt);
-            break;
-        case 'gemini':
-            analysisText = await callGemini(apiKey, prompt);
-            break;
-        default:
-            throw new Error('Unsupported AI provider');
+// Use the local source when one is loaded, otherwise retrieve flows from the org.
+// onProgress only reports on org retrievals: local sources are already parsed.
+async function loadFlowsData(req, onProgress, query = req.query) {
+    const options = getRetrievalOptions(req, onProgress, query);
+    if (req.session.localSource) {
+        return filterFlowsData(await loadLocalFlowsData(req), options.filters);
     }
-    
-    console.log('=== RAW AI RESPONSE START ===');
-    console.log(analysisText);
-    console.log('=== RAW AI RESPONSE END ===');
-    
-    return parseAIAnalysis(analysisText, flowsData);
+    return await getFlowsData(getConnectionInfo(req), options);
 }
 
-async function performChunkedAnalysis(provider, apiKey, flowsData) {
-    const flows = flowsData.flows;
-    
-    // Ultra-conservative chunking for 100% reliability
-    // Start with 1 flow per chunk and dynamically adjust based on data size
-    const chunks = [];
-    
-    // Group flows by complexity/size to optimize chunking
-    const flowsBySize = flows.map(flow => ({
-        flow,
-        estimatedSize: JSON.stringify(flow).length
-    })).sort((a, b) => a.estimatedSize - b.estimatedSize);
-    
-    let currentChunk = [];
-    let currentChunkSize = 0;
-    const maxChunkSize = 12000; // Ultra-conservative limit to avoid 529 errors
-    
-    for (const { flow, estimatedSize } of flowsBySize) {
-        // If adding this flow would exceed limit, start new chunk
-        if (currentChunk.length > 0 && (currentChunkSize + estimatedSize > maxChunkSize || currentChunk.length >= 2)) {
-            chunks.push(currentChunk);
-            currentChunk = [];
-            currentChunkSize = 0;
-        }
-        
-        currentChunk.push(flow);
-        currentChunkSize += estimatedSize;
-    }
-    
-    // Add remaining flows as final chunk
-    if (currentChunk.length > 0) {
-        chunks.push(currentChunk);
-    }
-    
-    console.log(`Processing ${flows.length} flows in ${chunks.length} chunks (adaptive sizing for reliability)`);
-    
-    // Process each chunk to get detailed individual flow analysis
-    const allFlowAnalyses = [];
-    
-    for (let i = 0; i < chunks.length; i++) {
-        const chunk = chunks[i];
-        console.log(`Processing chunk ${i + 1}/${chunks.length}: ${chunk.length} flows`);
-        
-        const chunkData = {
-            metadata: flowsData.metadata,
-            flows: chunk
-        };
-        
-        const flowAnalysisPrompt = `You are a Salesforce Flow Analyst. You MUST analyze ALL ${chunk.length} flows provided in this chunk. Do not skip any flows.
-
-For EACH AND EVERY flow provided, you must provide:
-### [Exact Flow Name]
-**Business Description:** 100-150 word description in simple terms a 12-year-old could understand
-
-**Improvement Opportunities:**
-
-**Must Have (Critical):**
-- **[Bold improvement title]** - [Description] *(Estimated time: [X hours/days for experienced SF consultant])*
-
-**Nice to Have (Optional):**
-- **[Bold improvement title]** - [Description] *(Estimated time: [X hours/days for experienced SF consultant])*
-
-CRITICAL REQUIREMENTS:
-- ANALYZE ALL ${chunk.length} FLOWS - DO NOT SKIP ANY
-- Use the exact flow names from the data
-- Use simple language, avoid technical jargon
-- Categorize improvements as "Must Have" (likely to cause bugs/issues) vs "Nice to Have" 
-- Make improvement titles bold
-- Include time estimates for a Salesforce consultant with 3 years experience
-- Be specific about implementation (element names, when to call, etc.)
-- Make recommendations actionable for Salesforce admins
-- Use analogies for business descriptions
-
-The ${chunk.length} flows you must analyze are: ${chunk.map(f => f.MasterLabel || f.FullName).join(', ')}
-
-Flow data:
-${JSON.stringify(chunkData)}`;
-
-        console.log(`Chunk ${i + 1} data size: ${JSON.stringify(chunkData).length} characters`);
-
-        try {
-            let chunkAnalysis;
-            switch (provider) {
-                case 'openai':
-                    chunkAnalysis = await callOpenAI(apiKey, flowAnalysisPrompt);
-                    break;
-                case 'claude':
-                    chunkAnalysis = await callClaude(apiKey, flowAnalysisPrompt);
-                    break;
-                case 'mistral':
-                    chunkAnalysis = await callMistral(apiKey, flowAnalysisPrompt);
-                    break;
-                case 'gemini':
-                    chunkAnalysis = await callGemini(apiKey, flowAnalysisPrompt);
-                    break;
-                default:
-                    throw new Error('Unsupported AI provider');
-            }
-            
-            console.log(`Chunk ${i + 1} analysis length: ${chunkAnalysis.length} characters`);
-            
-            // Parse individual flows from this chunk
-            const chunkResult = parseAIAnalysis(chunkAnalysis, chunkData);
-            allFlowAnalyses.push(...chunkResult.flowAnalysis);
-            
-            // Add longer delay between chunks to avoid API overload
-            if (i < chunks.length - 1) {
-                console.log(`Waiting 5 seconds before next chunk...`);
-                await new Promise(resolve => setTimeout(resolve, 5000));
-            }
-            
-        } catch (error) {
-            console.error(`Error processing chunk ${i + 1}:`, error.message);
-            // Add placeholder analysis for failed chunks
-            for (const flow of chunk) {
-                allFlowAnalyses.push({
-                    name: flow.MasterLabel || flow.FullName,
-                    businessDescription: 'Analysis temporarily unavailable for this flow.',
-                    improvements: 'Please retry analysis or contact administrator.'
-                });
-            }
-        }
-    }
-    
-    // Now generate organization-level analysis using summarized data
-    console.log('Generating organization-level analysis...');
-    
-    const orgSummary = createOrgSummaryForAnalysis(flowsData, allFlowAnalyses);
-    const orgAnalysisPrompt = `You are a Salesforce Flow Analyst. Analyze the global flow architecture and provide:
-
-## Global overview of the selected flows
-Write a 100-150 word overview of the global flow architecture.
-
-## Potential Risks & Concerns
-For each risk, use this format:
-**[Risk Name]** - Description of the risk and its impact.
-More details about the risk.
-
-## Global Improvements on the selected flows
-For each improvement, use this format:
-**[Improvement Name]**
-    **Benefits:** List of benefits
-    **Implementation Steps:**
-        1. Step one
-        2. Step two
-        3. Step three
-
-Requirements:
-- Focus on architectural and global patterns
-- Make risk and improvement names bold and slightly larger
-- For risks: don't skip lines between items, but skip one line after each complete risk
-- For improvements: move Benefits and Steps sections right (tabbed), bold the section headers
-- Be specific about implementation steps
-- Make recommendations actionable for Salesforce admins
-
-Global summary:
-${JSON.stringify(orgSummary)}`;
-
-    try {
-        let orgAnalysis;
-        switch (provider) {
-            case 'openai':
-                orgAnalysis = await callOpenAI(apiKey, orgAnalysisPrompt);
-                break;
-            case 'claude':
-                orgAnalysis = await callClaude(apiKey, orgAnalysisPrompt);
-                break;
-            case 'mistral':
-                orgAnalysis = await callMistral(apiKey, orgAnalysisPrompt);
-                break;
-            case 'gemini':
-                orgAnalysis = await callGemini(apiKey, orgAnalysisPrompt);
-                break;
-            default:
-                throw new Error('Unsupported AI provider');
-        }
-        
-        console.log(`Global analysis length: ${orgAnalysis.length} characters`);
-        const orgResult = parseAIAnalysis(orgAnalysis, flowsData);
-        
-        // Combine global-level analysis with detailed flow analyses
-        return {
-            organizationOverview: orgResult.organizationOverview,
-            potentialRisks: orgResult.potentialRisks,
-            organizationImprovements: orgResult.organizationImprovements,
-            flowAnalysis: allFlowAnalyses
-        };
-        
-    } catch (error) {
-        console.error('Error generating global analysis:', error.message);
-        return {
-            organizationOverview: `This selection has ${flows.length} flows across various business processes. Detailed global analysis temporarily unavailable.`,
-            potentialRisks: 'Global risk analysis temporarily unavailable.',
-            organizationImprovements: 'Global improvement recommendations temporarily unavailable.',
-            flowAnalysis: allFlowAnalyses
-        };
-    }
+// Validation rules for the objects the flows write to: the ones sent along with the flows or
+// loaded with the local source, otherwise read from the connected org
+async function loadValidationRules(req, flowsData) {
+    if (flowsData.validationRules) return flowsData.validationRules;
+    if (req.session.localSource) return (await loadLocalFlowsData(req)).validationRules || [];
+    return await getValidationRules(getConnectionInfo(req), getWrittenObjects(flowsData));
 }
 
-function createOrgSummaryForAnalysis(flowsData, flowAnalyses) {
-    const flows = flowsData.flows;
-    
-    // Create a high-level summary for org analysis
-    const summary = {
-        metadata: {
-            totalFlows: flows.length,
-            orgAlias: flowsData.metadata.orgAlias,
-            flowTypes: {}
-        },
-        patterns: {
-            triggerTypes: {},
-            commonElements: {},
-            businessAreas: []
-        },
-        flowSummaries: flowAnalyses.map(analysis => ({
-            name: analysis.name,
-            businessSummary: analysis.businessDescription.substring(0, 100) + '...',
-            keyImprovements: analysis.improvements.substring(0, 100) + '...'
-        }))
-    };
-    
-    // Analyze patterns across flows
-    flows.forEach(flow => {
-        // Flow types
-        const type = flow.ProcessType || 'Unknown';
-        summary.metadata.flowTypes[type] = (summary.metadata.flowTypes[type] || 0) + 1;
-        
-        // Trigger types
-        if (flow.Metadata?.start?.triggerType) {
-            const trigger = flow.Metadata.start.triggerType;
-            summary.patterns.triggerTypes[trigger] = (summary.patterns.triggerTypes[trigger] || 0) + 1;
-        }
-        
-        // Common elements
-        if (flow.Metadata) {
-            ['recordUpdates', 'recordCreates', 'decisions', 'actionCalls'].forEach(element => {
-                if (flow.Metadata[element]?.length > 0) {
-                    summary.patterns.commonElements[element] = (summary.patterns.commonElements[element] || 0) + 1;
-                }
-            });
-        }
-    });
-    
-    return summary;
+// Workflow rules sent along with the flows or loaded with the local source, otherwise read from the connected org
+async function loadWorkflowRules(req, flowsData) {
+    if (flowsData.workflowRules) return flowsData.workflowRules;
+    if (req.session.localSource) return (await loadLocalFlowsData(req)).workflowRules || [];
+    return await getWorkflowRules(getConnectionInfo(req));
 }
 
-function parseAIAnalysis(analysisText, flowsData) {
-    console.log('Raw AI response length:', analysisText.length);
-    console.log('Raw AI response preview:', analysisText.substring(0, 200) + '...');
-    
-    const result = {
-        organizationOverview: '',
-        potentialRisks: '',
-        organizationImprovements: '',
-        flowAnalysis: []
-    };
-    
-    // Split the analysis into sections using various markdown patterns
-    const sections = analysisText.split(/(?=##\s)/);
-    
-    for (const section of sections) {
-        const trimmed = section.trim();
-        if (!trimmed) continue;
-        
-        // Extract section headers and content more precisely
-        const headerMatch = trimmed.match(/^##\s*(.+?)$/m);
-        if (!headerMatch) continue;
-        
-        const header = headerMatch[1].toLowerCase();
-        const content = trimmed.substring(headerMatch.index + headerMatch[0].length).trim();
-        
-        if (header.includes('organization overview') || header.includes('global flow architecture')) {
-            result.organizationOverview = content;
-        } else if (header.includes('potential risks') || header.includes('risk')) {
-            result.potentialRisks = content;
-        } else if (header.includes('organization-wide') && header.includes('improvement')) {
-            result.organizationImprovements = content;
-        } else if (header.includes('individual flow analysis') || header.includes('flow analysis')) {
-            parseIndividualFlows(content, result, flowsData);
-        }
-    }
-    
-    // If we didn't find structured sections, try alternative parsing
-    if (!result.organizationOverview && !result.potentialRisks && !result.organizationImprovements) {
-        // Fallback: extract any content that looks like analysis
-        const lines = analysisText.split('\n');
-        let currentContent = '';
-        let foundContent = false;
-        
-        for (const line of lines) {
-            if (line.trim()) {
-                currentContent += line + '\n';
-                foundContent = true;
-            }
-        }
-        
-        if (foundContent) {
-            // If we have content but no structure, put it all in overview
-            result.organizationOverview = currentContent.trim();
-        }
-    }
-    
-    // Ensure we have individual flow analysis
-    if (result.flowAnalysis.length === 0 && flowsData.flows) {
-        parseIndividualFlows(analysisText, result, flowsData);
+// Flows data for AI analyses, with the validation rules as context. Rules that cannot be
+// read are left out rather than failing the analysis.
+async function withValidationRules(req, flowsData) {
+    try {
+        return { ...flowsData, validationRules: await loadValidationRules(req, flowsData) };
+    } catch (error) {
+        console.error('Analyzing without validation rules, they could not be read:', error.message);
+        return flowsData;
     }
-    
-    return result;
 }
 
-function parseIndividualFlows(content, result, flowsData) {
-    console.log('Parsing individual flows from content length:', content.length);
-    
-    // Enhanced parsing to ensure ALL flows are captured
-    let flowSections = [];
-    
-    // Method 1: Split by ### headers (most common format)
-    let sections = content.split(/(?=###\s)/);
-    if (sections.length > 1) {
-        flowSections = sections;
-    }
-    
-    // Method 2: If Method 1 didn't work, try flow-by-flow extraction using known flow names
-    if (flowSections.length <= 1 && flowsData.flows) {
-        console.log('Trying individual flow name extraction...');
-        flowSections = [];
-        
-        for (const flow of flowsData.flows) {
-            const flowName = flow.MasterLabel || flow.FullName;
-            console.log(`Looking for flow: ${flowName}`);
-            
-            // Create normalized patterns for both the actual flow name and AI-generated variants
-            const normalizedFlowName = flowName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-            const underscoreVariant = flowName.replace(/\s*-\s*/g, '_').replace(/\s+/g, '_');
-            const cleanVariant = flowName.replace(/\s*-\s*/g, ' ').replace(/\s+/g, ' ');
-            
-            // Multiple patterns to catch different AI response formats
-            const patterns = [
-                // Standard ### header format with exact name
-                new RegExp(`###\\s*${normalizedFlowName}[\\s\\S]*?(?=###|$)`, 'i'),
-                // Standard ### header format with underscore variant
-                new RegExp(`###\\s*${underscoreVariant.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}[\\s\\S]*?(?=###|$)`, 'i'),
-                // Flow name as bold text
-                new RegExp(`\\*\\*${normalizedFlowName}\\*\\*[\\s\\S]*?(?=\\*\\*Blue|$)`, 'i'),
-                // Flow name with underscores as bold text
-                new RegExp(`\\*\\*${underscoreVariant.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\*\\*[\\s\\S]*?(?=\\*\\*Blue|$)`, 'i'),
-                // Flow name followed by colon or line break
-                new RegExp(`${normalizedFlowName}[:\\s]*[\\s\\S]*?(?=Blue\\s*-|$)`, 'i'),
-                // Underscore variant followed by colon or line break
-                new RegExp(`${underscoreVariant.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}[:\\s]*[\\s\\S]*?(?=Blue|$)`, 'i'),
-                // Numbered format like "1. Flow Name"
-                new RegExp(`\\d+\\.\\s*${normalizedFlowName}[\\s\\S]*?(?=\\d+\\.\\s*Blue|$)`, 'i')
-            ];
-            
-            for (const pattern of patterns) {
-                const flowMatch = content.match(pattern);
-                if (flowMatch && flowMatch[0].length > 100) { // Ensure substantial content
-                    console.log(`Found ${flowName} using pattern match (length: ${flowMatch[0].length})`);
-                    flowSections.push(flowMatch[0]);
-                    break;
-                }
-            }
-        }
-    }
-    
-    // Method 3: If still no luck, try splitting by "Blue -" pattern
-    if (flowSections.length <= 1) {
-        console.log('Trying Blue- pattern splitting...');
-        const blueSections = content.split(/(?=Blue\s*-)/);
-        if (blueSections.length > 1) {
-            flowSections = blueSections.slice(1); // Skip first empty section
-        }
-    }
-    
-    console.log(`Found ${flowSections.length} potential flow sections`);
-    
-    for (const section of flowSections) {
-        const trimmed = section.trim();
-        if (!trimmed || trimmed.length < 50) continue; // Increased minimum length
-        
-        let flowName = '';
-        let flowContent = trimmed;
-        
-        // Extract flow name from various possible formats
-        const namePatterns = [
-            /^###\s*(.+?)$/m,
-            /^\*\*(Blue[^*]+)\*\*/m,
-            /^(Blue[^\n\r]+)/m,
-            /^\d+\.\s*(Blue[^\n\r]+)/m
-        ];
-        
-        for (const pattern of namePatterns) {
-            const headerMatch = trimmed.match(pattern);
-            if (headerMatch) {
-                let extractedName = headerMatch[1].replace(/^\d+\.\s*/, '').trim();
-                
-                // Convert underscore variant back to proper flow name
-                if (extractedName.includes('_')) {
-                    // Try to match against actual flow names
-                    const actualFlow = flowsData.flows.find(flow => {
-                        const flowName = flow.MasterLabel || flow.FullName;
-                        const underscoreVariant = flowName.replace(/\s*-\s*/g, '_').replace(/\s+/g, '_');
-                        return extractedName === underscoreVariant;
-                    });
-                    
-                    if (actualFlow) {
-                        extractedName = actualFlow.MasterLabel || actualFlow.FullName;
-                    }
-                }
-                
-                flowName = extractedName;
-                flowContent = trimmed.substring(headerMatch.index + headerMatch[0].length).trim();
-                break;
-            }
-        }
-        
-        if (!flowName) {
-            // Last resort: try to find any Blue- pattern in the section
-            const blueMatch = trimmed.match(/(Blue\s*-[^\n\r]+)/);
-            if (blueMatch) {
-                flowName = blueMatch[1].trim();
-                flowContent = trimmed;
-            } else {
-                console.log('Could not extract flow name from section:', trimmed.substring(0, 150));
-                continue;
-            }
-        }
-        
-        console.log(`Processing flow: ${flowName}`);
-        
-        // Extract business description with multiple patterns
-        let businessDescription = 'This flow automates business processes in your organization.';
-        let improvements = 'Consider reviewing this flow for optimization opportunities.';
-        
-        // Enhanced business description patterns
-        const businessPatterns = [
-            /\*\*Business Description:\*\*\s*([\s\S]*?)(?=\*\*Improvement|###|Blue\s*-|$)/i,
-            /Business Description:\s*([\s\S]*?)(?=Improvement|###|Blue\s*-|$)/i,
-            /(Think of this flow[\s\S]*?)(?=\*\*Improvement|Improvement|###|Blue\s*-|$)/i,
-            /(This flow[\s\S]{50,}?)(?=\*\*Improvement|Improvement|###|Blue\s*-|$)/i,
-            // Capture substantial content after flow name
-            /Blue\s*-[^\n\r]+\s*([\s\S]{100,}?)(?=\*\*Improvement|Improvement|###|Blue\s*-|$)/i
-        ];
-        
-        for (const pattern of businessPatterns) {
-            const match = flowContent.match(pattern);
-            if (match && match[1] && match[1].trim().length > 50) {
-                businessDescription = match[1].trim()
-                    .replace(/^\*\*Business Description:\*\*/i, '')
-                    .replace(/^Business Description:/i, '')
-                    .trim();
-                console.log(`Found business description for ${flowName}: ${businessDescription.substring(0, 100)}...`);
-                break;
-            }
-        }
-        
-        // Enhanced improvement patterns
-        const improvementPatterns = [
-            /\*\*Improvement Opportunities?:\*\*\s*([\s\S]*?)(?=###|Blue\s*-|$)/i,
-            /Improvement Opportunities?:\s*([\s\S]*?)(?=###|Blue\s*-|$)/i,
-            /\*\*Improvements?:\*\*\s*([\s\S]*?)(?=###|Blue\s*-|$)/i,
-            /((?:\d+\.\s*[\s\S]*?)*benefit[\s\S]*?)(?=###|Blue\s*-|$)/i,
-            // Look for any numbered lists that might be improvements
-            /((?:\d+\.\s*[^\n\r]+[\s\S]*?){1,}?)(?=###|Blue\s*-|$)/i
-        ];
-        
-        for (const pattern of improvementPatterns) {
-            const match = flowContent.match(pattern);
-            if (match && match[1] && match[1].trim().length > 30) {
-                improvements = match[1].trim()
-                    .replace(/^\*\*Improvement Opportunities?:\*\*/i, '')
-                    .replace(/^Improvement Opportunities?:/i, '')
-                    .trim();
-                console.log(`Found improvements for ${flowName}: ${improvements.substring(0, 100)}...`);
-                break;
-            }
+async function loadComparisonFlowsData(req) {
+    const { comparisonSource } = req.session;
+    if (comparisonSource.type === 'local') {
+        const flowsData = await sessionData.get(req.sessionID, COMPARISON_FLOWS);
+        if (!flowsData) {
+            req.session.comparisonSource = null;
+            throw new Error('The local comparison source is no longer loaded. Please load it again.');
         }
-        
-        result.flowAnalysis.push({
-            name: flowName,
-            businessDescription: businessDescription,
-            improvements: improvements
-        });
+        return filterFlowsData(flowsData, parseFlowFilters(req.query));
     }
-    
-    console.log(`Successfully parsed ${result.flowAnalysis.length} individual flow analyses`);
-    
-    // Enhanced fallback: ensure we have analysis for ALL flows in the current chunk
-    if (flowsData.flows) {
-        const analyzedFlowNames = result.flowAnalysis.map(f => f.name.toLowerCase());
-        const missingFlows = flowsData.flows.filter(flow => {
-            const flowName = (flow.MasterLabel || flow.FullName).toLowerCase();
-            return !analyzedFlowNames.some(analyzed => 
-                analyzed.includes(flowName) || flowName.includes(analyzed)
-            );
-        });
-        
-        if (missingFlows.length > 0) {
-            console.log(`Adding fallback analysis for ${missingFlows.length} missing flows:`, missingFlows.map(f => f.MasterLabel || f.FullName));
-            for (const flow of missingFlows) {
-                result.flowAnalysis.push({
-                    name: flow.MasterLabel || flow.FullName,
-                    businessDescription: `This flow automates business processes in your organization. The ${flow.ProcessType} runs when specific conditions are met and helps maintain data consistency and business rules.`,
-                    improvements: 'Consider adding error handling, implementing bulk processing for better performance, and documenting the business logic for easier maintenance.'
-                });
-            }
+
+    try {
+        return await getFlowsData(comparisonSource.connectionInfo, getRetrievalOptions(req));
+    } catch (error) {
+        // Only the comparison org needs a new sign-in, not the user's main connection
+        if (error instanceof SessionExpiredError) {
+            req.session.comparisonSource = null;
+            throw new Error('The comparison org session has expired. Please connect it again.');
         }
+        throw error;
     }
 }
 
-
-// Helper function to get flows data
-async function getFlowsData() {
-    const conn = new jsforce.Connection({
-        instanceUrl: connectionInfo.instanceUrl,
-        accessToken: connectionInfo.accessToken
-    });
-
-    // Get detailed metadata for each flow using Tooling API (following extract_flows.sh logic)
-    const flowDetails = [];
-    
-    // First, get all Flow IDs (both active and inactive) using the basic query
-    console.log("📋 Getting basic flow information...");
-    const basicFlowQuery = `
-        SELECT Id, MasterLabel, Status, ProcessType, TriggerOrder, LastModifiedDate, Description 
-        FROM Flow 
-        ORDER BY Status DESC, MasterLabel ASC
-    `;
-    
-    const basicFlowsResult = await conn.tooling.query(basicFlowQuery);
-    const basicFlows = basicFlowsResult.records || [];
-    
-    const activeFlows = basicFlows.filter(flow => flow.Status === 'Active');
-    const inactiveFlows = basicFlows.filter(flow => flow.Status !== 'Active');
-    
-    console.log(`📊 Found ${basicFlows.length} total flows to process (${activeFlows.length} active, ${inactiveFlows.length} inactive)`);
-    
-    // Now get detailed metadata for each flow using ID (like extract_flows.sh does)
-    for (let i = 0; i < basicFlows.length; i++) {
-        const basicFlow = basicFlows[i];
-        try {
-            console.log(`⏳ [${i + 1}/${basicFlows.length}] Processing flow: ${basicFlow.MasterLabel || basicFlow.Id}`);
-            
-            // Use direct REST API call to get complete metadata (like CLI does)
-            const detailedFlowQuery = `SELECT Id, FullName, MasterLabel, Status, ProcessType, Metadata, TriggerOrder, ApiVersion, LastModifiedDate, Description FROM Flow WHERE Id = '${basicFlow.Id}'`;
-            
-            const apiUrl = `${connectionInfo.instanceUrl}/services/data/v64.0/tooling/query/?q=${encodeURIComponent(detailedFlowQuery)}`;
-            
-            const response = await fetch(apiUrl, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${connectionInfo.accessToken}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-            
-            const detailedFlowResult = await response.json();
-            
-            if (detailedFlowResult.records && detailedFlowResult.records.length > 0) {
-                const flowRecord = detailedFlowResult.records[0];
-                console.log(`   ✅ Success - ProcessType: ${flowRecord.ProcessType}, ApiVersion: ${flowRecord.ApiVersion}`);
-                
-                // Extract complete flow record with all metadata preserved (exactly like CLI script)
-                const completeFlowRecord = {
-                    attributes: {
-                        type: "Flow",
-                        url: `/services/data/v64.0/tooling/sobjects/Flow/${flowRecord.Id}`
-                    },
-                    Id: flowRecord.Id,
-                    FullName: flowRecord.FullName,
-                    MasterLabel: flowRecord.MasterLabel,
-                    Status: flowRecord.Status,
-                    ProcessType: flowRecord.ProcessType,
-                    Metadata: flowRecord.Metadata,
-                    TriggerOrder: flowRecord.TriggerOrder,
-                    ApiVersion: flowRecord.ApiVersion,
-                    LastModifiedDate: flowRecord.LastModifiedDate,
-                    Description: flowRecord.Description,
-                    isActive: flowRecord.Status === 'Active'
-                };
-                
-                flowDetails.push(completeFlowRecord);
-            } else {
-                console.log(`   ❌ Failed to get detailed metadata`);
-                // Add basic info with error
-                flowDetails.push({
-                    attributes: {
-                        type: "Flow",
-                        url: `/services/data/v64.0/tooling/sobjects/Flow/${basicFlow.Id}`
-                    },
-                    Id: basicFlow.Id,
-                    FullName: 'Unknown',
-                    MasterLabel: basicFlow.MasterLabel,
-                    Status: basicFlow.Status,
-                    ProcessType: basicFlow.ProcessType,
-                    TriggerOrder: basicFlow.TriggerOrder,
-                    ApiVersion: null,
-                    LastModifiedDate: basicFlow.LastModifiedDate,
-                    Description: basicFlow.Description,
-                    Metadata: {},
-                    isActive: basicFlow.Status === 'Active',
-                    error: 'Could not fetch detailed metadata'
-                });
-            }
-            
-            // Pause to avoid API limits (like the script does)
-            await new Promise(resolve => setTimeout(resolve, 500));
-            
-        } catch (flowError) {
-            console.error(`   ❌ Error processing flow ${basicFlow.Id}:`, flowError.message);
-            flowDetails.push({
-                attributes: {
-                    type: "Flow",
-                    url: `/services/data/v64.0/tooling/sobjects/Flow/${basicFlow.Id}`
-                },
-                Id: basicFlow.Id,
-                FullName: 'Unknown',
-                MasterLabel: basicFlow.MasterLabel,
-                Status: basicFlow.Status,
-                ProcessType: basicFlow.ProcessType,
-                TriggerOrder: basicFlow.TriggerOrder,
-                ApiVersion: null,
-                LastModifiedDate: basicFlow.LastModifiedDate,
-                Description: basicFlow.Description,
-                Metadata: {},
-                isActive: basicFlow.Status === 'Active',
-                error: flowError.message
-            });
-        }
+function describeComparisonSource(req) {
+    const { comparisonSource } = req.session;
+    if (!comparisonSource) return null;
+    if (comparisonSource.type === 'local') {
+        return {
+            type: 'local',
+            label: comparisonSource.metadata.orgAlias,
+            description: comparisonSource.metadata.source
+        };
     }
-
-    // Filter to keep only the latest version of each flow
-    const latestFlows = filterToLatestVersions(flowDetails);
-    
-    const finalActiveFlows = latestFlows.filter(flow => flow.isActive);
-    const finalInactiveFlows = latestFlows.filter(flow => !flow.isActive);
-    
+    const { instanceUrl, userInfo } = comparisonSource.connectionInfo;
     return {
-        metadata: {
-            retrievedAt: new Date().toISOString(),
-            orgAlias: connectionInfo.instanceUrl.replace('https://', '').split('.')[0],
-            orgUsername: connectionInfo.userInfo.username || 'Unknown',
-            totalFlows: latestFlows.length,
-            activeFlows: finalActiveFlows.length,
-            inactiveFlows: finalInactiveFlows.length,
-            source: "Salesforce Flow Analyzer Tool"
-        },
-        flows: latestFlows
+        type: 'org',
+        label: instanceUrl.replace('https://', '').split('.')[0],
+        description: userInfo?.username || instanceUrl
     };
 }
 
-// Enhanced getFlowsData with progress updates via Server-Sent Events
-async function getFlowsDataWithProgress(res) {
-    const conn = new jsforce.Connection({
-        instanceUrl: connectionInfo.instanceUrl,
-        accessToken: connectionInfo.accessToken
-    });
-
-    const flowDetails = [];
-    
-    // Send initial progress update
-    res.write(`data: ${JSON.stringify({ type: 'progress', message: 'Getting basic flow information...', percent: 0 })}\n\n`);
-    
-    // First, get all Flow IDs (both active and inactive) using the basic query
-    console.log("📋 Getting basic flow information...");
-    const basicFlowQuery = `
-        SELECT Id, MasterLabel, Status, ProcessType, TriggerOrder, LastModifiedDate, Description 
-        FROM Flow 
-        ORDER BY Status DESC, MasterLabel ASC
-    `;
-    
-    const basicFlowsResult = await conn.tooling.query(basicFlowQuery);
-    const basicFlows = basicFlowsResult.records || [];
-    
-    const activeFlows = basicFlows.filter(flow => flow.Status === 'Active');
-    const inactiveFlows = basicFlows.filter(flow => flow.Status !== 'Active');
-    
-    console.log(`📊 Found ${basicFlows.length} total flows to process (${activeFlows.length} active, ${inactiveFlows.length} inactive)`);
-    
-    // Send progress update with flow count
-    res.write(`data: ${JSON.stringify({ 
-        type: 'progress', 
-        message: `Found ${basicFlows.length} flows (${activeFlows.length} active, ${inactiveFlows.length} inactive). Processing metadata...`, 
-        percent: 10,
-        total: basicFlows.length,
-        current: 0
-    })}\n\n`);
-    
-    // Now get detailed metadata for each flow with progress updates
-    for (let i = 0; i < basicFlows.length; i++) {
-        const basicFlow = basicFlows[i];
-        const percent = Math.round(10 + (i / basicFlows.length) * 80); // 10% to 90%
-        
-        // Send progress update for each flow
-        res.write(`data: ${JSON.stringify({ 
-            type: 'progress', 
-            message: `Processing flow ${i + 1}/${basicFlows.length}: ${basicFlow.MasterLabel || basicFlow.Id}`, 
-            percent: percent,
-            total: basicFlows.length,
-            current: i + 1
-        })}\n\n`);
-        
-        try {
-            console.log(`⏳ [${i + 1}/${basicFlows.length}] Processing flow: ${basicFlow.MasterLabel || basicFlow.Id}`);
-            
-            // Use direct REST API call to get complete metadata
-            const detailedFlowQuery = `SELECT Id, FullName, MasterLabel, Status, ProcessType, Metadata, TriggerOrder, ApiVersion, LastModifiedDate, Description FROM Flow WHERE Id = '${basicFlow.Id}'`;
-            
-            const apiUrl = `${connectionInfo.instanceUrl}/services/data/v64.0/tooling/query/?q=${encodeURIComponent(detailedFlowQuery)}`;
-            
-            const response = await fetch(apiUrl, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${connectionInfo.accessToken}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-            
-            const detailedFlowResult = await response.json();
-            
-            if (detailedFlowResult.records && detailedFlowResult.records.length > 0) {
-                const flowRecord = detailedFlowResult.records[0];
-                console.log(`   ✅ Success - ProcessType: ${flowRecord.ProcessType}, ApiVersion: ${flowRecord.ApiVersion}`);
-                
-                // Extract complete flow record with all metadata preserved
-                const completeFlowRecord = {
-                    attributes: {
-                        type: "Flow",
-                        url: `/services/data/v64.0/tooling/sobjects/Flow/${flowRecord.Id}`
-                    },
-                    Id: flowRecord.Id,
-                    FullName: flowRecord.FullName,
-                    MasterLabel: flowRecord.MasterLabel,
-                    Status: flowRecord.Status,
-                    ProcessType: flowRecord.ProcessType,
-                    Metadata: flowRecord.Metadata,
-                    TriggerOrder: flowRecord.TriggerOrder,
-                    ApiVersion: flowRecord.ApiVersion,
-                    LastModifiedDate: flowRecord.LastModifiedDate,
-                    Description: flowRecord.Description,
-                    isActive: flowRecord.Status === 'Active'
-                };
-                
-                flowDetails.push(completeFlowRecord);
-            } else {
-                console.log(`   ❌ Failed to get detailed metadata`);
-                // Add basic info with error
-                flowDetails.push({
-                    attributes: {
-                        type: "Flow",
-                        url: `/services/data/v64.0/tooling/sobjects/Flow/${basicFlow.Id}`
-                    },
-                    Id: basicFlow.Id,
-                    FullName: 'Unknown',
-                    MasterLabel: basicFlow.MasterLabel,
-                    Status: basicFlow.Status,
-                    ProcessType: basicFlow.ProcessType,
-                    TriggerOrder: basicFlow.TriggerOrder,
-                    ApiVersion: null,
-                    LastModifiedDate: basicFlow.LastModifiedDate,
-                    Description: basicFlow.Description,
-                    Metadata: {},
-                    isActive: basicFlow.Status === 'Active',
-                    error: 'Could not fetch detailed metadata'
-                });
-            }
-            
-            // Pause to avoid API limits
-            await new Promise(resolve => setTimeout(resolve, 500));
-            
-        } catch (flowError) {
-            console.error(`   ❌ Error processing flow ${basicFlow.Id}:`, flowError.message);
-            flowDetails.push({
-                attributes: {
-                    type: "Flow",
-                    url: `/services/data/v64.0/tooling/sobjects/Flow/${basicFlow.Id}`
-                },
-                Id: basicFlow.Id,
-                FullName: 'Unknown',
-                MasterLabel: basicFlow.MasterLabel,
-                Status: basicFlow.Status,
-                ProcessType: basicFlow.ProcessType,
-                TriggerOrder: basicFlow.TriggerOrder,
-                ApiVersion: null,
-                LastModifiedDate: basicFlow.LastModifiedDate,
-                Description: basicFlow.Description,
-                Metadata: {},
-                isActive: basicFlow.Status === 'Active',
-                error: flowError.message
-            });
-        }
+// Real path of a project directory below LOCAL_SOURCE_DIR (relative paths are resolved against
+// it); symbolic links are resolved first so they cannot point outside of it
+async function resolveLocalSourcePath(projectPath) {
+    const baseDirectory = await fs.realpath(LOCAL_SOURCE_DIR);
+    const resolved = await fs.realpath(path.resolve(baseDirectory, projectPath)).catch(() => null);
+    if (!resolved) {
+        throw new Error(`Directory not found: ${projectPath}`);
     }
 
-    // Send final progress update
-    res.write(`data: ${JSON.stringify({ 
-        type: 'progress', 
-        message: 'Filtering to latest versions only...', 
-        percent: 95,
-        total: basicFlows.length,
-        current: basicFlows.length
-    })}\n\n`);
-
-    // Filter to keep only the latest version of each flow
-    const latestFlows = filterToLatestVersions(flowDetails);
-    
-    const finalActiveFlows = latestFlows.filter(flow => flow.isActive);
-    const finalInactiveFlows = latestFlows.filter(flow => !flow.isActive);
-    
-    console.log(`📊 After filtering: ${latestFlows.length} flows (${finalActiveFlows.length} active, ${finalInactiveFlows.length} inactive)`);
-    
-    const result = {
-        metadata: {
-            retrievedAt: new Date().toISOString(),
-            orgAlias: connectionInfo.instanceUrl.replace('https://', '').split('.')[0],
-            orgUsername: connectionInfo.userInfo.username || 'Unknown',
-            totalFlows: latestFlows.length,
-            activeFlows: finalActiveFlows.length,
-            inactiveFlows: finalInactiveFlows.length,
-            source: "Salesforce Flow Analyzer Tool"
-        },
-        flows: latestFlows
-    };
-    
-    return result;
+    const relative = path.relative(baseDirectory, resolved);
+    if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+        throw new Error(`Directory is outside of the local source directory: ${projectPath}`);
+    }
+    return resolved;
 }
 
-// Helper function to filter flows to only the latest version of each flow
-function filterToLatestVersions(flowDetails) {
-    console.log(`🔍 Filtering ${flowDetails.length} flows to latest versions only...`);
-    
-    // Group flows by MasterLabel
-    const flowGroups = {};
-    
-    flowDetails.forEach(flow => {
-        const key = flow.MasterLabel || flow.FullName;
-        if (!flowGroups[key]) {
-            flowGroups[key] = [];
-        }
-        flowGroups[key].push(flow);
-    });
-    
-    // For each group, keep only the latest version
-    const latestFlows = [];
-    
-    Object.keys(flowGroups).forEach(flowName => {
-        const versions = flowGroups[flowName];
-        
-        if (versions.length === 1) {
-            latestFlows.push(versions[0]);
-        } else {
-            // Sort by LastModifiedDate (newest first) and take the first one
-            const sortedVersions = versions.sort((a, b) => {
-                const dateA = new Date(a.LastModifiedDate || 0);
-                const dateB = new Date(b.LastModifiedDate || 0);
-                return dateB - dateA;
-            });
-            
-            // Prefer active version if available, otherwise take the newest
-            let latestVersion = sortedVersions[0];
-            const activeVersion = sortedVersions.find(v => v.isActive);
-            if (activeVersion) {
-                latestVersion = activeVersion;
-            }
-            
-            console.log(`   📝 ${flowName}: ${versions.length} versions → keeping ${latestVersion.Status} version (${latestVersion.LastModifiedDate})`);
-            latestFlows.push(latestVersion);
-        }
-    });
-    
-    console.log(`✅ Filtered from ${flowDetails.length} to ${latestFlows.length} flows`);
-    return latestFlows;
+// Local sources are loaded as the main source, or with ?target=compare as the comparison side
+async function storeLocalSource(req, flowsData) {
+    const { metadata } = flowsData;
+    if (req.query.target === 'compare') {
+        await sessionData.set(req.sessionID, COMPARISON_FLOWS, flowsData);
+        req.session.comparisonSource = { type: 'local', metadata };
+    } else {
+        await sessionData.set(req.sessionID, LOCAL_FLOWS, flowsData);
+        req.session.localSource = { metadata, flowSetHash: hashFlowSet(flowsData.flows) };
+    }
+    return metadata;
 }
 
 // OAuth Configuration
@@ -1282,7 +278,8 @@ app.get('/health', (req, res) => {
         status: 'healthy',
         timestamp: new Date().toISOString(),
         version: require('./package.json').version,
-        authenticated: !!connectionInfo.accessToken
+        authenticated: !!getConnectionInfo(req).accessToken,
+        localSource: !!req.session.localSource
     });
 });
 
@@ -1294,7 +291,9 @@ app.post('/auth/set-credentials', (req, res) => {
         return res.status(400).json({ error: 'Client ID and Secret are required' });
     }
     
-    // Generate a session ID and store credentials temporarily
+    // Generate an ID for this set of credentials and keep them in the user's session
+    // until the OAuth callback (the ID travels through the OAuth state parameter)
+    const tempCredentials = req.session.tempCredentials = req.session.tempCredentials || {};
     const sessionId = Date.now().toString();
     tempCredentials[sessionId] = {
         clientId,
@@ -1316,6 +315,8 @@ app.post('/auth/set-credentials', (req, res) => {
 app.get('/auth/salesforce', (req, res) => {
     const sessionId = req.query.sessionId;
     const isSandbox = req.query.isSandbox === 'true';
+    const statePrefix = req.query.target === 'compare' ? COMPARE_STATE_PREFIX : 'salesforce-flow-analyzer';
+    const tempCredentials = req.session.tempCredentials || {};
     
     // Use provided credentials or fall back to env
     let clientId, clientSecret;
@@ -1350,7 +351,7 @@ app.get('/auth/salesforce', (req, res) => {
     
     const authUrl = dynamicOAuth2.getAuthorizationUrl({
         scope: 'api refresh_token',
-        state: sessionId ? `salesforce-flow-analyzer-${sessionId}` : 'salesforce-flow-analyzer'
+        state: sessionId ? `${statePrefix}-${sessionId}` : statePrefix
     });
     
     res.redirect(authUrl);
@@ -1396,7 +397,11 @@ app.get('/auth/callback', async (req, res) => {
 
     try {
         // Extract session ID from state if present
-        const sessionId = state?.replace('salesforce-flow-analyzer-', '');
+        const isComparison = !!state?.startsWith(COMPARE_STATE_PREFIX);
+        const tempCredentials = req.session.tempCredentials || {};
+        const sessionId = isComparison ?
+            state.replace(COMPARE_STATE_PREFIX, '').replace(/^-/, '') :
+            state?.replace('salesforce-flow-analyzer-', '');
         
         let oauth2ToUse;
         if (sessionId && tempCredentials[sessionId]) {
@@ -1416,13 +421,16 @@ app.get('/auth/callback', async (req, res) => {
         
         const conn = new jsforce.Connection({ oauth2: oauth2ToUse });
         const userInfo = await conn.authorize(code);
-        
-        // Store connection info
-        connectionInfo = {
+        const authorizedConnection = {
             accessToken: conn.accessToken,
             refreshToken: conn.refreshToken,
             instanceUrl: conn.instanceUrl,
-            userInfo: userInfo
+            userInfo: userInfo,
+            // Dynamic Connected App credentials are kept for token refresh (null means .env)
+            oauthCredentials: sessionId && tempCredentials[sessionId] ? {
+                clientId: tempCredentials[sessionId].clientId,
+                clientSecret: tempCredentials[sessionId].clientSecret
+            } : null
         };
 
         // Clean up temporary credentials
@@ -1430,6 +438,18 @@ app.get('/auth/callback', async (req, res) => {
             delete tempCredentials[sessionId];
         }
 
+        if (isComparison) {
+            await sessionData.delete(req.sessionID, COMPARISON_FLOWS);
+            req.session.comparisonSource = { type: 'org', connectionInfo: authorizedConnection };
+            console.log(`Connected comparison org: ${conn.instanceUrl}`);
+            return res.redirect('/dashboard?compare=connected');
+        }
+        
+        // Store connection info (a live org replaces any local source)
+        await sessionData.delete(req.sessionID, LOCAL_FLOWS);
+        req.session.localSource = null;
+        req.session.connectionInfo = authorizedConnection;
+
         console.log(`Successfully connected to org: ${userInfo.organizationName || userInfo.organization_name || 'Unknown'}`);
         console.log('User info:', userInfo);
         res.redirect('/dashboard');
@@ -1441,7 +461,7 @@ app.get('/auth/callback', async (req, res) => {
 
 // Dashboard page
 app.get('/dashboard', (req, res) => {
-    if (!connectionInfo.accessToken) {
+    if (!hasFlowSource(req)) {
         return res.redirect('/');
     }
     res.sendFile(path.join(__dirname, 'public', 'dashboard.html'));
@@ -1449,14 +469,17 @@ app.get('/dashboard', (req, res) => {
 
 // API endpoint to fetch flow metadata
 app.get('/api/flows', async (req, res) => {
-    if (!connectionInfo.accessToken) {
+    if (!hasFlowSource(req)) {
         return res.status(401).json({ error: 'Not authenticated' });
     }
 
     try {
-        const flowsData = await getFlowsData();
+        const flowsData = await loadFlowsData(req);
         res.json(flowsData);
     } catch (error) {
+        if (error instanceof SessionExpiredError) {
+            return sendSessionExpired(req, res, error);
+        }
         console.error('Error fetching flows:', error);
         res.status(500).json({ error: 'Failed to fetch flows: ' + error.message });
     }
@@ -1464,7 +487,7 @@ app.get('/api/flows', async (req, res) => {
 
 // Server-Sent Events endpoint for flow retrieval progress
 app.get('/api/flows/progress', (req, res) => {
-    if (!connectionInfo.accessToken) {
+    if (!hasFlowSource(req)) {
         return res.status(401).json({ error: 'Not authenticated' });
     }
     
@@ -1502,7 +525,9 @@ app.get('/api/flows/progress', (req, res) => {
     });
     
     // Start the flow retrieval process with progress updates
-    getFlowsDataWithProgress(res).then(flowsData => {
+    loadFlowsData(req, progress => {
+        res.write(`data: ${JSON.stringify({ type: 'progress', ...progress })}\n\n`);
+    }).then(flowsData => {
         if (!res.finished) {
             // Send final result
             res.write(`data: ${JSON.stringify({ type: 'complete', data: flowsData })}\n\n`);
@@ -1511,8 +536,11 @@ app.get('/api/flows/progress', (req, res) => {
         }
     }).catch(error => {
         console.error('Error in progress flow retrieval:', error);
+        if (error instanceof SessionExpiredError) {
+            req.session.connectionInfo = {};
+        }
         if (!res.finished) {
-            res.write(`data: ${JSON.stringify({ type: 'error', message: error.message })}\n\n`);
+            res.write(`data: ${JSON.stringify({ type: 'error', message: error.message, code: error.code })}\n\n`);
             clearInterval(heartbeatInterval);
             res.end();
         }
@@ -1521,6 +549,7 @@ app.get('/api/flows/progress', (req, res) => {
 
 // Get Salesforce instance URL for flow links
 app.get('/api/instance', (req, res) => {
+    const connectionInfo = getConnectionInfo(req);
     if (!connectionInfo.accessToken) {
         return res.status(401).json({ error: 'Not authenticated' });
     }
@@ -1532,10 +561,16 @@ app.get('/api/instance', (req, res) => {
     }
 });
 
-// Get org info for display
-app.get('/api/org-info', (req, res) => {
-    if (!connectionInfo.accessToken) {
-        return res.status(401).json({ error: 'Not authenticated' });
+// Org name, user and instance URL of the current source, for display and reports
+function getOrgInfo(req) {
+    const connectionInfo = getConnectionInfo(req);
+    const { localSource } = req.session;
+    if (localSource && !connectionInfo.accessToken) {
+        return {
+            orgName: `${localSource.metadata.orgAlias} (local source)`,
+            username: localSource.metadata.orgUsername,
+            instanceUrl: null
+        };
     }
     
     const userInfo = connectionInfo.userInfo;
@@ -1554,21 +589,39 @@ app.get('/api/org-info', (req, res) => {
         }
     }
     
-    res.json({
+    return {
         orgName: orgName,
         username: userInfo?.email || userInfo?.username || 'Unknown User',
         instanceUrl: connectionInfo.instanceUrl
-    });
+    };
+}
+
+// Get org info for display
+app.get('/api/org-info', (req, res) => {
+    if (!hasFlowSource(req)) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+    
+    res.json(getOrgInfo(req));
 });
 
+// Send an analysis result as a Markdown, HTML or PDF attachment (see ANALYSIS_REPORT_FORMATS)
+async function sendAnalysisReport(req, res, format, analysisResult, generatedAt) {
+    const { extension, contentType, render } = ANALYSIS_REPORT_FORMATS[format];
+    const content = await render({ analysisResult, orgInfo: getOrgInfo(req), generatedAt });
+
+    res.setHeader('Content-Disposition', `attachment; filename="flow-analysis-${generatedAt.split('T')[0]}.${extension}"`);
+    res.type(contentType).send(content);
+}
+
 // API endpoint to export flows as JSON
 app.get('/api/flows/export', async (req, res) => {
-    if (!connectionInfo.accessToken) {
+    if (!hasFlowSource(req)) {
         return res.status(401).json({ error: 'Not authenticated' });
     }
 
     try {
-        const flowsData = await getFlowsData();
+        const flowsData = await loadFlowsData(req);
         const fileName = `all-flows-detailed-${new Date().toISOString().split('T')[0]}.json`;
         
         res.setHeader('Content-Type', 'application/json');
@@ -1576,112 +629,816 @@ app.get('/api/flows/export', async (req, res) => {
         res.json(flowsData);
 
     } catch (error) {
+        if (error instanceof SessionExpiredError) {
+            return sendSessionExpired(req, res, error);
+        }
         console.error('Error exporting flows:', error);
         res.status(500).json({ error: 'Failed to export flows: ' + error.message });
     }
 });
 
-
-// AI Analysis endpoint
-app.post('/api/flows/ai-analysis', async (req, res) => {
-    if (!connectionInfo.accessToken) {
+// Flow and element inventory for spreadsheets (?format=xlsx, the default, with both sheets,
+// or ?format=csv with ?sheet=flows, the default, or elements)
+app.post('/api/flows/inventory', async (req, res) => {
+    if (!hasFlowSource(req)) {
         return res.status(401).json({ error: 'Not authenticated' });
     }
 
-    const { provider, apiKey, flowsData } = req.body;
-    
-    if (!provider || !apiKey || !flowsData) {
-        return res.status(400).json({ error: 'Missing required parameters' });
+    const format = (req.query.format || 'xlsx').toLowerCase();
+    const sheet = (req.query.sheet || 'flows').toLowerCase();
+    if (!['csv', 'xlsx'].includes(format)) {
+        return res.status(400).json({ error: 'Unsupported format. Use csv or xlsx.' });
+    }
+    if (!INVENTORY_SHEETS.includes(sheet)) {
+        return res.status(400).json({ error: 'Unsupported sheet. Use flows or elements.' });
     }
 
     try {
-        console.log(`Starting AI analysis with provider: ${provider}`);
-        const analysisResult = await performAIAnalysis(provider, apiKey, flowsData);
-        
-        // Store context for follow-up questions
-        aiContext.provider = provider;
-        aiContext.apiKey = apiKey;
-        aiContext.flowsData = flowsData;
-        aiContext.analysisResult = analysisResult;
-        
-        console.log('AI analysis completed successfully');
-        res.json(analysisResult);
-        
+        const flowsData = req.body?.flowsData || await loadFlowsData(req);
+        const inventory = buildFlowInventory(flowsData);
+        const date = new Date().toISOString().split('T')[0];
+
+        if (format === 'csv') {
+            res.setHeader('Content-Disposition', `attachment; filename="flow-inventory-${sheet}-${date}.csv"`);
+            res.type('text/csv').send(renderInventoryCsv(inventory[sheet]));
+        } else {
+            res.setHeader('Content-Disposition', `attachment; filename="flow-inventory-${date}.xlsx"`);
+            res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet').send(renderInventoryXlsx(inventory));
+        }
     } catch (error) {
-        console.error('AI Analysis error:', error);
-        console.error('Error response data:', error.response?.data);
-        
-        // Provide more specific error messages
-        let errorMessage = 'Failed to perform AI analysis';
-        let statusCode = 500;
-        
-        if (error.response?.status === 401) {
-            console.log('API 401 error details:', JSON.stringify(error.response?.data, null, 2));
-            errorMessage = 'Invalid API key. Please check your API key and try again.';
-            statusCode = 401;
-        } else if (error.response?.status === 403) {
-            errorMessage = 'API key does not have sufficient permissions.';
-            statusCode = 403;
-        } else if (error.response?.status === 429) {
-            errorMessage = 'Rate limit exceeded. Please try again later.';
-            statusCode = 429;
-        } else if (error.response?.status === 400) {
-            console.log('Claude API 400 error details:', JSON.stringify(error.response?.data, null, 2));
-            errorMessage = `Bad request: ${error.response?.data?.error?.message || error.response?.data?.message || 'The data might be too large or malformed'}.`;
-            statusCode = 400;
-            
-            // For Claude 400 errors, suggest trying a different provider
-            if (provider === 'claude') {
-                console.log('Claude failed with 400 error. User should try a different provider.');
-                errorMessage = 'Claude API rejected the request. Please try using OpenAI, Mistral, or Gemini instead.';
-            }
-        } else if (error.response?.status === 529) {
-            console.log('API 529 overloaded error details:', JSON.stringify(error.response?.data, null, 2));
-            errorMessage = 'AI service is temporarily overloaded. Please wait a moment and try again.';
-            statusCode = 529;
-        } else if (error.response?.status === 520) {
-            console.log('API 520 error details:', JSON.stringify(error.response?.data, null, 2));
-            errorMessage = 'Server connection error. This may be due to a large dataset or network timeout. Try analyzing smaller groups of flows.';
-            statusCode = 520;
-        } else if (error.response?.status === 502) {
-            console.log('API 502 error details:', JSON.stringify(error.response?.data, null, 2));
-            errorMessage = 'Service temporarily unavailable. This may be a Render infrastructure issue. Please try again in a few minutes.';
-            statusCode = 502;
+        if (error instanceof SessionExpiredError) {
+            return sendSessionExpired(req, res, error);
         }
-        
-        res.status(statusCode).json({ 
-            error: errorMessage,
-            details: error.response?.data || error.message,
-            provider: provider,
-            statusCode: error.response?.status || 500
+        console.error('Error exporting flow inventory:', error);
+        res.status(500).json({ error: 'Failed to export flow inventory: ' + error.message });
+    }
+});
+
+// Which local sources this server accepts before signing in: directories below LOCAL_SOURCE_DIR, and zip uploads with ANONYMOUS_UPLOADS
+app.get('/api/source/options', (req, res) => {
+    res.json({ localDirectories: !!LOCAL_SOURCE_DIR, anonymousUploads: ANONYMOUS_UPLOADS });
+});
+
+// Load flows from a local SFDX project directory below LOCAL_SOURCE_DIR (?target=compare for the comparison side)
+app.post('/api/source/local', async (req, res) => {
+    if (!LOCAL_SOURCE_DIR) {
+        return res.status(403).json({ error: 'Loading local directories is disabled on this server. Upload a zip instead.' });
+    }
+
+    const { path: projectPath } = req.body;
+    
+    if (!projectPath) {
+        return res.status(400).json({ error: 'Project path is required' });
+    }
+
+    try {
+        res.json(await storeLocalSource(req, await loadFlowsFromDirectory(await resolveLocalSourcePath(projectPath))));
+    } catch (error) {
+        console.error('Error loading local flows:', error);
+        res.status(400).json({ error: 'Failed to load local flows: ' + error.message });
+    }
+});
+
+// Load flows from an uploaded zip of an SFDX project or retrieved metadata package
+app.post('/api/source/upload', (req, res, next) => {
+    // Checked before the body is read, so anonymous uploads are not even received
+    if (!hasFlowSource(req) && !ANONYMOUS_UPLOADS) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+    next();
+}, express.raw({
+    type: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'],
+    limit: '50mb'
+}), async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'A zip file is required' });
+    }
+
+    try {
+        res.json(await storeLocalSource(req, await loadFlowsFromZip(req.body, req.query.fileName || 'upload.zip')));
+    } catch (error) {
+        console.error('Error loading uploaded flows:', error);
+        res.status(400).json({ error: 'Failed to load uploaded flows: ' + error.message });
+    }
+});
+
+// Deterministic best-practice checks (no AI key required)
+app.post('/api/flows/lint', async (req, res) => {
+    if (!hasFlowSource(req)) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    try {
+        // Lint the flows already loaded by the dashboard, or fetch them from the org
+        const flowsData = req.body?.flowsData || await loadFlowsData(req);
+        const lintResult = lintFlows(flowsData);
+
+        console.log(`Lint completed: ${lintResult.summary.totalFindings} findings across ${lintResult.metadata.totalFlows} flows`);
+        res.json(lintResult);
+    } catch (error) {
+        if (error instanceof SessionExpiredError) {
+            return sendSessionExpired(req, res, error);
+        }
+        console.error('Error linting flows:', error);
+        res.status(500).json({ error: 'Failed to lint flows: ' + error.message });
+    }
+});
+
+
+// Dependency graph of subflows, actions, objects, fields and platform events
+app.post('/api/flows/graph', async (req, res) => {
+    if (!hasFlowSource(req)) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const format = (req.query.format || req.body?.format || 'json').toLowerCase();
+    if (!['json', 'dot', 'mermaid'].includes(format)) {
+        return res.status(400).json({ error: 'Unsupported format. Use json, dot or mermaid.' });
+    }
+
+    try {
+        const flowsData = req.body?.flowsData || await loadFlowsData(req);
+        const graph = buildDependencyGraph(flowsData);
+
+        console.log(`Dependency graph built: ${graph.metadata.nodeCount} nodes, ${graph.metadata.edgeCount} edges`);
+
+        if (format === 'dot') {
+            res.type('text/vnd.graphviz').send(toDot(graph));
+        } else if (format === 'mermaid') {
+            res.type('text/plain').send(toMermaid(graph));
+        } else {
+            res.json(graph);
+        }
+    } catch (error) {
+        if (error instanceof SessionExpiredError) {
+            return sendSessionExpired(req, res, error);
+        }
+        console.error('Error building dependency graph:', error);
+        res.status(500).json({ error: 'Failed to build dependency graph: ' + error.message });
+    }
+});
+
+
+// Record-triggered flow execution order and collisions per object and event
+app.post('/api/flows/trigger-order', async (req, res) => {
+    if (!hasFlowSource(req)) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    try {
+        const flowsData = req.body?.flowsData || await loadFlowsData(req);
+        const report = buildTriggerOrderReport(flowsData);
+
+        console.log(`Trigger order report: ${report.summary.groups} groups, ${report.summary.fieldCollisions} field collisions`);
+        res.json(report);
+    } catch (error) {
+        if (error instanceof SessionExpiredError) {
+            return sendSessionExpired(req, res, error);
+        }
+        console.error('Error building trigger order report:', error);
+        res.status(500).json({ error: 'Failed to build trigger order report: ' + error.message });
+    }
+});
+
+// Process Builders and workflow rules mapped onto record-triggered flows, with effort and gaps
+app.post('/api/flows/migration-readiness', async (req, res) => {
+    if (!hasFlowSource(req)) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    try {
+        const flowsData = req.body?.flowsData || await loadFlowsData(req);
+        const report = buildMigrationReport(flowsData, await loadWorkflowRules(req, flowsData));
+
+        console.log(`Migration readiness: ${report.summary.processBuilders} Process Builders and ${report.summary.workflowRules} workflow rules, ${report.summary.effortHours} hours estimated`);
+        res.json(report);
+    } catch (error) {
+        if (error instanceof SessionExpiredError) {
+            return sendSessionExpired(req, res, error);
+        }
+        console.error('Error building migration readiness report:', error);
+        res.status(500).json({ error: 'Failed to build migration readiness report: ' + error.message });
+    }
+});
+
+// Complexity metrics and technical-debt score per flow, highest debt first
+app.post('/api/flows/metrics', async (req, res) => {
+    if (!hasFlowSource(req)) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    try {
+        const flowsData = req.body?.flowsData || await loadFlowsData(req);
+        const report = buildFlowMetricsReport(flowsData);
+
+        console.log(`Flow metrics: ${report.metadata.totalFlows} flows, average debt score ${report.summary.averageDebtScore}`);
+        res.json(report);
+    } catch (error) {
+        if (error instanceof SessionExpiredError) {
+            return sendSessionExpired(req, res, error);
+        }
+        console.error('Error measuring flows:', error);
+        res.status(500).json({ error: 'Failed to measure flows: ' + error.message });
+    }
+});
+
+// Worst-case SOQL and DML usage per flow and per record-triggered transaction
+app.post('/api/flows/governor-limits', async (req, res) => {
+    if (!hasFlowSource(req)) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    try {
+        const flowsData = req.body?.flowsData || await loadFlowsData(req);
+        const report = buildGovernorLimitReport(flowsData);
+
+        console.log(`Governor limit estimate: ${report.summary.flowsAtRisk} flows and ${report.summary.chainsAtRisk} transaction chains at risk`);
+        res.json(report);
+    } catch (error) {
+        if (error instanceof SessionExpiredError) {
+            return sendSessionExpired(req, res, error);
+        }
+        console.error('Error estimating governor limits:', error);
+        res.status(500).json({ error: 'Failed to estimate governor limits: ' + error.message });
+    }
+});
+
+// Create/Update Records elements that miss or blank fields active validation rules require
+app.post('/api/flows/validation-rules', async (req, res) => {
+    if (!hasFlowSource(req)) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    try {
+        const flowsData = req.body?.flowsData || await loadFlowsData(req);
+        const report = buildValidationRuleReport(flowsData, await loadValidationRules(req, flowsData));
+
+        console.log(`Validation rule report: ${report.summary.activeRules} active rules on ${report.summary.objects} objects, ${report.summary.totalFindings} findings`);
+        res.json(report);
+    } catch (error) {
+        if (error instanceof SessionExpiredError) {
+            return sendSessionExpired(req, res, error);
+        }
+        console.error('Error building validation rule report:', error);
+        res.status(500).json({ error: 'Failed to build validation rule report: ' + error.message });
+    }
+});
+
+// Flows and elements that read, write, filter on or use a field in a formula (?object=Lead&field=Email)
+app.get('/api/search/field', async (req, res) => {
+    if (!hasFlowSource(req)) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    // ?object is the field's object here, not the flow filter of the same name
+    const { object: fieldObject, field: fieldName, ...retrievalQuery } = req.query;
+    const field = String(fieldName || '').trim();
+    const object = String(fieldObject || '').trim();
+    if (!field) {
+        return res.status(400).json({ error: 'Field is required' });
+    }
+
+    try {
+        const result = searchFieldUsage(await loadFlowsData(req, undefined, retrievalQuery), { object, field });
+
+        console.log(`Field usage search for ${object ? `${object}.` : ''}${field}: ${result.summary.usages} usages in ${result.summary.flows} flows`);
+        res.json(result);
+    } catch (error) {
+        if (error instanceof SessionExpiredError) {
+            return sendSessionExpired(req, res, error);
+        }
+        console.error('Error searching field usage:', error);
+        res.status(500).json({ error: 'Failed to search field usage: ' + error.message });
+    }
+});
+
+// Visual diagram of a single flow built from its element connectors
+app.post('/api/flows/diagram', async (req, res) => {
+    if (!hasFlowSource(req)) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const format = (req.query.format || req.body?.format || 'json').toLowerCase();
+    if (!['json', 'mermaid', 'svg'].includes(format)) {
+        return res.status(400).json({ error: 'Unsupported format. Use json, mermaid or svg.' });
+    }
+
+    const flowId = req.query.flowId || req.body?.flowId;
+    if (!flowId && !req.body?.flow) {
+        return res.status(400).json({ error: 'flowId is required' });
+    }
+
+    try {
+        let flow = req.body?.flow;
+        if (!flow) {
+            const flowsData = req.body?.flowsData || await loadFlowsData(req);
+            flow = flowsData.flows.find(f => f.Id === flowId);
+        }
+        if (!flow) {
+            return res.status(404).json({ error: `Flow not found: ${flowId}` });
+        }
+
+        const diagram = buildFlowDiagram(flow);
+
+        if (format === 'svg') {
+            res.type('image/svg+xml').send(toSvg(diagram));
+        } else if (format === 'mermaid') {
+            res.type('text/plain').send(flowDiagramToMermaid(diagram));
+        } else {
+            res.json(diagram);
+        }
+    } catch (error) {
+        if (error instanceof SessionExpiredError) {
+            return sendSessionExpired(req, res, error);
+        }
+        console.error('Error building flow diagram:', error);
+        res.status(500).json({ error: 'Failed to build flow diagram: ' + error.message });
+    }
+});
+
+// All versions of a flow (version history is only available from a connected org)
+app.get('/api/flows/:id/versions', async (req, res) => {
+    const connectionInfo = getConnectionInfo(req);
+    if (!connectionInfo.accessToken) {
+        return res.status(401).json({ error: 'Version history requires a connected Salesforce org' });
+    }
+
+    try {
+        const versions = await getFlowVersions(connectionInfo, req.params.id);
+        res.json({ flowId: req.params.id, versions });
+    } catch (error) {
+        if (error instanceof SessionExpiredError) {
+            return sendSessionExpired(req, res, error);
+        }
+        console.error('Error retrieving flow versions:', error);
+        res.status(500).json({ error: 'Failed to retrieve flow versions: ' + error.message });
+    }
+});
+
+// Semantic diff between two flow versions, given as version Ids or as flow records
+app.post('/api/flows/diff', async (req, res) => {
+    if (!hasFlowSource(req)) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const connectionInfo = getConnectionInfo(req);
+    const { fromId, toId } = req.body || {};
+    let { from, to } = req.body || {};
+
+    if (!(from || fromId) || !(to || toId)) {
+        return res.status(400).json({ error: 'Provide fromId and toId (or from and to flow records)' });
+    }
+    if ((!from || !to) && !connectionInfo.accessToken) {
+        return res.status(401).json({ error: 'Retrieving flow versions requires a connected Salesforce org' });
+    }
+
+    try {
+        from = from || await getFlowVersion(connectionInfo, fromId);
+        to = to || await getFlowVersion(connectionInfo, toId);
+
+        const diff = diffFlowVersions(from, to);
+        console.log(`Flow diff ${diff.from.id} -> ${diff.to.id}: ${diff.summary.totalChanges} changes`);
+        res.json(diff);
+    } catch (error) {
+        if (error instanceof SessionExpiredError) {
+            return sendSessionExpired(req, res, error);
+        }
+        console.error('Error comparing flow versions:', error);
+        res.status(500).json({ error: 'Failed to compare flow versions: ' + error.message });
+    }
+});
+
+// Org or local source the main source is compared against
+app.get('/api/compare/source', (req, res) => {
+    res.json({ source: describeComparisonSource(req) });
+});
+
+app.delete('/api/compare/source', async (req, res) => {
+    req.session.comparisonSource = null;
+    await sessionData.delete(req.sessionID, COMPARISON_FLOWS).catch(error => {
+        console.error('Error removing the comparison flows:', error.message);
+    });
+    res.json({ success: true });
+});
+
+// Flow comparison between the main source (left) and the comparison source (right)
+app.post('/api/compare', async (req, res) => {
+    if (!hasFlowSource(req)) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+    if (!req.session.comparisonSource && !req.body?.comparison) {
+        return res.status(400).json({ error: 'Connect a second org or load a local source to compare against' });
+    }
+
+    const format = (req.query.format || req.body?.format || 'json').toLowerCase();
+    if (!['json', 'markdown'].includes(format)) {
+        return res.status(400).json({ error: 'Unsupported format. Use json or markdown.' });
+    }
+
+    try {
+        // An earlier result can be sent back to export it without retrieving both sides again
+        let comparison = req.body?.comparison;
+        if (!comparison) {
+            const [leftFlowsData, rightFlowsData] = await Promise.all([loadFlowsData(req), loadComparisonFlowsData(req)]);
+            comparison = compareFlowSets(leftFlowsData, rightFlowsData);
+        }
+
+        console.log(`Flow comparison: ${comparison.summary.different} different, ${comparison.summary.onlyInLeft} only left, ${comparison.summary.onlyInRight} only right`);
+
+        if (format === 'markdown') {
+            res.type('text/markdown').send(renderComparisonReport(comparison));
+        } else {
+            res.json(comparison);
+        }
+    } catch (error) {
+        if (error instanceof SessionExpiredError) {
+            return sendSessionExpired(req, res, error);
+        }
+        console.error('Error comparing flows:', error);
+        res.status(500).json({ error: 'Failed to compare flows: ' + error.message });
+    }
+});
+
+
+// Missing or unknown provider, or a missing key for a provider that needs one.
+// Base URLs are never taken from requests: custom endpoints are configured on the server
+// (CUSTOM_AI_BASE_URL) so users cannot make it call arbitrary hosts.
+function getAIConfigError(provider, apiKey) {
+    if (!provider) return 'Missing AI provider';
+    try {
+        return getProvider(provider).requiresApiKey && !apiKey ? 'Missing API key' : null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+// AI providers, default models and context windows for the configuration dialog
+app.get('/api/ai/providers', (req, res) => {
+    res.json(listProviders());
+});
+
+// HTTP status and user-facing message for a failed AI analysis
+function describeAIError(error, provider) {
+    // Provide more specific error messages
+    let errorMessage = 'Failed to perform AI analysis';
+    let statusCode = 500;
+    
+    if (error.response?.status === 401) {
+        console.log('API 401 error details:', JSON.stringify(error.response?.data, null, 2));
+        errorMessage = 'Invalid API key. Please check your API key and try again.';
+        statusCode = 401;
+    } else if (error.response?.status === 403) {
+        errorMessage = 'API key does not have sufficient permissions.';
+        statusCode = 403;
+    } else if (error.response?.status === 429) {
+        errorMessage = 'Rate limit exceeded. Please try again later.';
+        statusCode = 429;
+    } else if (error.response?.status === 400) {
+        console.log('Claude API 400 error details:', JSON.stringify(error.response?.data, null, 2));
+        errorMessage = `Bad request: ${error.response?.data?.error?.message || error.response?.data?.message || 'The data might be too large or malformed'}.`;
+        statusCode = 400;
+        
+        // For Claude 400 errors, suggest trying a different provider
+        if (provider === 'claude') {
+            console.log('Claude failed with 400 error. User should try a different provider.');
+            errorMessage = 'Claude API rejected the request. Please try using OpenAI, Mistral, or Gemini instead.';
+        }
+    } else if (error.response?.status === 529) {
+        console.log('API 529 overloaded error details:', JSON.stringify(error.response?.data, null, 2));
+        errorMessage = 'AI service is temporarily overloaded. Please wait a moment and try again.';
+        statusCode = 529;
+    } else if (error.response?.status === 520) {
+        console.log('API 520 error details:', JSON.stringify(error.response?.data, null, 2));
+        errorMessage = 'Server connection error. This may be due to a large dataset or network timeout. Try analyzing smaller groups of flows.';
+        statusCode = 520;
+    } else if (error.response?.status === 502) {
+        console.log('API 502 error details:', JSON.stringify(error.response?.data, null, 2));
+        errorMessage = 'Service temporarily unavailable. This may be a Render infrastructure issue. Please try again in a few minutes.';
+        statusCode = 502;
+    }
+
+    return { statusCode, errorMessage };
+}
+
+// AI Analysis endpoint
+app.post('/api/flows/ai-analysis', async (req, res) => {
+    if (!hasFlowSource(req)) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const { provider, apiKey, model, useCache } = req.body;
+    
+    const configError = getAIConfigError(provider, apiKey);
+    if (configError || !req.body.flowsData) {
+        return res.status(400).json({ error: configError || 'Missing required parameters' });
+    }
+
+    try {
+        console.log(`Starting AI analysis with provider: ${provider}${model ? ` (${model})` : ''}`);
+        const flowsData = await withValidationRules(req, req.body.flowsData);
+        const { result: analysisResult } = await analysisHistory.analyze(getHistoryOrg(req), provider, apiKey, flowsData, { model, useCache });
+        
+        // Store context for follow-up questions
+        await storeAIContext(req, {
+            provider,
+            apiKey,
+            model,
+            flowSummary: summarizeFlowsForChat(flowsData),
+            analysisResult
+        });
+        
+        console.log('AI analysis completed successfully');
+        res.json(analysisResult);
+        
+    } catch (error) {
+        console.error('AI Analysis error:', error);
+        console.error('Error response data:', error.response?.data);
+        
+        const { statusCode, errorMessage } = describeAIError(error, provider);
+        
+        res.status(statusCode).json({ 
+            error: errorMessage,
+            details: error.response?.data || error.message,
+            provider: provider,
+            statusCode: error.response?.status || 500
+        });
+    }
+});
+
+// AI analysis streamed as Server-Sent Events: per-chunk progress, each flow's analysis as soon
+// as it is parsed, chunk failures as they happen, then the full result. POST (read with fetch,
+// not EventSource) because the request carries the flows and the API key.
+app.post('/api/flows/ai-analysis/stream', async (req, res) => {
+    if (!hasFlowSource(req)) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const { provider, apiKey, model, useCache } = req.body;
+
+    const configError = getAIConfigError(provider, apiKey);
+    if (configError || !req.body.flowsData) {
+        return res.status(400).json({ error: configError || 'Missing required parameters' });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-store, must-revalidate',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable nginx buffering
+    });
+
+    const sendEvent = event => {
+        if (!res.writableEnded) {
+            res.write(`data: ${JSON.stringify(event)}\n\n`);
+        }
+    };
+    sendEvent({ type: 'init', message: 'Connection established' });
+
+    // Chunk pauses and slow providers can leave the stream silent for minutes
+    const heartbeatInterval = setInterval(() => sendEvent({ type: 'heartbeat' }), 30000);
+
+    // Stop calling the provider once the user has gone away
+    const abortController = new AbortController();
+    res.on('close', () => {
+        clearInterval(heartbeatInterval);
+        if (!res.writableEnded) {
+            console.log('Client disconnected from AI analysis stream');
+            abortController.abort();
+        }
+    });
+
+    try {
+        console.log(`Starting streamed AI analysis with provider: ${provider}${model ? ` (${model})` : ''}`);
+        const flowsData = await withValidationRules(req, req.body.flowsData);
+        const { result: analysisResult, run } = await analysisHistory.analyze(getHistoryOrg(req), provider, apiKey, flowsData, {
+            model,
+            useCache,
+            onProgress: sendEvent,
+            signal: abortController.signal
+        });
+
+        // Store context for follow-up questions
+        await storeAIContext(req, {
+            provider,
+            apiKey,
+            model,
+            flowSummary: summarizeFlowsForChat(flowsData),
+            analysisResult
+        });
+
+        console.log('Streamed AI analysis completed successfully');
+        sendEvent({ type: 'complete', data: analysisResult, runId: run ? run.id : null });
+    } catch (error) {
+        console.error('Streamed AI analysis error:', error.message);
+        const { statusCode, errorMessage } = describeAIError(error, provider);
+        sendEvent({ type: 'error', message: errorMessage, details: error.message, statusCode });
+    } finally {
+        clearInterval(heartbeatInterval);
+        res.end();
+    }
+});
+
+// Download an analysis result as a report (?format=markdown, the default, html or pdf)
+app.post('/api/flows/ai-analysis/report', async (req, res) => {
+    if (!hasFlowSource(req)) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const format = (req.query.format || 'markdown').toLowerCase();
+    if (!Object.hasOwn(ANALYSIS_REPORT_FORMATS, format)) {
+        return res.status(400).json({ error: 'Unsupported format. Use markdown, html or pdf.' });
+    }
+
+    const { analysisResult } = req.body;
+    if (!analysisResult || !Array.isArray(analysisResult.flows)) {
+        return res.status(400).json({ error: 'Analysis result is required' });
+    }
+
+    try {
+        await sendAnalysisReport(req, res, format, analysisResult, new Date().toISOString());
+    } catch (error) {
+        console.error('Error generating analysis report:', error);
+        res.status(500).json({ error: 'Failed to generate analysis report: ' + error.message });
+    }
+});
+
+// Submit an AI analysis as a background job; poll GET /api/jobs/:id for progress and results
+app.post('/api/jobs', async (req, res) => {
+    if (!hasFlowSource(req)) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const { provider, apiKey, model, useCache } = req.body;
+
+    const configError = getAIConfigError(provider, apiKey);
+    if (configError || !Array.isArray(req.body.flowsData?.flows)) {
+        return res.status(400).json({ error: configError || 'Missing required parameters' });
+    }
+
+    try {
+        const job = jobQueue.submit({
+            ownerId: getOwnerId(req.sessionID),
+            provider,
+            apiKey,
+            model,
+            flowsData: await withValidationRules(req, req.body.flowsData),
+            org: getHistoryOrg(req),
+            useCache: useCache !== false
         });
+        res.status(202).json(summarizeJob(job));
+    } catch (error) {
+        console.error('Error submitting analysis job:', error);
+        res.status(500).json({ error: 'Failed to submit analysis job: ' + error.message });
+    }
+});
+
+// This user's analysis jobs, newest first, without results
+app.get('/api/jobs', (req, res) => {
+    res.json(jobQueue.list(getOwnerId(req.sessionID)).map(summarizeJob));
+});
+
+// Job status, progress, per-flow results so far and, once completed, the full result
+app.get('/api/jobs/:id', async (req, res) => {
+    const job = jobQueue.get(req.params.id, getOwnerId(req.sessionID));
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    // Follow-up chat continues from the finished analysis, as after /api/flows/ai-analysis
+    const chatContext = jobQueue.takeChatContext(job.id);
+    if (chatContext) {
+        await storeAIContext(req, chatContext);
+    }
+
+    const { ownerId, ...details } = job;
+    res.json(details);
+});
+
+// Cancel a queued or running job
+app.delete('/api/jobs/:id', (req, res) => {
+    const job = jobQueue.cancel(req.params.id, getOwnerId(req.sessionID));
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(summarizeJob(job));
+});
+
+// Past analysis runs of the current org, newest first, without results
+app.get('/api/history', async (req, res) => {
+    if (!hasFlowSource(req)) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    try {
+        res.json(await analysisHistory.list(getHistoryOrg(req)));
+    } catch (error) {
+        console.error('Error listing analysis history:', error);
+        res.status(500).json({ error: 'Failed to load analysis history: ' + error.message });
+    }
+});
+
+// Differences between two runs of the current org (?from=<older run>&to=<newer run>)
+app.get('/api/history/compare', async (req, res) => {
+    if (!hasFlowSource(req)) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+    if (!req.query.from || !req.query.to) {
+        return res.status(400).json({ error: 'Two runs are required (from and to)' });
+    }
+
+    try {
+        const org = getHistoryOrg(req);
+        const [before, after] = await Promise.all([analysisHistory.get(org, req.query.from), analysisHistory.get(org, req.query.to)]);
+        if (!before || !after) {
+            return res.status(404).json({ error: 'Run not found' });
+        }
+        res.json(compareRuns(before, after));
+    } catch (error) {
+        console.error('Error comparing analysis runs:', error);
+        res.status(500).json({ error: 'Failed to compare analysis runs: ' + error.message });
+    }
+});
+
+// One past run with its full result
+app.get('/api/history/:id', async (req, res) => {
+    if (!hasFlowSource(req)) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    try {
+        const run = await analysisHistory.get(getHistoryOrg(req), req.params.id);
+        if (!run) {
+            return res.status(404).json({ error: 'Run not found' });
+        }
+        res.json(run);
+    } catch (error) {
+        console.error('Error loading analysis run:', error);
+        res.status(500).json({ error: 'Failed to load analysis run: ' + error.message });
+    }
+});
+
+// Download a past run as a report (?format=markdown, the default, html or pdf) or as json
+app.get('/api/history/:id/export', async (req, res) => {
+    if (!hasFlowSource(req)) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const format = (req.query.format || 'markdown').toLowerCase();
+    if (format !== 'json' && !Object.hasOwn(ANALYSIS_REPORT_FORMATS, format)) {
+        return res.status(400).json({ error: 'Unsupported format. Use json, markdown, html or pdf.' });
+    }
+
+    try {
+        const run = await analysisHistory.get(getHistoryOrg(req), req.params.id);
+        if (!run) {
+            return res.status(404).json({ error: 'Run not found' });
+        }
+
+        if (format === 'json') {
+            res.setHeader('Content-Disposition', `attachment; filename="flow-analysis-${run.createdAt.split('T')[0]}.json"`);
+            res.json(run);
+        } else {
+            await sendAnalysisReport(req, res, format, run.result, run.createdAt);
+        }
+    } catch (error) {
+        console.error('Error exporting analysis run:', error);
+        res.status(500).json({ error: 'Failed to export analysis run: ' + error.message });
+    }
+});
+
+// Remove a past run (cached flow analyses are kept)
+app.delete('/api/history/:id', async (req, res) => {
+    if (!hasFlowSource(req)) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    try {
+        if (!await analysisHistory.remove(getHistoryOrg(req), req.params.id)) {
+            return res.status(404).json({ error: 'Run not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting analysis run:', error);
+        res.status(500).json({ error: 'Failed to delete analysis run: ' + error.message });
     }
 });
 
 // Chat endpoint for follow-up questions
 app.post('/api/flows/chat', async (req, res) => {
-    if (!connectionInfo.accessToken) {
+    if (!hasFlowSource(req)) {
         return res.status(401).json({ error: 'Not authenticated' });
     }
 
     const { question } = req.body;
+    const aiContext = await getAIContext(req);
     
-    if (!question || !aiContext.provider || !aiContext.apiKey) {
+    if (!question || getAIConfigError(aiContext.provider, aiContext.apiKey)) {
         return res.status(400).json({ error: 'Missing chat context or question' });
     }
 
     try {
-        // Create a lightweight summary for chat context instead of sending full flow data
-        const flowSummary = {
-            totalFlows: aiContext.flowsData?.metadata?.totalFlows || 0,
-            orgAlias: aiContext.flowsData?.metadata?.orgAlias || 'Unknown',
-            flowNames: aiContext.flowsData?.flows?.map(f => f.MasterLabel || f.FullName) || [],
-            flowTypes: aiContext.flowsData?.flows?.reduce((acc, f) => {
-                const type = f.ProcessType || 'Unknown';
-                acc[type] = (acc[type] || 0) + 1;
-                return acc;
-            }, {}) || {}
-        };
+        // A lightweight summary of the flows instead of the full flow data
+        const flowSummary = aiContext.flowSummary || summarizeFlowsForChat(null);
 
         const chatPrompt = `Based on our previous analysis of the Salesforce flows, please answer this follow-up question:
 
@@ -1698,23 +1455,7 @@ ${JSON.stringify(aiContext.analysisResult, null, 2)}
 
 Please provide a detailed, helpful answer based on the flow analysis context above.`;
 
-        let response;
-        switch (aiContext.provider) {
-            case 'openai':
-                response = await callOpenAI(aiContext.apiKey, chatPrompt);
-                break;
-            case 'claude':
-                response = await callClaude(aiContext.apiKey, chatPrompt);
-                break;
-            case 'mistral':
-                response = await callMistral(aiContext.apiKey, chatPrompt);
-                break;
-            case 'gemini':
-                response = await callGemini(aiContext.apiKey, chatPrompt);
-                break;
-            default:
-                throw new Error('Unsupported AI provider');
-        }
+        const response = await callProvider(aiContext.provider, aiContext.apiKey, chatPrompt, { model: aiContext.model });
 
         res.json({ response });
         
@@ -1744,15 +1485,15 @@ Please provide a detailed, helpful answer based on the flow analysis context abo
 
 // Direct flow interaction endpoint for JSON exploration
 app.post('/api/chat/flows', async (req, res) => {
-    if (!connectionInfo.accessToken) {
+    if (!hasFlowSource(req)) {
         return res.status(401).json({ error: 'Not authenticated' });
     }
 
-    const { message, flowsData, aiProvider, apiKey } = req.body;
+    const { message, flowsData, aiProvider, apiKey, model } = req.body;
     
     console.log(`Flow interaction request - Provider: ${aiProvider}, Flows: ${flowsData?.length || 0}, Message length: ${message?.length || 0}`);
     
-    if (!message || !flowsData || !aiProvider || !apiKey) {
+    if (!message || !flowsData || getAIConfigError(aiProvider, apiKey)) {
         console.log('Missing required parameters:', { 
             hasMessage: !!message, 
             hasFlowsData: !!flowsData, 
@@ -1782,24 +1523,7 @@ Keep your response conversational and practical. If the user asks about specific
 
         console.log(`Calling ${aiProvider} with prompt length: ${interactionPrompt.length} characters`);
         
-        let response;
-        switch (aiProvider) {
-            case 'openai':
-                response = await callOpenAI(apiKey, interactionPrompt);
-                break;
-            case 'claude':
-                response = await callClaude(apiKey, interactionPrompt);
-                break;
-            case 'mistral':
-                response = await callMistral(apiKey, interactionPrompt);
-                break;
-            case 'gemini':
-                response = await callGemini(apiKey, interactionPrompt);
-                break;
-            default:
-                console.error('Unsupported AI provider:', aiProvider);
-                throw new Error('Unsupported AI provider');
-        }
+        const response = await callProvider(aiProvider, apiKey, interactionPrompt, { model });
 
         console.log(`${aiProvider} response received, length: ${response?.length || 0} characters`);
         res.json({ response });
@@ -1836,17 +1560,21 @@ Keep your response conversational and practical. If the user asks about specific
 
 // Logout
 app.post('/auth/logout', (req, res) => {
-    // Clear all stored connection and AI data
-    connectionInfo = {};
-    aiContext = {
-        provider: null,
-        apiKey: null,
-        flowsData: null,
-        analysisResult: null
-    };
-    
-    console.log('User logged out, session cleared');
-    res.json({ success: true, message: 'Logged out successfully' });
+    // Clear this user's connection, AI data and loaded flows; other users' sessions are untouched
+    sessionSecrets.deleteSession(req.sessionID);
+    sessionData.deleteSession(req.sessionID).catch(error => {
+        console.error('Error removing session data:', error.message);
+    });
+    req.session.destroy(error => {
+        if (error) {
+            console.error('Error destroying session:', error);
+            return res.status(500).json({ error: 'Logout failed: ' + error.message });
+        }
+        
+        res.clearCookie('sfa.sid');
+        console.log('User logged out, session cleared');
+        res.json({ success: true, message: 'Logged out successfully' });
+    });
 });
 
 
@@ -0,0 +1,576 @@
+// AI provider calls, prompts and response parsing shared by the server and the CLI.
+// Progress is logged to stderr, leaving the CLI's stdout to its report.
+const { buildFlowDiagram, toMermaid } = require('./flow-diagram');
+const { buildValidationRuleReport, createValidationRuleContext } = require('./validation-rules');
+const { buildGovernorLimitReport } = require('./governor-limits');
+const { callProvider, assertProviderConfigured, getPromptCharacterLimit } = require('./ai-providers');
+const { ANALYSIS_SCHEMA, FLOWS_SCHEMA, GLOBAL_ANALYSIS_SCHEMA, validateAgainstSchema, extractJson } = require('./analysis-schema');
+
+// How many times an invalid response is sent back to the model for repair before giving up
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// Fields of one flow's analysis, shared by the single and chunked prompts
+const FLOW_ANALYSIS_FIELDS = `- name: the exact flow name from the data
+- businessDescription: 100-150 word description in simple terms a 12-year-old could understand, using analogies
+- mustHave: critical improvements, likely to cause bugs or issues if left as they are
+- niceToHave: optional improvements
+  Each improvement has a short title, a description that is specific about implementation
+  (element names, when to call, etc.) and estimatedHours for a Salesforce consultant with 3 years of experience
+- estimatedHours: total hours of all the flow's improvements`;
+
+// Fields of the global sections, shared by the single and global prompts
+const GLOBAL_ANALYSIS_FIELDS = `- overview: 100-150 word overview of the global flow architecture
+- risks: risks like infinite loops, governor limits, data integrity issues; each with a title,
+  a description of the risk and its impact, and a severity (high, medium or low)
+- improvements: global improvement opportunities; each with a title, its benefits and
+  the implementation steps in order`;
+
+// The schema is also spelled out in the prompt, for providers whose JSON mode does not take one
+function createSchemaSection(schema) {
+    return `Answer with a single JSON object and nothing else. It must match this JSON schema:
+${JSON.stringify(schema.schema)}`;
+}
+
+// AI Analysis Prompt
+const AI_ANALYSIS_PROMPT = `You are a Salesforce Flow Analyst. Analyze ALL the provided flows.
+
+Provide these fields:
+${GLOBAL_ANALYSIS_FIELDS}
+- flows: one entry per flow. IMPORTANT: Analyze EVERY SINGLE flow provided. Do not skip any flows due to length constraints.
+${FLOW_ANALYSIS_FIELDS.replace(/^/gm, '  ')}
+
+Requirements:
+- MUST analyze every single flow provided - no exceptions
+- Use simple language, avoid technical jargon
+- Focus on high-impact improvements only
+- Make recommendations actionable for Salesforce admins
+- If you encounter length limits, keep descriptions shorter rather than leaving flows out
+
+${createSchemaSection(ANALYSIS_SCHEMA)}
+
+Flow data:
+`;
+
+function compressFlowData(flowsData) {
+    // Create a simplified version of the flow data for AI analysis
+    const compressed = {
+        metadata: flowsData.metadata,
+        flows: flowsData.flows.map(flow => ({
+            Id: flow.Id,
+            FullName: flow.FullName,
+            MasterLabel: flow.MasterLabel,
+            Status: flow.Status,
+            ProcessType: flow.ProcessType,
+            Description: flow.Metadata?.description || '',
+            // Include key metadata elements but remove verbose details
+            Elements: {
+                assignments: flow.Metadata?.assignments?.length || 0,
+                decisions: flow.Metadata?.decisions?.length || 0,
+                recordCreates: flow.Metadata?.recordCreates?.length || 0,
+                recordUpdates: flow.Metadata?.recordUpdates?.length || 0,
+                recordLookups: flow.Metadata?.recordLookups?.length || 0,
+                actionCalls: flow.Metadata?.actionCalls?.length || 0,
+                loops: flow.Metadata?.loops?.length || 0,
+                formulas: flow.Metadata?.formulas?.length || 0
+            },
+            // Include trigger information if available
+            Triggers: flow.Metadata?.start ? {
+                type: flow.Metadata.start.triggerType,
+                object: flow.Metadata.start.object,
+                conditions: flow.Metadata.start.filterLogic ? 'Has conditions' : 'No conditions'
+            } : null,
+            // Include key formulas/logic summaries
+            FormulaCount: flow.Metadata?.formulas?.length || 0,
+            VariableCount: flow.Metadata?.variables?.length || 0,
+            TriggerOrder: flow.TriggerOrder,
+            ApiVersion: flow.ApiVersion,
+            LastModifiedDate: flow.LastModifiedDate
+        }))
+    };
+    
+    return compressed;
+}
+
+// The parts of a flow's governor-limit estimate worth a model's attention
+function summarizeGovernorLimits(estimate) {
+    return {
+        soql: estimate.soql,
+        dml: estimate.dml,
+        dmlRows: estimate.dmlRows,
+        inLoops: estimate.contributions
+            .filter(contribution => contribution.loops.length > 0)
+            .map(contribution => `${contribution.element} (${contribution.loops.join(' > ')})`),
+        notEstimated: estimate.unestimated,
+        issues: estimate.issues.map(issue => issue.message)
+    };
+}
+
+function summarizeTransactionChain(chain) {
+    return {
+        object: chain.object,
+        flows: chain.flows,
+        soql: chain.soql,
+        dml: chain.dml,
+        dmlRows: chain.dmlRows,
+        issues: chain.issues.map(issue => issue.message)
+    };
+}
+
+// Worst-case governor-limit estimates of the flows, and of the record-triggered chains they
+// belong to, so governor limit risks rest on numbers rather than guesses
+function createGovernorLimitsSection(flowsData, flows) {
+    const report = buildGovernorLimitReport(flowsData);
+    const flowIds = new Set(flows.map(flow => flow.Id));
+    const names = new Set(flows.map(getFlowName));
+
+    return `\n\nGovernor limit estimates for a batch of ${report.metadata.batchSize} records (worst case, loops assumed to run ` +
+        `${report.metadata.loopIterations} times; limits: ${JSON.stringify(report.metadata.limits)}):\n` +
+        JSON.stringify({
+            flows: report.flows.filter(estimate => flowIds.has(estimate.flowId)).map(estimate => ({ name: estimate.flowName, ...summarizeGovernorLimits(estimate) })),
+            transactionChains: report.chains.filter(chain => chain.flows.some(name => names.has(name))).map(summarizeTransactionChain)
+        });
+}
+
+// Mermaid diagram per flow, so the model can follow execution paths without
+// reconstructing them from connector references in the JSON
+function createFlowDiagramsSection(flows) {
+    return '\n\nFlow diagrams (Mermaid, execution paths from the start element):\n' +
+        flows.map(flow => `### ${flow.MasterLabel || flow.FullName}\n${toMermaid(buildFlowDiagram(flow))}`).join('\n\n');
+}
+
+// Active validation rules on the objects the flows write to, with the Create/Update Records
+// elements that would fail them (see validation-rules.js). Empty when no rules were loaded.
+function createValidationRulesSection(flowsData, flows) {
+    if (!flowsData.validationRules) return '';
+
+    const context = createValidationRuleContext(flows, flowsData.validationRules);
+    if (context.rules.length === 0) return '';
+    return '\n\nValidation rules on the objects these flows create or update records on, and the elements ' +
+        'that do not set the fields they require (flag these as mustHave improvements when they can make the flow fail):\n' +
+        JSON.stringify(context);
+}
+
+// Progress events for options.onProgress, in the same shape as the retrieval SSE stream:
+//   { type: 'progress', message, percent, current, total }  - current/total count analyzed flows
+//   { type: 'flow', analysis }                              - one flow's parsed analysis, as soon as it is ready
+//   { type: 'chunk-error', chunk, totalChunks, flows, message } - a chunk failed; its flows get placeholders
+function reportProgress(options, event) {
+    if (options.onProgress) {
+        options.onProgress(event);
+    }
+}
+
+// options.signal (an AbortSignal) stops a long chunked analysis between provider calls
+function throwIfCancelled(options) {
+    if (options.signal?.aborted) {
+        throw new Error('AI analysis cancelled');
+    }
+}
+
+// Waits `ms`, ending early with the cancellation error when options.signal fires meanwhile
+function pause(ms, options) {
+    throwIfCancelled(options);
+    const { signal } = options;
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new Error('AI analysis cancelled'));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// options: { model, baseUrl } passed through to the provider (see ai-providers.js),
+// plus onProgress and signal (see above), and cachedAnalyses: a Map of flow Id to an
+// earlier analysis of the same flow definition, used instead of analyzing it again
+async function performAIAnalysis(provider, apiKey, flowsData, options = {}) {
+    const flows = flowsData.flows;
+    const totalFlows = flows.length;
+    const cachedFlows = flows.filter(flow => options.cachedAnalyses?.has(flow.Id)).length;
+
+    // Fail fast: chunked analysis would otherwise turn a bad configuration into placeholder results
+    assertProviderConfigured(provider, apiKey, options);
+    
+    console.error(`Starting analysis for ${totalFlows} flows`);
+    
+    // Determine if we need chunking based on data size, flow count and the model's context window
+    const compactSize = JSON.stringify(flowsData).length;
+    const promptLimit = getPromptCharacterLimit(provider, options);
+    const shouldChunk = compactSize > Math.min(100000, promptLimit) || totalFlows > 15;
+    
+    if (cachedFlows > 0) {
+        // Only the chunked analysis can leave flows out of the provider calls
+        console.error(`Reusing ${cachedFlows} cached flow analyses, analyzing ${totalFlows - cachedFlows} flows`);
+        return await performChunkedAnalysis(provider, apiKey, flowsData, options);
+    } else if (!shouldChunk) {
+        console.error(`Small org: Using single analysis for ${totalFlows} flows (${compactSize} chars)`);
+        return await performSingleAnalysis(provider, apiKey, flowsData, options);
+    } else {
+        console.error(`Large org: Using chunked analysis for ${totalFlows} flows (${compactSize} chars)`);
+        return await performChunkedAnalysis(provider, apiKey, flowsData, options);
+    }
+}
+
+function getFlowName(flow) {
+    return flow.MasterLabel || flow.FullName;
+}
+
+function normalizeName(name) {
+    return String(name || '').trim().toLowerCase();
+}
+
+// Names of the expected flows that have no entry in the response
+function findMissingFlows(flowAnalyses, expectedFlows) {
+    const answered = new Set(flowAnalyses.map(analysis => normalizeName(analysis.name)));
+    return expectedFlows
+        .filter(flow => !answered.has(normalizeName(getFlowName(flow))) && !answered.has(normalizeName(flow.FullName)))
+        .map(getFlowName);
+}
+
+// Schema-shaped stand-in for a flow the model did not (or could not) analyze
+function unavailableFlowAnalysis(flow, reason) {
+    return {
+        name: getFlowName(flow),
+        flowId: flow.Id,
+        businessDescription: reason,
+        mustHave: [],
+        niceToHave: [],
+        estimatedHours: 0,
+        unavailable: true
+    };
+}
+
+// One analysis per expected flow, in the order of the flow data, under the flow's own name and Id
+function matchFlowAnalyses(flowAnalyses, expectedFlows) {
+    const byName = new Map(flowAnalyses.map(analysis => [normalizeName(analysis.name), analysis]));
+    return expectedFlows.map(flow => {
+        const analysis = byName.get(normalizeName(getFlowName(flow))) || byName.get(normalizeName(flow.FullName));
+        return analysis ?
+            { ...analysis, name: getFlowName(flow), flowId: flow.Id } :
+            unavailableFlowAnalysis(flow, 'The AI response did not include this flow. Please retry the analysis.');
+    });
+}
+
+function createRepairPrompt(schema, responseText, problems) {
+    return `Your previous response could not be used because it does not match the required JSON schema.
+
+Problems found:
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+Return the corrected JSON object. Keep all the content of the previous response, only fix its structure.
+
+${createSchemaSection(schema)}
+
+Previous response:
+${responseText}`;
+}
+
+function createRetryPrompt(prompt, missingFlows) {
+    return `${prompt}
+
+IMPORTANT: A previous answer left out these flows: ${missingFlows.join(', ')}. Include an entry for every flow.`;
+}
+
+// Calls the provider in its structured-output mode and returns the parsed response.
+// A response that is not valid JSON or does not match the schema is sent back with the
+// list of problems for repair; one that leaves flows out is asked for again. Missing
+// flows that survive the retries are left to matchFlowAnalyses.
+async function requestStructuredAnalysis(provider, apiKey, prompt, schema, expectedFlows, options) {
+    let currentPrompt = prompt;
+
+    for (let attempt = 0; ; attempt++) {
+        const responseText = await callProvider(provider, apiKey, currentPrompt, { ...options, schema });
+        console.error(`AI response length: ${responseText.length} characters`);
+
+        let response = null;
+        let problems;
+        try {
+            response = extractJson(responseText);
+            problems = validateAgainstSchema(response, schema.schema);
+        } catch (error) {
+            problems = [`$: not valid JSON (${error.message})`];
+        }
+
+        const missingFlows = problems.length === 0 && expectedFlows ? findMissingFlows(response.flows, expectedFlows) : [];
+        if (problems.length === 0 && (missingFlows.length === 0 || attempt >= MAX_REPAIR_ATTEMPTS)) {
+            return response;
+        }
+        if (attempt >= MAX_REPAIR_ATTEMPTS) {
+            throw new Error(`The AI response does not match the analysis format: ${problems.slice(0, 5).join('; ')}`);
+        }
+
+        throwIfCancelled(options);
+        if (problems.length > 0) {
+            console.warn(`Invalid AI response (attempt ${attempt + 1}), asking for a repair:`, problems.slice(0, 5));
+            currentPrompt = createRepairPrompt(schema, responseText, problems);
+        } else {
+            console.warn(`AI response left out ${missingFlows.length} flows (attempt ${attempt + 1}), retrying`);
+            currentPrompt = createRetryPrompt(prompt, missingFlows);
+        }
+    }
+}
+
+async function performSingleAnalysis(provider, apiKey, flowsData, options = {}) {
+    const prompt = AI_ANALYSIS_PROMPT + JSON.stringify({ metadata: flowsData.metadata, flows: flowsData.flows }) +
+        createFlowDiagramsSection(flowsData.flows) + createGovernorLimitsSection(flowsData, flowsData.flows) +
+        createValidationRulesSection(flowsData, flowsData.flows);
+    
+    const totalFlows = flowsData.flows.length;
+    
+    reportProgress(options, { type: 'progress', message: `Analyzing ${totalFlows} flows in a single request...`, percent: 10, current: 0, total: totalFlows });
+    const response = await requestStructuredAnalysis(provider, apiKey, prompt, ANALYSIS_SCHEMA, flowsData.flows, options);
+    
+    const result = {
+        overview: response.overview,
+        risks: response.risks,
+        improvements: response.improvements,
+        flows: matchFlowAnalyses(response.flows, flowsData.flows)
+    };
+    result.flows.forEach(analysis => reportProgress(options, { type: 'flow', analysis }));
+    reportProgress(options, { type: 'progress', message: 'Analysis complete', percent: 100, current: totalFlows, total: totalFlows });
+    return result;
+}
+
+async function performChunkedAnalysis(provider, apiKey, flowsData, options = {}) {
+    const flows = flowsData.flows;
+    const cachedAnalyses = options.cachedAnalyses || new Map();
+    
+    // Ultra-conservative chunking for 100% reliability
+    // Start with 1 flow per chunk and dynamically adjust based on data size
+    const chunks = [];
+    
+    // Group flows by complexity/size to optimize chunking
+    const flowsBySize = flows.filter(flow => !cachedAnalyses.has(flow.Id)).map(flow => ({
+        flow,
+        estimatedSize: JSON.stringify(flow).length
+    })).sort((a, b) => a.estimatedSize - b.estimatedSize);
+    
+    let currentChunk = [];
+    let currentChunkSize = 0;
+    // Ultra-conservative limit to avoid 529 errors, smaller still for small local models
+    const maxChunkSize = Math.min(12000, Math.floor(getPromptCharacterLimit(provider, options) / 2));
+    
+    for (const { flow, estimatedSize } of flowsBySize) {
+        // If adding this flow would exceed limit, start new chunk
+        if (currentChunk.length > 0 && (currentChunkSize + estimatedSize > maxChunkSize || currentChunk.length >= 2)) {
+            chunks.push(currentChunk);
+            currentChunk = [];
+            currentChunkSize = 0;
+        }
+        
+        currentChunk.push(flow);
+        currentChunkSize += estimatedSize;
+    }
+    
+    // Add remaining flows as final chunk
+    if (currentChunk.length > 0) {
+        chunks.push(currentChunk);
+    }
+    
+    console.error(`Processing ${flows.length} flows in ${chunks.length} chunks (adaptive sizing for reliability)`);
+    
+    // Process each chunk to get detailed individual flow analysis
+    const allFlowAnalyses = [];
+    
+    // Unchanged flows keep their earlier analysis
+    flows.filter(flow => cachedAnalyses.has(flow.Id)).forEach(flow => {
+        const analysis = { ...cachedAnalyses.get(flow.Id), name: getFlowName(flow), flowId: flow.Id };
+        allFlowAnalyses.push(analysis);
+        reportProgress(options, { type: 'flow', analysis });
+    });
+    
+    for (let i = 0; i < chunks.length; i++) {
+        const chunk = chunks[i];
+        const chunkNames = chunk.map(f => f.MasterLabel || f.FullName);
+        console.error(`Processing chunk ${i + 1}/${chunks.length}: ${chunk.length} flows`);
+        throwIfCancelled(options);
+        reportProgress(options, {
+            type: 'progress',
+            message: `Analyzing chunk ${i + 1}/${chunks.length}: ${chunkNames.join(', ')}`,
+            percent: Math.round((i / chunks.length) * 90), // 0% to 90%, the rest is the global analysis
+            current: allFlowAnalyses.length,
+            total: flows.length
+        });
+        
+        const chunkData = {
+            metadata: flowsData.metadata,
+            flows: chunk
+        };
+        
+        const flowAnalysisPrompt = `You are a Salesforce Flow Analyst. You MUST analyze ALL ${chunk.length} flows provided in this chunk. Do not skip any flows.
+
+Provide a "flows" array with one entry per flow:
+${FLOW_ANALYSIS_FIELDS}
+
+CRITICAL REQUIREMENTS:
+- ANALYZE ALL ${chunk.length} FLOWS - DO NOT SKIP ANY
+- Use the exact flow names from the data
+- Use simple language, avoid technical jargon
+- Make recommendations actionable for Salesforce admins
+
+${createSchemaSection(FLOWS_SCHEMA)}
+
+The ${chunk.length} flows you must analyze are: ${chunkNames.join(', ')}
+
+Flow data:
+${JSON.stringify(chunkData)}${createFlowDiagramsSection(chunk)}${createGovernorLimitsSection(flowsData, chunk)}${createValidationRulesSection(flowsData, chunk)}`;
+
+        console.error(`Chunk ${i + 1} data size: ${JSON.stringify(chunkData).length} characters`);
+
+        try {
+            const chunkResponse = await requestStructuredAnalysis(provider, apiKey, flowAnalysisPrompt, FLOWS_SCHEMA, chunk, options);
+            
+            const chunkAnalyses = matchFlowAnalyses(chunkResponse.flows, chunk);
+            allFlowAnalyses.push(...chunkAnalyses);
+            chunkAnalyses.forEach(analysis => reportProgress(options, { type: 'flow', analysis }));
+            
+            // Add longer delay between chunks to avoid API overload
+            if (i < chunks.length - 1) {
+                console.error(`Waiting 5 seconds before next chunk...`);
+                await pause(5000, options);
+            }
+            
+        } catch (error) {
+            // A cancelled job stops here rather than recording the chunk as failed
+            throwIfCancelled(options);
+            console.error(`Error processing chunk ${i + 1}:`, error.message);
+            reportProgress(options, { type: 'chunk-error', chunk: i + 1, totalChunks: chunks.length, flows: chunkNames, message: error.message });
+            // Add placeholder analysis for failed chunks
+            for (const flow of chunk) {
+                allFlowAnalyses.push(unavailableFlowAnalysis(flow, 'Analysis temporarily unavailable for this flow. Please retry the analysis.'));
+            }
+        }
+    }
+    
+    // Now generate organization-level analysis using summarized data
+    console.error('Generating organization-level analysis...');
+    throwIfCancelled(options);
+    reportProgress(options, { type: 'progress', message: 'Generating global analysis...', percent: 90, current: allFlowAnalyses.length, total: flows.length });
+    
+    const orgSummary = createOrgSummaryForAnalysis(flowsData, allFlowAnalyses);
+    const orgAnalysisPrompt = `You are a Salesforce Flow Analyst. Analyze the global flow architecture.
+
+Provide these fields:
+${GLOBAL_ANALYSIS_FIELDS}
+
+Requirements:
+- Focus on architectural and global patterns
+- Be specific about implementation steps
+- Make recommendations actionable for Salesforce admins
+
+${createSchemaSection(GLOBAL_ANALYSIS_SCHEMA)}
+
+Global summary:
+${JSON.stringify(orgSummary)}`;
+
+    try {
+        const orgResult = await requestStructuredAnalysis(provider, apiKey, orgAnalysisPrompt, GLOBAL_ANALYSIS_SCHEMA, null, options);
+        
+        // Combine global-level analysis with detailed flow analyses
+        return {
+            overview: orgResult.overview,
+            risks: orgResult.risks,
+            improvements: orgResult.improvements,
+            flows: allFlowAnalyses
+        };
+        
+    } catch (error) {
+        console.error('Error generating global analysis:', error.message);
+        return {
+            overview: `This selection has ${flows.length} flows across various business processes. Detailed global analysis temporarily unavailable.`,
+            risks: [],
+            improvements: [],
+            flows: allFlowAnalyses
+        };
+    }
+}
+
+function createOrgSummaryForAnalysis(flowsData, flowAnalyses) {
+    const flows = flowsData.flows;
+    
+    // Create a high-level summary for org analysis
+    const summary = {
+        metadata: {
+            totalFlows: flows.length,
+            orgAlias: flowsData.metadata.orgAlias,
+            flowTypes: {}
+        },
+        patterns: {
+            triggerTypes: {},
+            commonElements: {},
+            businessAreas: []
+        },
+        flowSummaries: flowAnalyses.map(analysis => ({
+            name: analysis.name,
+            businessSummary: analysis.businessDescription.substring(0, 100) + '...',
+            keyImprovements: analysis.mustHave.map(improvement => improvement.title)
+        }))
+    };
+    
+    // Analyze patterns across flows
+    flows.forEach(flow => {
+        // Flow types
+        const type = flow.ProcessType || 'Unknown';
+        summary.metadata.flowTypes[type] = (summary.metadata.flowTypes[type] || 0) + 1;
+        
+        // Trigger types
+        if (flow.Metadata?.start?.triggerType) {
+            const trigger = flow.Metadata.start.triggerType;
+            summary.patterns.triggerTypes[trigger] = (summary.patterns.triggerTypes[trigger] || 0) + 1;
+        }
+        
+        // Common elements
+        if (flow.Metadata) {
+            ['recordUpdates', 'recordCreates', 'decisions', 'actionCalls'].forEach(element => {
+                if (flow.Metadata[element]?.length > 0) {
+                    summary.patterns.commonElements[element] = (summary.patterns.commonElements[element] || 0) + 1;
+                }
+            });
+        }
+    });
+    
+    // Estimated governor limit overruns of flows and record-triggered chains (see governor-limits.js)
+    const governorLimits = buildGovernorLimitReport(flowsData);
+    summary.patterns.governorLimitRisks = [...governorLimits.chains, ...governorLimits.flows]
+        .flatMap(entry => entry.issues.map(issue => issue.message))
+        .slice(0, 20);
+    
+    // Validation rule findings by severity (see validation-rules.js)
+    if (flowsData.validationRules) {
+        summary.patterns.validationRuleFindings = buildValidationRuleReport(flowsData, flowsData.validationRules).summary.bySeverity;
+    }
+    
+    return summary;
+}
+
+// What follow-up chat needs to know about the analyzed flows, kept in place of the flows
+// themselves once an analysis is done
+function summarizeFlowsForChat(flowsData) {
+    const flows = flowsData?.flows || [];
+    return {
+        totalFlows: flowsData?.metadata?.totalFlows || flows.length,
+        orgAlias: flowsData?.metadata?.orgAlias || 'Unknown',
+        flowNames: flows.map(flow => flow.MasterLabel || flow.FullName),
+        flowTypes: flows.reduce((types, flow) => {
+            const type = flow.ProcessType || 'Unknown';
+            types[type] = (types[type] || 0) + 1;
+            return types;
+        }, {})
+    };
+}
+
+module.exports = {
+    AI_ANALYSIS_PROMPT,
+    compressFlowData,
+    performAIAnalysis,
+    performSingleAnalysis,
+    performChunkedAnalysis,
+    createOrgSummaryForAnalysis,
+    summarizeFlowsForChat,
+    requestStructuredAnalysis,
+    unavailableFlowAnalysis
+};
@@ -0,0 +1,359 @@
+// AI provider registry: one entry per provider with its model, token limits,
+// retry policy and request/response format. Adding a provider only touches this file.
+const axios = require('axios');
+
+// Conservative characters-per-token ratio for sizing prompts against a context window
+const CHARS_PER_TOKEN = 3;
+
+const NO_RETRY = { retries: 0, statuses: [], baseDelay: 0 };
+
+// Chat Completions format shared by OpenAI, Mistral and OpenAI-compatible servers (Ollama, llama.cpp, vLLM).
+// jsonMode is how the server enforces a response schema: 'json_schema' (strict structured
+// output) or 'json_object' (valid JSON only; the schema itself is in the prompt).
+function chatCompletionsRequest(jsonMode) {
+    return (settings, prompt, schema) => {
+        const body = {
+            model: settings.model,
+            messages: [
+                {
+                    role: 'user',
+                    content: prompt
+                }
+            ],
+            max_tokens: settings.maxTokens,
+            temperature: settings.temperature
+        };
+        if (schema) {
+            body.response_format = jsonMode === 'json_schema' ?
+                { type: 'json_schema', json_schema: { name: schema.name, schema: schema.schema, strict: true } } :
+                { type: 'json_object' };
+        }
+
+        return {
+            url: `${settings.baseUrl}/chat/completions`,
+            body,
+            headers: settings.apiKey ? { 'Authorization': `Bearer ${settings.apiKey}` } : {}
+        };
+    };
+}
+
+function parseChatCompletionsResponse(data) {
+    const content = data?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+        throw new Error('Invalid response format: no message content in chat completion');
+    }
+    return content;
+}
+
+// Gemini takes an OpenAPI-style schema without additionalProperties
+function toGeminiSchema(schema) {
+    const { additionalProperties, properties, items, ...rest } = schema;
+    const converted = { ...rest };
+    if (properties) {
+        converted.properties = {};
+        Object.keys(properties).forEach(key => {
+            converted.properties[key] = toGeminiSchema(properties[key]);
+        });
+    }
+    if (items) {
+        converted.items = toGeminiSchema(items);
+    }
+    return converted;
+}
+
+const providers = new Map();
+
+function registerProvider(provider) {
+    providers.set(provider.id, {
+        requiresApiKey: true,
+        temperature: 0.7,
+        timeout: 0,
+        retry: NO_RETRY,
+        ...provider
+    });
+}
+
+registerProvider({
+    id: 'openai',
+    label: 'OpenAI',
+    envPrefix: 'OPENAI',
+    apiKeyUrl: 'https://platform.openai.com/api-keys',
+    apiKeyFormat: 'sk-...',
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o',
+    maxTokens: 8000,
+    contextWindow: 128000,
+    retry: { retries: 2, statuses: [429, 502, 503], baseDelay: 2000 },
+    createRequest: chatCompletionsRequest('json_schema'),
+    parseResponse: parseChatCompletionsResponse
+});
+
+registerProvider({
+    id: 'claude',
+    label: 'Anthropic Claude',
+    envPrefix: 'ANTHROPIC',
+    apiKeyUrl: 'https://console.anthropic.com/',
+    apiKeyFormat: 'sk-ant-api03-...',
+    baseUrl: 'https://api.anthropic.com/v1',
+    model: 'claude-3-5-sonnet-20241022',
+    maxTokens: 8000,
+    contextWindow: 200000,
+    temperature: 0.3,
+    timeout: 120000, // 2 minute timeout
+    // Retry on 529 (overloaded) errors with aggressive backoff: 3s, 6s, 12s, 24s
+    retry: { retries: 4, statuses: [529], baseDelay: 3000 },
+    createRequest: (settings, prompt, schema) => {
+        const body = {
+            model: settings.model,
+            max_tokens: settings.maxTokens,
+            temperature: settings.temperature,
+            messages: [
+                {
+                    role: 'user',
+                    content: prompt
+                }
+            ]
+        };
+        // Structured output through a forced tool call whose input is the schema
+        if (schema) {
+            body.tools = [{ name: schema.name, description: 'Record the analysis', input_schema: schema.schema }];
+            body.tool_choice = { type: 'tool', name: schema.name };
+        }
+
+        return {
+            url: `${settings.baseUrl}/messages`,
+            body,
+            headers: {
+                'x-api-key': settings.apiKey,
+                'anthropic-version': '2023-06-01'
+            }
+        };
+    },
+    parseResponse: data => {
+        const toolUse = data?.content?.find(block => block.type === 'tool_use');
+        if (toolUse) {
+            return JSON.stringify(toolUse.input);
+        }
+        const text = data?.content?.[0]?.text;
+        if (typeof text !== 'string') {
+            throw new Error('Invalid response format from Claude API');
+        }
+        return text;
+    }
+});
+
+registerProvider({
+    id: 'mistral',
+    label: 'Mistral AI',
+    envPrefix: 'MISTRAL',
+    apiKeyUrl: 'https://console.mistral.ai/',
+    apiKeyFormat: 'starts with your account identifier',
+    baseUrl: 'https://api.mistral.ai/v1',
+    model: 'mistral-large-latest',
+    maxTokens: 8000,
+    contextWindow: 128000,
+    retry: { retries: 2, statuses: [429, 502, 503], baseDelay: 2000 },
+    createRequest: chatCompletionsRequest('json_object'),
+    parseResponse: parseChatCompletionsResponse
+});
+
+registerProvider({
+    id: 'gemini',
+    label: 'Google Gemini',
+    envPrefix: 'GEMINI',
+    apiKeyUrl: 'https://makersuite.google.com/app/apikey',
+    apiKeyFormat: 'AIza... (if you get 404 errors, verify your key format and regional availability)',
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta', // responseSchema is not available in v1
+    model: 'gemini-1.5-flash',
+    maxTokens: 8000,
+    contextWindow: 1048576,
+    timeout: 60000, // 60 second timeout
+    retry: { retries: 2, statuses: [429, 503], baseDelay: 2000 },
+    validateApiKey: apiKey => {
+        if (!apiKey.startsWith('AIza')) {
+            throw new Error('Invalid Gemini API key format. Key should start with "AIza". Get a valid key from Google AI Studio (makersuite.google.com).');
+        }
+    },
+    createRequest: (settings, prompt, schema) => {
+        const generationConfig = {
+            temperature: settings.temperature,
+            maxOutputTokens: settings.maxTokens
+        };
+        if (schema) {
+            generationConfig.responseMimeType = 'application/json';
+            generationConfig.responseSchema = toGeminiSchema(schema.schema);
+        }
+
+        return {
+            url: `${settings.baseUrl}/models/${encodeURIComponent(settings.model)}:generateContent?key=${settings.apiKey}`,
+            body: {
+                contents: [{
+                    parts: [{
+                        text: prompt
+                    }]
+                }],
+                generationConfig
+            },
+            headers: {}
+        };
+    },
+    parseResponse: data => {
+        if (!data?.candidates?.[0]?.content?.parts?.[0]?.text) {
+            throw new Error('Invalid response format from Gemini API');
+        }
+        return data.candidates[0].content.parts[0].text;
+    },
+    describeError: error => {
+        if (error.response?.status === 404) {
+            return new Error('Gemini API endpoint not found. Please check your API key and ensure you have access to Gemini API. Get a valid key from Google AI Studio (makersuite.google.com).');
+        } else if (error.response?.status === 403) {
+            return new Error('Gemini API access denied. Check your API key permissions and billing setup in Google AI Studio.');
+        } else if (error.response?.status === 429) {
+            return new Error('Gemini API rate limit exceeded. Please wait a moment and try again.');
+        } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
+            return new Error('Network error connecting to Gemini API. Please check your internet connection.');
+        }
+        return new Error(`Gemini API error: ${error.message}`);
+    }
+});
+
+// Any OpenAI-compatible server, e.g. a local Ollama (http://localhost:11434/v1) or
+// llama.cpp server, so flow metadata never leaves the network
+registerProvider({
+    id: 'custom',
+    label: 'Custom OpenAI-compatible endpoint',
+    envPrefix: 'CUSTOM_AI',
+    apiKeyFormat: 'optional; most local servers do not need one',
+    baseUrl: null,
+    model: null,
+    maxTokens: 2048,
+    contextWindow: 8192,
+    timeout: 600000, // local models on CPU can take minutes per chunk
+    requiresApiKey: false,
+    retry: { retries: 1, statuses: [502, 503], baseDelay: 5000 },
+    createRequest: chatCompletionsRequest('json_object'),
+    parseResponse: parseChatCompletionsResponse,
+    describeError: error => {
+        if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+            return new Error(`Cannot reach the custom AI endpoint (${error.config?.url || 'unknown URL'}). Is the local model server running?`);
+        }
+        return error;
+    }
+});
+
+function getProvider(providerId) {
+    const provider = providers.get(providerId);
+    if (!provider) {
+        throw new Error(`Unsupported AI provider: ${providerId}`);
+    }
+    return provider;
+}
+
+function readNumber(variable, fallback) {
+    const value = Number(process.env[variable]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// Effective settings for one call. Every provider can be tuned through
+// <PREFIX>_MODEL, <PREFIX>_MAX_TOKENS, <PREFIX>_CONTEXT_WINDOW and <PREFIX>_BASE_URL;
+// a model passed by the caller wins over the environment.
+function resolveProviderSettings(providerId, options = {}) {
+    const provider = getProvider(providerId);
+    const env = suffix => process.env[`${provider.envPrefix}_${suffix}`];
+    const baseUrl = options.baseUrl || env('BASE_URL') || provider.baseUrl || '';
+
+    return {
+        provider: provider.id,
+        // Keyless providers point at self-hosted servers, so the operator's key may be used
+        apiKey: options.apiKey || (provider.requiresApiKey ? '' : env('API_KEY') || ''),
+        model: options.model || env('MODEL') || provider.model,
+        baseUrl: baseUrl.replace(/\/+$/, ''),
+        maxTokens: readNumber(`${provider.envPrefix}_MAX_TOKENS`, provider.maxTokens),
+        contextWindow: readNumber(`${provider.envPrefix}_CONTEXT_WINDOW`, provider.contextWindow),
+        temperature: provider.temperature
+    };
+}
+
+// Characters of prompt that fit in the context window next to the response
+function getPromptCharacterLimit(providerId, options = {}) {
+    const { maxTokens, contextWindow } = resolveProviderSettings(providerId, options);
+    return Math.max(contextWindow - maxTokens, 0) * CHARS_PER_TOKEN;
+}
+
+// Provider list for the UI and CLI help, without request internals
+function listProviders() {
+    return Array.from(providers.values()).map(provider => {
+        const settings = resolveProviderSettings(provider.id);
+        return {
+            id: provider.id,
+            label: provider.label,
+            model: settings.model,
+            maxTokens: settings.maxTokens,
+            contextWindow: settings.contextWindow,
+            promptCharacterLimit: getPromptCharacterLimit(provider.id),
+            requiresApiKey: provider.requiresApiKey,
+            apiKeyVariable: `${provider.envPrefix}_API_KEY`,
+            apiKeyUrl: provider.apiKeyUrl || null,
+            apiKeyFormat: provider.apiKeyFormat || null,
+            available: !!(settings.baseUrl && settings.model)
+        };
+    });
+}
+
+// Settings for a call, or an error explaining what is missing
+function assertProviderConfigured(providerId, apiKey, options = {}) {
+    const provider = getProvider(providerId);
+    const settings = resolveProviderSettings(providerId, { ...options, apiKey });
+
+    if (!settings.baseUrl) {
+        throw new Error(`${provider.label} is not configured. Set ${provider.envPrefix}_BASE_URL.`);
+    }
+    if (!settings.model) {
+        throw new Error(`No model configured for ${provider.label}. Set ${provider.envPrefix}_MODEL.`);
+    }
+    if (provider.requiresApiKey && !settings.apiKey) {
+        throw new Error(`Missing API key for ${provider.label}`);
+    }
+    provider.validateApiKey?.(settings.apiKey);
+    return settings;
+}
+
+async function callProvider(providerId, apiKey, prompt, options = {}) {
+    const provider = getProvider(providerId);
+    const settings = assertProviderConfigured(providerId, apiKey, options);
+
+    console.error(`${provider.label} API call (${settings.model}) - Prompt length: ${prompt.length} characters`);
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const { url, body, headers } = provider.createRequest(settings, prompt, options.schema);
+            const response = await axios.post(url, body, {
+                headers: { 'Content-Type': 'application/json', ...headers },
+                timeout: provider.timeout,
+                signal: options.signal
+            });
+            return provider.parseResponse(response.data);
+        } catch (error) {
+            const status = error.response?.status;
+            console.error(`${provider.label} API error: ${status} - ${error.response?.data?.error?.message || error.message}`);
+
+            if (!options.signal?.aborted && attempt < provider.retry.retries && provider.retry.statuses.includes(status)) {
+                const waitTime = Math.pow(2, attempt) * provider.retry.baseDelay;
+                console.error(`${provider.label} API returned ${status}, retrying in ${waitTime}ms (attempt ${attempt + 1}/${provider.retry.retries + 1})`);
+                await new Promise(resolve => setTimeout(resolve, waitTime));
+                continue;
+            }
+            throw provider.describeError ? provider.describeError(error) : error;
+        }
+    }
+}
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    resolveProviderSettings,
+    getPromptCharacterLimit,
+    listProviders,
+    assertProviderConfigured,
+    callProvider
+};
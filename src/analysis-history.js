@@ -0,0 +1,277 @@
+// Analysis history and per-flow result cache, kept as JSON files per org so past reports
+// survive logout and restarts, and unchanged flows are not sent to the AI again:
+//   <directory>/<org hash>/runs.json         - summaries of the org's runs, newest first
+//   <directory>/<org hash>/runs/<id>.json    - one finished run with its full result
+//   <directory>/<org hash>/flow-cache.json   - latest analysis per provider, model and flow Id,
+//                                              with the hash of the flow Metadata it was made from
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { performAIAnalysis } = require('./ai-analysis');
+
+const MAX_RUNS = 50; // per org; the oldest runs are removed first
+const RUN_ID_PATTERN = /^[a-f0-9-]+$/;
+
+function hash(value) {
+    return crypto.createHash('sha256').update(String(value || '')).digest('hex');
+}
+
+// Changes whenever the flow's definition does, so edited flows are analyzed again
+function hashFlowMetadata(flow) {
+    return hash(JSON.stringify(flow.Metadata || null));
+}
+
+// Identifies the set of flows a local source holds, so two projects loaded in one session keep
+// separate histories while edits to one project's flows stay in its own
+function hashFlowSet(flows) {
+    return hash(flows.map(flow => flow.Id).sort().join('\n'));
+}
+
+// Analyses are only reused for the provider and model that made them
+function getCacheKey(provider, model, flowId) {
+    return `${provider}/${model || 'default'}/${flowId}`;
+}
+
+function sumEstimatedHours(flowAnalyses) {
+    return flowAnalyses.reduce((total, analysis) => total + (analysis.estimatedHours || 0), 0);
+}
+
+// Run summary for listings: everything but the result
+function summarizeRun(run) {
+    const { result, flows, ...summary } = run;
+    return summary;
+}
+
+class AnalysisHistory {
+    constructor({ directory, maxRuns = MAX_RUNS }) {
+        this.directory = directory;
+        this.maxRuns = maxRuns;
+        // Read-modify-write updates of one org's files, chained so they never interleave
+        this.orgUpdates = new Map();
+        fs.mkdirSync(directory, { recursive: true });
+    }
+
+    // org: { id, label } where id identifies the org or local source (see getHistoryOrg in server.js)
+    orgDirectory(org) {
+        return path.join(this.directory, hash(org.id));
+    }
+
+    runPath(org, id) {
+        if (!RUN_ID_PATTERN.test(id)) {
+            throw new Error('Invalid run ID');
+        }
+        return path.join(this.orgDirectory(org), 'runs', `${id}.json`);
+    }
+
+    async readJson(filePath, fallback) {
+        try {
+            return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return fallback;
+            throw error;
+        }
+    }
+
+    // Write then rename so a crash never leaves a half-written file
+    async writeJson(filePath, value) {
+        const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify(value), { mode: 0o600 });
+        await fs.promises.rename(tempPath, filePath);
+    }
+
+    updateOrg(org, update) {
+        const key = hash(org.id);
+        const previous = this.orgUpdates.get(key) || Promise.resolve();
+        const next = previous.catch(() => {}).then(update);
+        this.orgUpdates.set(key, next);
+        next.catch(() => {}).then(() => {
+            if (this.orgUpdates.get(key) === next) this.orgUpdates.delete(key);
+        });
+        return next;
+    }
+
+    // Cached analyses by the same provider and model of the flows whose Metadata has not changed
+    // since, keyed by flow Id
+    async getCachedAnalyses(org, flows, provider, model) {
+        const cache = await this.readJson(path.join(this.orgDirectory(org), 'flow-cache.json'), {});
+        const cachedAnalyses = new Map();
+        flows.forEach(flow => {
+            const entry = cache[getCacheKey(provider, model, flow.Id)];
+            if (entry && entry.metadataHash === hashFlowMetadata(flow)) {
+                cachedAnalyses.set(flow.Id, { ...entry.analysis, cached: true, analyzedAt: entry.analyzedAt });
+            }
+        });
+        return cachedAnalyses;
+    }
+
+    async recordRun({ org, provider, model, flowsData, result }) {
+        const run = {
+            id: crypto.randomUUID(),
+            org: { label: org.label },
+            createdAt: new Date().toISOString(),
+            provider,
+            model: model || null,
+            totalFlows: flowsData.flows.length,
+            cachedFlows: result.flows.filter(analysis => analysis.cached).length,
+            estimatedHours: sumEstimatedHours(result.flows),
+            metadata: flowsData.metadata,
+            flows: flowsData.flows.map(flow => ({
+                Id: flow.Id,
+                FullName: flow.FullName,
+                MasterLabel: flow.MasterLabel,
+                isActive: flow.isActive,
+                metadataHash: hashFlowMetadata(flow)
+            })),
+            result
+        };
+
+        await this.updateOrg(org, async () => {
+            const orgDirectory = this.orgDirectory(org);
+            await this.writeJson(this.runPath(org, run.id), run);
+
+            // Flows analyzed in this run replace their cache entries; placeholders and reused analyses do not
+            const cachePath = path.join(orgDirectory, 'flow-cache.json');
+            const cache = await this.readJson(cachePath, {});
+            const hashes = new Map(run.flows.map(flow => [flow.Id, flow.metadataHash]));
+            result.flows.filter(analysis => !analysis.cached && !analysis.unavailable && hashes.has(analysis.flowId)).forEach(analysis => {
+                const { flowId, ...stored } = analysis;
+                cache[getCacheKey(provider, model, flowId)] = { metadataHash: hashes.get(flowId), analyzedAt: run.createdAt, analysis: stored };
+            });
+            await this.writeJson(cachePath, cache);
+
+            const indexPath = path.join(orgDirectory, 'runs.json');
+            const runs = [summarizeRun(run), ...await this.readJson(indexPath, [])];
+            const removed = runs.splice(this.maxRuns);
+            await this.writeJson(indexPath, runs);
+            await Promise.all(removed.map(old => fs.promises.unlink(this.runPath(org, old.id)).catch(() => {})));
+        });
+
+        console.log(`🗂️ Saved analysis run ${run.id} (${run.totalFlows} flows, ${run.cachedFlows} from cache)`);
+        return run;
+    }
+
+    list(org) {
+        return this.readJson(path.join(this.orgDirectory(org), 'runs.json'), []);
+    }
+
+    // Unknown and malformed IDs alike resolve to null
+    async get(org, id) {
+        if (!RUN_ID_PATTERN.test(id)) return null;
+        return this.readJson(this.runPath(org, id), null);
+    }
+
+    async remove(org, id) {
+        if (!RUN_ID_PATTERN.test(id)) return false;
+        return this.updateOrg(org, async () => {
+            const indexPath = path.join(this.orgDirectory(org), 'runs.json');
+            const runs = await this.readJson(indexPath, []);
+            if (!runs.some(run => run.id === id)) return false;
+
+            await this.writeJson(indexPath, runs.filter(run => run.id !== id));
+            await fs.promises.unlink(this.runPath(org, id)).catch(() => {});
+            return true;
+        });
+    }
+
+    // performAIAnalysis with cached analyses of unchanged flows (unless options.useCache is false),
+    // saving the run to the history. History errors are logged, never fail the analysis.
+    async analyze(org, provider, apiKey, flowsData, options = {}) {
+        let cachedAnalyses = new Map();
+        if (org && options.useCache !== false) {
+            try {
+                cachedAnalyses = await this.getCachedAnalyses(org, flowsData.flows, provider, options.model);
+            } catch (error) {
+                console.error('Failed to read the analysis cache:', error.message);
+            }
+        }
+
+        const result = await performAIAnalysis(provider, apiKey, flowsData, { ...options, cachedAnalyses });
+
+        let run = null;
+        if (org) {
+            try {
+                run = await this.recordRun({ org, provider, model: options.model, flowsData, result });
+            } catch (error) {
+                console.error('Failed to save the analysis run:', error.message);
+            }
+        }
+        return { result, run };
+    }
+}
+
+function describeImprovementChanges(before, after) {
+    const beforeTitles = new Set(before.map(improvement => improvement.title));
+    const afterTitles = new Set(after.map(improvement => improvement.title));
+    return {
+        added: after.filter(improvement => !beforeTitles.has(improvement.title)).map(improvement => improvement.title),
+        removed: before.filter(improvement => !afterTitles.has(improvement.title)).map(improvement => improvement.title)
+    };
+}
+
+// What changed between two runs of the same org: flows added, removed or re-analyzed with
+// different findings, risks that appeared or went away, and the estimated effort
+function compareRuns(before, after) {
+    const beforeFlows = new Map(before.result.flows.map(analysis => [analysis.flowId, analysis]));
+    const afterFlows = new Map(after.result.flows.map(analysis => [analysis.flowId, analysis]));
+    const beforeHashes = new Map(before.flows.map(flow => [flow.Id, flow.metadataHash]));
+    const afterHashes = new Map(after.flows.map(flow => [flow.Id, flow.metadataHash]));
+
+    const flowIds = [...new Set([...beforeFlows.keys(), ...afterFlows.keys()])];
+    const flows = flowIds.map(flowId => {
+        const from = beforeFlows.get(flowId);
+        const to = afterFlows.get(flowId);
+        const entry = {
+            flowId,
+            name: (to || from).name,
+            status: !from ? 'added' : !to ? 'removed' : 'unchanged',
+            definitionChanged: !!from && !!to && beforeHashes.get(flowId) !== afterHashes.get(flowId),
+            estimatedHours: { from: from ? from.estimatedHours : null, to: to ? to.estimatedHours : null }
+        };
+        if (from && to) {
+            entry.mustHave = describeImprovementChanges(from.mustHave, to.mustHave);
+            entry.niceToHave = describeImprovementChanges(from.niceToHave, to.niceToHave);
+            const findingsChanged = [entry.mustHave, entry.niceToHave].some(change => change.added.length + change.removed.length > 0);
+            if (findingsChanged || entry.definitionChanged || from.estimatedHours !== to.estimatedHours) {
+                entry.status = 'changed';
+            }
+        }
+        return entry;
+    });
+
+    const beforeRisks = new Set(before.result.risks.map(risk => risk.title));
+    const afterRisks = new Set(after.result.risks.map(risk => risk.title));
+    const count = status => flows.filter(flow => flow.status === status).length;
+
+    return {
+        from: summarizeRun(before),
+        to: summarizeRun(after),
+        summary: {
+            added: count('added'),
+            removed: count('removed'),
+            changed: count('changed'),
+            unchanged: count('unchanged'),
+            estimatedHours: { from: before.estimatedHours, to: after.estimatedHours }
+        },
+        risks: {
+            added: after.result.risks.filter(risk => !beforeRisks.has(risk.title)),
+            removed: before.result.risks.filter(risk => !afterRisks.has(risk.title))
+        },
+        flows
+    };
+}
+
+function createAnalysisHistory() {
+    return new AnalysisHistory({
+        directory: process.env.HISTORY_DIR || path.join(__dirname, '..', '.history')
+    });
+}
+
+module.exports = {
+    AnalysisHistory,
+    hashFlowMetadata,
+    hashFlowSet,
+    summarizeRun,
+    compareRuns,
+    createAnalysisHistory
+};
@@ -0,0 +1,157 @@
+// JSON schemas for AI analysis responses, with a small validator for the subset of
+// JSON Schema they use (type, enum, required, properties, additionalProperties, items).
+// The schemas follow OpenAI's strict structured-output rules: every property is
+// required and no additional properties are allowed.
+
+const IMPROVEMENT_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['title', 'description', 'estimatedHours'],
+    properties: {
+        title: { type: 'string' },
+        description: { type: 'string' },
+        estimatedHours: { type: 'number' }
+    }
+};
+
+const FLOW_ANALYSIS_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['name', 'businessDescription', 'mustHave', 'niceToHave', 'estimatedHours'],
+    properties: {
+        name: { type: 'string' },
+        businessDescription: { type: 'string' },
+        mustHave: { type: 'array', items: IMPROVEMENT_SCHEMA },
+        niceToHave: { type: 'array', items: IMPROVEMENT_SCHEMA },
+        estimatedHours: { type: 'number' }
+    }
+};
+
+const RISK_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['title', 'description', 'severity'],
+    properties: {
+        title: { type: 'string' },
+        description: { type: 'string' },
+        severity: { type: 'string', enum: ['high', 'medium', 'low'] }
+    }
+};
+
+const GLOBAL_IMPROVEMENT_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['title', 'benefits', 'steps'],
+    properties: {
+        title: { type: 'string' },
+        benefits: { type: 'string' },
+        steps: { type: 'array', items: { type: 'string' } }
+    }
+};
+
+const GLOBAL_PROPERTIES = {
+    overview: { type: 'string' },
+    risks: { type: 'array', items: RISK_SCHEMA },
+    improvements: { type: 'array', items: GLOBAL_IMPROVEMENT_SCHEMA }
+};
+
+// Named schemas, as passed to providers' structured-output modes
+
+// Whole analysis in one response (small selections)
+const ANALYSIS_SCHEMA = {
+    name: 'flow_analysis',
+    schema: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['overview', 'risks', 'improvements', 'flows'],
+        properties: {
+            ...GLOBAL_PROPERTIES,
+            flows: { type: 'array', items: FLOW_ANALYSIS_SCHEMA }
+        }
+    }
+};
+
+// Individual flows of one chunk (chunked analysis)
+const FLOWS_SCHEMA = {
+    name: 'flow_chunk_analysis',
+    schema: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['flows'],
+        properties: {
+            flows: { type: 'array', items: FLOW_ANALYSIS_SCHEMA }
+        }
+    }
+};
+
+// Global sections only (chunked analysis, after every chunk)
+const GLOBAL_ANALYSIS_SCHEMA = {
+    name: 'flow_global_analysis',
+    schema: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['overview', 'risks', 'improvements'],
+        properties: GLOBAL_PROPERTIES
+    }
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+// Validation errors as "path: problem" strings; an empty array means the value is valid
+function validateAgainstSchema(value, schema, path = '$') {
+    const actual = typeOf(value);
+    if (schema.type && actual !== schema.type) {
+        return [`${path}: expected ${schema.type}, got ${actual}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${path}: must be one of ${schema.enum.join(', ')}`];
+    }
+
+    const errors = [];
+    if (actual === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push(`${path}.${key}: missing`);
+        });
+        Object.keys(value).forEach(key => {
+            const propertySchema = schema.properties?.[key];
+            if (propertySchema) {
+                errors.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key}: unexpected property`);
+            }
+        });
+    } else if (actual === 'array' && schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+        });
+    }
+    return errors;
+}
+
+// JSON from a model response: tolerates Markdown code fences and text around the object
+function extractJson(text) {
+    const unfenced = String(text).replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '');
+    try {
+        return JSON.parse(unfenced);
+    } catch (error) {
+        const start = unfenced.indexOf('{');
+        const end = unfenced.lastIndexOf('}');
+        if (start === -1 || end <= start) {
+            throw new Error('Response does not contain a JSON object');
+        }
+        return JSON.parse(unfenced.slice(start, end + 1));
+    }
+}
+
+module.exports = {
+    ANALYSIS_SCHEMA,
+    FLOWS_SCHEMA,
+    GLOBAL_ANALYSIS_SCHEMA,
+    FLOW_ANALYSIS_SCHEMA,
+    validateAgainstSchema,
+    extractJson
+};
@@ -0,0 +1,207 @@
+// Org-wide dependency graph: which flows call which subflows and Apex actions,
+// which objects and fields they write, and which platform events they use
+const {
+    getFlowName,
+    getFlowApiName,
+    asArray,
+    getElementObject
+} = require('./flow-elements');
+
+const DML_EDGE_TYPES = {
+    recordCreates: 'creates',
+    recordUpdates: 'updates',
+    recordDeletes: 'deletes',
+    recordLookups: 'reads'
+};
+
+function isPlatformEvent(objectName) {
+    return typeof objectName === 'string' && objectName.endsWith('__e');
+}
+
+function createGraphBuilder() {
+    const nodes = new Map();
+    const edges = new Map();
+
+    const addNode = (id, type, label, extra = {}) => {
+        const existing = nodes.get(id);
+        if (!existing) {
+            nodes.set(id, { id, type, label, ...extra });
+        } else if (existing.missing && extra.missing === false) {
+            // A subflow seen before its own flow record gets the full details later
+            Object.assign(existing, extra, { label });
+        }
+        return id;
+    };
+
+    const addEdge = (source, target, type, elementName) => {
+        const key = `${source}|${target}|${type}`;
+        if (!edges.has(key)) {
+            edges.set(key, { source, target, type, elements: [] });
+        }
+        const edge = edges.get(key);
+        if (elementName && !edge.elements.includes(elementName)) {
+            edge.elements.push(elementName);
+        }
+    };
+
+    return {
+        addNode,
+        addEdge,
+        build: () => ({
+            nodes: Array.from(nodes.values()),
+            edges: Array.from(edges.values())
+        })
+    };
+}
+
+function addFlowDependencies(builder, flow) {
+    const metadata = flow.Metadata || {};
+    const flowId = builder.addNode(`flow:${getFlowApiName(flow)}`, 'flow', getFlowName(flow), {
+        flowId: flow.Id,
+        apiName: getFlowApiName(flow),
+        processType: flow.ProcessType,
+        status: flow.Status,
+        missing: false
+    });
+
+    // What starts the flow
+    const start = metadata.start || {};
+    if (start.object) {
+        const isEvent = start.triggerType === 'PlatformEvent' || isPlatformEvent(start.object);
+        const triggerId = isEvent ?
+            builder.addNode(`event:${start.object}`, 'platformEvent', start.object) :
+            builder.addNode(`object:${start.object}`, 'object', start.object);
+        builder.addEdge(triggerId, flowId, 'triggers', start.recordTriggerType || start.triggerType);
+    }
+
+    asArray(metadata.subflows).forEach(subflow => {
+        if (!subflow.flowName) return;
+        const subflowId = builder.addNode(`flow:${subflow.flowName}`, 'flow', subflow.flowName, { missing: true });
+        builder.addEdge(flowId, subflowId, 'calls', subflow.name);
+    });
+
+    asArray(metadata.actionCalls).forEach(action => {
+        if (!action.actionName) return;
+        const actionId = action.actionType === 'apex' ?
+            builder.addNode(`apex:${action.actionName}`, 'apex', action.actionName) :
+            builder.addNode(`action:${action.actionType}:${action.actionName}`, 'action', `${action.actionName} (${action.actionType})`, { actionType: action.actionType });
+        builder.addEdge(flowId, actionId, 'invokes', action.name);
+    });
+
+    Object.keys(DML_EDGE_TYPES).forEach(elementType => {
+        asArray(metadata[elementType]).forEach(element => {
+            const objectName = getElementObject(metadata, element);
+            if (!objectName) return;
+
+            // Creating a platform event record publishes the event
+            if (isPlatformEvent(objectName)) {
+                const eventId = builder.addNode(`event:${objectName}`, 'platformEvent', objectName);
+                builder.addEdge(flowId, eventId, elementType === 'recordCreates' ? 'publishes' : DML_EDGE_TYPES[elementType], element.name);
+                return;
+            }
+
+            const objectId = builder.addNode(`object:${objectName}`, 'object', objectName);
+            builder.addEdge(flowId, objectId, DML_EDGE_TYPES[elementType], element.name);
+
+            if (elementType === 'recordCreates' || elementType === 'recordUpdates') {
+                asArray(element.inputAssignments).forEach(assignment => {
+                    if (!assignment.field) return;
+                    const fieldId = builder.addNode(`field:${objectName}.${assignment.field}`, 'field', `${objectName}.${assignment.field}`, { object: objectName });
+                    builder.addEdge(flowId, fieldId, 'writes', element.name);
+                });
+            }
+        });
+    });
+}
+
+function buildDependencyGraph(flowsData) {
+    const builder = createGraphBuilder();
+    const flows = flowsData.flows || [];
+
+    flows.forEach(flow => addFlowDependencies(builder, flow));
+
+    const graph = builder.build();
+    const countByType = {};
+    graph.nodes.forEach(node => {
+        countByType[node.type] = (countByType[node.type] || 0) + 1;
+    });
+
+    return {
+        metadata: {
+            generatedAt: new Date().toISOString(),
+            orgAlias: flowsData.metadata?.orgAlias,
+            totalFlows: flows.length,
+            nodeCount: graph.nodes.length,
+            edgeCount: graph.edges.length,
+            nodesByType: countByType
+        },
+        ...graph
+    };
+}
+
+const DOT_SHAPES = {
+    flow: 'box',
+    apex: 'component',
+    action: 'cds',
+    object: 'cylinder',
+    field: 'note',
+    platformEvent: 'hexagon'
+};
+
+function escapeDot(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+function toDot(graph) {
+    const lines = ['digraph FlowDependencies {', '    rankdir=LR;', '    node [fontname="Helvetica", fontsize=10];'];
+
+    graph.nodes.forEach(node => {
+        const style = node.missing ? ', style=dashed' : '';
+        lines.push(`    "${escapeDot(node.id)}" [label="${escapeDot(node.label)}", shape=${DOT_SHAPES[node.type] || 'ellipse'}${style}];`);
+    });
+
+    graph.edges.forEach(edge => {
+        lines.push(`    "${escapeDot(edge.source)}" -> "${escapeDot(edge.target)}" [label="${escapeDot(edge.type)}"];`);
+    });
+
+    lines.push('}');
+    return lines.join('\n');
+}
+
+const MERMAID_SHAPES = {
+    flow: ['[', ']'],
+    apex: ['[[', ']]'],
+    action: ['>', ']'],
+    object: ['[(', ')]'],
+    field: ['(', ')'],
+    platformEvent: ['{{', '}}']
+};
+
+function escapeMermaid(value) {
+    return String(value).replace(/"/g, '#quot;');
+}
+
+function toMermaid(graph) {
+    const lines = ['flowchart LR'];
+    const ids = new Map();
+
+    // Mermaid node IDs cannot contain ":" or "."; use short generated ones
+    graph.nodes.forEach((node, index) => {
+        const id = `n${index}`;
+        ids.set(node.id, id);
+        const [open, close] = MERMAID_SHAPES[node.type] || ['[', ']'];
+        lines.push(`    ${id}${open}"${escapeMermaid(node.label)}"${close}`);
+    });
+
+    graph.edges.forEach(edge => {
+        lines.push(`    ${ids.get(edge.source)} -->|${edge.type}| ${ids.get(edge.target)}`);
+    });
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    buildDependencyGraph,
+    toDot,
+    toMermaid
+};
@@ -0,0 +1,176 @@
+// Field-level impact search: every place a flow reads, writes, filters on or uses an object
+// field in a formula, so admins can check a field's usage before changing or deleting it
+const {
+    DATA_ELEMENT_TYPES,
+    getFlowName,
+    getFlowApiName,
+    asArray,
+    getElements,
+    getElementObject
+} = require('./flow-elements');
+
+const USAGE_TYPES = ['write', 'read', 'filter', 'formula'];
+
+// Resources and the start element are searched along with the canvas elements
+const SEARCHED_RESOURCE_TYPES = ['formulas', 'textTemplates', 'constants', 'choices', 'dynamicChoiceSets'];
+
+// Keys holding formula text, whose merge fields are formula usages
+const FORMULA_KEYS = new Set(['expression', 'formulaExpression', 'filterFormula']);
+
+const MERGE_FIELD_PATTERN = /\{!([^}]+)\}/g;
+
+// Lookup field behind a relationship name: Account -> AccountId, Parent__r -> Parent__c
+function getRelationshipField(relationshipName) {
+    return relationshipName.endsWith('__r') ? relationshipName.replace(/__r$/, '__c') : `${relationshipName}Id`;
+}
+
+// sObject behind each name a reference can start with: $Record, record variables,
+// Get Records elements that store their own output, and loops over records (current item)
+function getReferenceObjects(metadata) {
+    const objects = new Map();
+    if (metadata.start?.object) {
+        objects.set('$Record', metadata.start.object);
+        objects.set('$Record__Prior', metadata.start.object);
+    }
+    asArray(metadata.variables).forEach(variable => {
+        if (variable.objectType) objects.set(variable.name, variable.objectType);
+    });
+    asArray(metadata.recordLookups).forEach(lookup => {
+        const object = getElementObject(metadata, lookup);
+        if (object && !lookup.outputReference) objects.set(lookup.name, object);
+    });
+    asArray(metadata.loops).forEach(loop => {
+        const object = objects.get((loop.collectionReference || '').split('.')[0]);
+        if (object) objects.set(loop.name, object);
+    });
+    return objects;
+}
+
+// { object, field, reference } for a reference like $Record.Email or Contact_Var.Account.Name,
+// the latter being a use of the AccountId field; null for anything that is not a record field
+function resolveFieldReference(referenceObjects, reference) {
+    const parts = String(reference).trim().split('.');
+    const object = referenceObjects.get(parts[0]);
+    if (!object || parts.length < 2 || !parts[1]) return null;
+    const field = parts.length > 2 ? getRelationshipField(parts[1]) : parts[1];
+    return { object, field, reference: parts.join('.') };
+}
+
+// Every usage in one flow as { object, field, usage, elementName, elementType, detail }
+function collectFlowUsages(flow) {
+    const metadata = flow.Metadata || {};
+    const referenceObjects = getReferenceObjects(metadata);
+    const usages = [];
+    const add = (object, field, usage, elementName, elementType, detail) => {
+        if (object && field) usages.push({ object, field, usage, elementName, elementType, detail });
+    };
+    const addReference = (reference, usage, elementName, elementType) => {
+        const resolved = resolveFieldReference(referenceObjects, reference);
+        if (resolved) add(resolved.object, resolved.field, usage, elementName, elementType, resolved.reference);
+    };
+
+    // References and merge fields anywhere inside an element: assignment targets are writes,
+    // merge fields in formulas are formula usages, every other reference is a read
+    const walk = (node, key, elementName, elementType) => {
+        if (typeof node === 'string') {
+            if (key === 'assignToReference') {
+                addReference(node, 'write', elementName, elementType);
+            } else if (key === 'elementReference' || key === 'leftValueReference') {
+                addReference(node, 'read', elementName, elementType);
+            } else {
+                for (const match of node.matchAll(MERGE_FIELD_PATTERN)) {
+                    addReference(match[1], FORMULA_KEYS.has(key) ? 'formula' : 'read', elementName, elementType);
+                }
+            }
+        } else if (Array.isArray(node)) {
+            node.forEach(item => walk(item, key, elementName, elementType));
+        } else if (node && typeof node === 'object') {
+            Object.keys(node).forEach(childKey => walk(node[childKey], childKey, elementName, elementType));
+        }
+    };
+
+    const start = metadata.start || {};
+    if (start.object) {
+        asArray(start.filters).forEach(filter => add(start.object, filter.field, 'filter', 'start', 'start', `${filter.field} ${filter.operator || ''}`.trim()));
+        asArray(start.scheduledPaths).forEach(scheduledPath => add(start.object, scheduledPath.recordField, 'read', 'start', 'start', `Scheduled path ${scheduledPath.label || scheduledPath.name}`));
+    }
+    walk(start, 'start', 'start', 'start');
+
+    getElements(metadata).forEach(({ type, name, element }) => {
+        if (DATA_ELEMENT_TYPES.includes(type)) {
+            const object = getElementObject(metadata, element);
+            asArray(element.inputAssignments).forEach(assignment => add(object, assignment.field, 'write', name, type, assignment.field));
+            asArray(element.filters).forEach(filter => add(object, filter.field, 'filter', name, type, `${filter.field} ${filter.operator || ''}`.trim()));
+            asArray(element.outputAssignments).forEach(assignment => add(object, assignment.field, 'read', name, type, assignment.field));
+            asArray(element.queriedFields).forEach(field => add(object, field, 'read', name, type, field));
+            add(object, element.sortField, 'read', name, type, `Sorted by ${element.sortField}`);
+        }
+        walk(element, type, name, type);
+    });
+
+    SEARCHED_RESOURCE_TYPES.forEach(type => {
+        asArray(metadata[type]).forEach(resource => walk(resource, type, resource.name, type));
+    });
+
+    return usages;
+}
+
+function sameName(a, b) {
+    return String(a || '').toLowerCase() === String(b || '').toLowerCase();
+}
+
+// Flows using a field, with one entry per element and usage type. object is optional; names
+// are compared case-insensitively, as Salesforce does.
+function searchFieldUsage(flowsData, { object, field }) {
+    const flows = [];
+    const byUsage = {};
+
+    (flowsData.flows || []).forEach(flow => {
+        const seen = new Set();
+        const usages = collectFlowUsages(flow)
+            .filter(usage => sameName(usage.field, field) && (!object || sameName(usage.object, object)))
+            .filter(usage => {
+                const key = [usage.object, usage.elementName, usage.usage, usage.detail].join('|').toLowerCase();
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .sort((a, b) => USAGE_TYPES.indexOf(a.usage) - USAGE_TYPES.indexOf(b.usage));
+
+        if (usages.length === 0) return;
+        usages.forEach(usage => {
+            byUsage[usage.usage] = (byUsage[usage.usage] || 0) + 1;
+        });
+        flows.push({
+            flowId: flow.Id,
+            flowName: getFlowName(flow),
+            flowApiName: getFlowApiName(flow),
+            status: flow.Status,
+            usages
+        });
+    });
+
+    flows.sort((a, b) => a.flowName.localeCompare(b.flowName));
+
+    return {
+        metadata: {
+            generatedAt: new Date().toISOString(),
+            orgAlias: flowsData.metadata?.orgAlias,
+            totalFlows: (flowsData.flows || []).length
+        },
+        query: { object: object || null, field },
+        summary: {
+            flows: flows.length,
+            activeFlows: flows.filter(flow => flow.status === 'Active').length,
+            usages: flows.reduce((total, flow) => total + flow.usages.length, 0),
+            byUsage
+        },
+        flows
+    };
+}
+
+module.exports = {
+    USAGE_TYPES,
+    collectFlowUsages,
+    searchFieldUsage
+};
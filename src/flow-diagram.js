@@ -0,0 +1,304 @@
+// Per-flow diagrams built from the start element and element connectors,
+// rendered as Mermaid text (also used in AI prompts) or a standalone SVG
+const {
+    getFlowName,
+    getElements,
+    getConnectors,
+    getElementObject
+} = require('./flow-elements');
+
+const START_NODE_ID = '__start__';
+
+const TYPE_LABELS = {
+    actionCalls: 'Action',
+    apexPluginCalls: 'Apex Plugin',
+    assignments: 'Assignment',
+    collectionProcessors: 'Collection',
+    customErrors: 'Custom Error',
+    decisions: 'Decision',
+    loops: 'Loop',
+    orchestratedStages: 'Stage',
+    recordCreates: 'Create Records',
+    recordDeletes: 'Delete Records',
+    recordLookups: 'Get Records',
+    recordRollbacks: 'Roll Back',
+    recordUpdates: 'Update Records',
+    screens: 'Screen',
+    steps: 'Step',
+    subflows: 'Subflow',
+    transforms: 'Transform',
+    waits: 'Wait'
+};
+
+const NODE_COLORS = {
+    start: '#4caf50',
+    decisions: '#ff9800',
+    loops: '#ff9800',
+    waits: '#ff9800',
+    assignments: '#ff7043',
+    recordCreates: '#e91e63',
+    recordUpdates: '#e91e63',
+    recordDeletes: '#e91e63',
+    recordLookups: '#e91e63',
+    recordRollbacks: '#e91e63',
+    actionCalls: '#1976d2',
+    apexPluginCalls: '#1976d2',
+    subflows: '#1976d2',
+    screens: '#00897b',
+    customErrors: '#d32f2f'
+};
+
+function describeStart(metadata) {
+    const start = metadata.start || {};
+    if (start.triggerType === 'RecordBeforeSave' || start.triggerType === 'RecordAfterSave' || start.triggerType === 'RecordBeforeDelete') {
+        return `${start.triggerType}: ${start.object || '?'}${start.recordTriggerType ? ` (${start.recordTriggerType})` : ''}`;
+    }
+    if (start.triggerType === 'Scheduled') {
+        return `Scheduled${start.schedule?.frequency ? ` (${start.schedule.frequency})` : ''}`;
+    }
+    if (start.triggerType === 'PlatformEvent') {
+        return `Platform Event: ${start.object || '?'}`;
+    }
+    return metadata.processType || 'Start';
+}
+
+function describeElement(metadata, { type, element }) {
+    const typeLabel = TYPE_LABELS[type] || type;
+    if (['recordCreates', 'recordUpdates', 'recordDeletes', 'recordLookups'].includes(type)) {
+        const objectName = getElementObject(metadata, element);
+        return objectName ? `${typeLabel}: ${objectName}` : typeLabel;
+    }
+    if (type === 'actionCalls' && element.actionName) {
+        return `${typeLabel}: ${element.actionName}`;
+    }
+    if (type === 'subflows' && element.flowName) {
+        return `${typeLabel}: ${element.flowName}`;
+    }
+    return typeLabel;
+}
+
+// Nodes and edges of a single flow, starting from the start element
+function buildFlowDiagram(flow) {
+    const metadata = flow.Metadata || {};
+    const elements = getElements(metadata);
+    const names = new Set(elements.map(entry => entry.name));
+
+    const nodes = [{
+        id: START_NODE_ID,
+        type: 'start',
+        label: 'Start',
+        detail: describeStart(metadata)
+    }];
+    const edges = [];
+
+    const startConnectors = getConnectors(metadata.start, 'start');
+    if (startConnectors.length === 0 && metadata.startElementReference) {
+        startConnectors.push({ targetReference: metadata.startElementReference, kind: 'connector', label: null });
+    }
+    startConnectors.forEach(connector => {
+        edges.push({ source: START_NODE_ID, target: connector.targetReference, kind: connector.kind, label: connector.label });
+    });
+
+    elements.forEach(entry => {
+        nodes.push({
+            id: entry.name,
+            type: entry.type,
+            label: entry.label,
+            detail: describeElement(metadata, entry)
+        });
+
+        getConnectors(entry.element, entry.type).forEach(connector => {
+            edges.push({ source: entry.name, target: connector.targetReference, kind: connector.kind, label: connector.label });
+        });
+    });
+
+    return {
+        flowId: flow.Id,
+        flowName: getFlowName(flow),
+        nodes,
+        // Connectors pointing at elements that do not exist would break the renderers
+        edges: edges.filter(edge => names.has(edge.target))
+    };
+}
+
+const MERMAID_SHAPES = {
+    start: ['([', '])'],
+    decisions: ['{', '}'],
+    loops: ['{{', '}}'],
+    waits: ['{{', '}}'],
+    recordCreates: ['[(', ')]'],
+    recordUpdates: ['[(', ')]'],
+    recordDeletes: ['[(', ')]'],
+    recordLookups: ['[(', ')]'],
+    actionCalls: ['[[', ']]'],
+    apexPluginCalls: ['[[', ']]'],
+    subflows: ['[[', ']]'],
+    screens: ['[/', '/]']
+};
+
+function escapeMermaid(value) {
+    return String(value).replace(/"/g, '#quot;');
+}
+
+function toMermaid(diagram) {
+    const lines = ['flowchart TD'];
+    const ids = new Map();
+
+    diagram.nodes.forEach((node, index) => {
+        const id = `n${index}`;
+        ids.set(node.id, id);
+        const [open, close] = MERMAID_SHAPES[node.type] || ['[', ']'];
+        lines.push(`    ${id}${open}"${escapeMermaid(node.label)}<br/>${escapeMermaid(node.detail)}"${close}`);
+    });
+
+    diagram.edges.forEach(edge => {
+        const arrow = edge.kind === 'fault' ? '-.->' : '-->';
+        const label = edge.label ? `|"${escapeMermaid(edge.label)}"|` : '';
+        lines.push(`    ${ids.get(edge.source)} ${arrow}${label} ${ids.get(edge.target)}`);
+    });
+
+    return lines.join('\n');
+}
+
+const NODE_WIDTH = 200;
+const NODE_HEIGHT = 54;
+const GAP_X = 50;
+const GAP_Y = 70;
+const PADDING = 40;
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function truncate(value, length) {
+    const text = String(value || '');
+    return text.length > length ? text.substring(0, length - 1) + '…' : text;
+}
+
+// Layered layout: each node sits on the row of its shortest distance from the start;
+// elements that cannot be reached go on a final row
+function layoutDiagram(diagram) {
+    const outgoing = new Map(diagram.nodes.map(node => [node.id, []]));
+    diagram.edges.forEach(edge => outgoing.get(edge.source).push(edge.target));
+
+    const layers = new Map([[START_NODE_ID, 0]]);
+    const queue = [START_NODE_ID];
+    while (queue.length > 0) {
+        const id = queue.shift();
+        outgoing.get(id).forEach(target => {
+            if (!layers.has(target)) {
+                layers.set(target, layers.get(id) + 1);
+                queue.push(target);
+            }
+        });
+    }
+
+    const reachableDepth = Math.max(...layers.values());
+    const rows = [];
+    diagram.nodes.forEach(node => {
+        const layer = layers.has(node.id) ? layers.get(node.id) : reachableDepth + 1;
+        rows[layer] = rows[layer] || [];
+        rows[layer].push(node);
+    });
+
+    const widest = Math.max(...rows.filter(Boolean).map(row => row.length));
+    const width = widest * NODE_WIDTH + (widest - 1) * GAP_X + PADDING * 2 + 120; // room for back edges
+    const positions = new Map();
+
+    rows.forEach((row, layer) => {
+        if (!row) return;
+        const rowWidth = row.length * NODE_WIDTH + (row.length - 1) * GAP_X;
+        const offsetX = (width - 120 - rowWidth) / 2;
+        row.forEach((node, index) => {
+            positions.set(node.id, {
+                x: offsetX + index * (NODE_WIDTH + GAP_X),
+                y: PADDING + layer * (NODE_HEIGHT + GAP_Y),
+                layer
+            });
+        });
+    });
+
+    return {
+        positions,
+        width,
+        height: PADDING * 2 + rows.length * NODE_HEIGHT + (rows.length - 1) * GAP_Y
+    };
+}
+
+function renderEdge(edge, positions) {
+    const from = positions.get(edge.source);
+    const to = positions.get(edge.target);
+    const color = edge.kind === 'fault' ? '#d32f2f' : '#757575';
+    const dash = edge.kind === 'fault' ? ' stroke-dasharray="6,4"' : '';
+
+    let path;
+    let labelX;
+    let labelY;
+    if (to.layer > from.layer) {
+        // Forward edge: bottom of the source to the top of the target
+        const x1 = from.x + NODE_WIDTH / 2;
+        const y1 = from.y + NODE_HEIGHT;
+        const x2 = to.x + NODE_WIDTH / 2;
+        const y2 = to.y;
+        path = `M ${x1} ${y1} C ${x1} ${y1 + GAP_Y / 2}, ${x2} ${y2 - GAP_Y / 2}, ${x2} ${y2}`;
+        labelX = (x1 + x2) / 2;
+        labelY = (y1 + y2) / 2;
+    } else {
+        // Back edge (loops): around the right side of both elements
+        const x1 = from.x + NODE_WIDTH;
+        const y1 = from.y + NODE_HEIGHT / 2;
+        const x2 = to.x + NODE_WIDTH;
+        const y2 = to.y + NODE_HEIGHT / 2;
+        const bend = Math.max(x1, x2) + 60;
+        path = `M ${x1} ${y1} C ${bend} ${y1}, ${bend} ${y2}, ${x2} ${y2}`;
+        labelX = bend - 10;
+        labelY = (y1 + y2) / 2;
+    }
+
+    const label = edge.label ?
+        `<text x="${labelX}" y="${labelY}" font-size="10" fill="${color}" text-anchor="middle" stroke="white" stroke-width="3" paint-order="stroke">${escapeXml(truncate(edge.label, 24))}</text>` :
+        '';
+
+    return `<path d="${path}" fill="none" stroke="${color}" stroke-width="1.5"${dash} marker-end="url(#arrow-${edge.kind === 'fault' ? 'fault' : 'default'})"/>${label}`;
+}
+
+function renderNode(node, position) {
+    const color = NODE_COLORS[node.type] || '#607d8b';
+    const radius = node.type === 'start' ? NODE_HEIGHT / 2 : 6;
+    return [
+        `<g>`,
+        `<title>${escapeXml(`${node.label} (${node.id === START_NODE_ID ? 'start' : node.id})`)}</title>`,
+        `<rect x="${position.x}" y="${position.y}" width="${NODE_WIDTH}" height="${NODE_HEIGHT}" rx="${radius}" fill="white" stroke="${color}" stroke-width="2"/>`,
+        `<rect x="${position.x}" y="${position.y}" width="6" height="${NODE_HEIGHT}" fill="${color}"/>`,
+        `<text x="${position.x + NODE_WIDTH / 2 + 3}" y="${position.y + 22}" font-size="12" font-weight="600" text-anchor="middle" fill="#333">${escapeXml(truncate(node.label, 28))}</text>`,
+        `<text x="${position.x + NODE_WIDTH / 2 + 3}" y="${position.y + 40}" font-size="10" text-anchor="middle" fill="#666">${escapeXml(truncate(node.detail, 32))}</text>`,
+        `</g>`
+    ].join('');
+}
+
+function toSvg(diagram) {
+    const { positions, width, height } = layoutDiagram(diagram);
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Segoe UI, Helvetica, Arial, sans-serif">`,
+        `<title>${escapeXml(diagram.flowName)}</title>`,
+        '<defs>',
+        '<marker id="arrow-default" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" fill="#757575"/></marker>',
+        '<marker id="arrow-fault" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" fill="#d32f2f"/></marker>',
+        '</defs>',
+        `<rect width="${width}" height="${height}" fill="#fafafa"/>`,
+        ...diagram.edges.map(edge => renderEdge(edge, positions)),
+        ...diagram.nodes.map(node => renderNode(node, positions.get(node.id))),
+        '</svg>'
+    ].join('\n');
+}
+
+module.exports = {
+    buildFlowDiagram,
+    toMermaid,
+    toSvg
+};
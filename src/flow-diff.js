@@ -0,0 +1,215 @@
+// Semantic diff between two versions of a flow: elements, connectors, start
+// conditions, formulas, resources and flow-level properties
+const {
+    ELEMENT_TYPES,
+    RESOURCE_TYPES,
+    getFlowName,
+    asArray
+} = require('./flow-elements');
+const { buildFlowDiagram } = require('./flow-diagram');
+
+// Connectors are compared as edges of the flow diagram, not as element properties
+const CONNECTOR_KEYS = ['connector', 'faultConnector', 'defaultConnector', 'nextValueConnector', 'noMoreValuesConnector'];
+
+// Canvas positions change whenever an element is dragged and carry no behaviour
+const IGNORED_KEYS = new Set(['locationX', 'locationY', ...CONNECTOR_KEYS]);
+
+const FILTER_KEYS = ['filters', 'filterLogic', 'conditions', 'conditionLogic'];
+const ASSIGNMENT_KEYS = ['assignmentItems', 'inputAssignments', 'outputAssignments', 'inputParameters', 'outputParameters'];
+
+// Flow-level keys that are diffed as their own sections
+const SECTION_KEYS = new Set([...ELEMENT_TYPES, ...RESOURCE_TYPES, 'start', 'processMetadataValues']);
+
+// The Tooling API spells out defaults (null, [], false) that .flow-meta.xml files omit
+function isEmpty(value) {
+    return value === null || value === undefined || value === false || (Array.isArray(value) && value.length === 0);
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function stripIgnored(value) {
+    if (Array.isArray(value)) return value.map(stripIgnored);
+    if (!isPlainObject(value)) return value;
+
+    const stripped = {};
+    Object.keys(value).forEach(key => {
+        if (!IGNORED_KEYS.has(key) && !isEmpty(value[key])) {
+            stripped[key] = stripIgnored(value[key]);
+        }
+    });
+    return stripped;
+}
+
+// Key list items by name (or field) so reordering is not reported as a change;
+// fall back to positions when items have no unique name
+function keyItems(items) {
+    const names = items.map(item => isPlainObject(item) ? (item.name ?? item.field ?? null) : null);
+    const unique = names.every(name => name !== null) && new Set(names).size === names.length;
+    return items.map((item, index) => [unique ? String(names[index]) : String(index), item]);
+}
+
+function categorize(path) {
+    if (path.some(segment => FILTER_KEYS.includes(segment.key))) return 'filter';
+    if (path.some(segment => ASSIGNMENT_KEYS.includes(segment.key))) return 'assignment';
+    if (path.some(segment => segment.key === 'expression')) return 'formula';
+    return 'property';
+}
+
+function formatPath(path) {
+    return path.map((segment, index) => {
+        if (segment.item) return `[${segment.key}]`;
+        return index === 0 ? segment.key : `.${segment.key}`;
+    }).join('');
+}
+
+function compareValues(from, to, path, changes) {
+    if (isEmpty(from) && isEmpty(to)) return;
+
+    if (isPlainObject(from) && isPlainObject(to)) {
+        new Set([...Object.keys(from), ...Object.keys(to)]).forEach(key => {
+            if (IGNORED_KEYS.has(key)) return;
+            compareValues(from[key], to[key], [...path, { key }], changes);
+        });
+        return;
+    }
+
+    if (Array.isArray(from) || Array.isArray(to)) {
+        const fromItems = new Map(keyItems(asArray(from)));
+        const toItems = new Map(keyItems(asArray(to)));
+        new Set([...fromItems.keys(), ...toItems.keys()]).forEach(key => {
+            compareValues(fromItems.get(key), toItems.get(key), [...path, { key, item: true }], changes);
+        });
+        return;
+    }
+
+    const fromValue = isEmpty(from) ? null : stripIgnored(from);
+    const toValue = isEmpty(to) ? null : stripIgnored(to);
+    if (JSON.stringify(fromValue) !== JSON.stringify(toValue)) {
+        changes.push({
+            category: categorize(path),
+            path: formatPath(path),
+            from: fromValue,
+            to: toValue
+        });
+    }
+}
+
+function diffObjects(from, to) {
+    const changes = [];
+    compareValues(from || {}, to || {}, [], changes);
+    return changes;
+}
+
+// Added, removed and changed members of named collections (elements or resources)
+function diffCollections(fromMetadata, toMetadata, types) {
+    const index = metadata => {
+        const items = new Map();
+        types.forEach(type => {
+            asArray(metadata[type]).forEach(item => items.set(item.name, { type, item }));
+        });
+        return items;
+    };
+    const describe = (name, { type, item }) => ({ name, type, label: item.label || name });
+
+    const fromItems = index(fromMetadata);
+    const toItems = index(toMetadata);
+    const result = { added: [], removed: [], changed: [] };
+
+    toItems.forEach((entry, name) => {
+        if (!fromItems.has(name)) result.added.push(describe(name, entry));
+    });
+
+    fromItems.forEach((entry, name) => {
+        if (!toItems.has(name)) {
+            result.removed.push(describe(name, entry));
+            return;
+        }
+
+        const toEntry = toItems.get(name);
+        const changes = diffObjects(entry.item, toEntry.item);
+        if (entry.type !== toEntry.type) {
+            changes.unshift({ category: 'property', path: '(element type)', from: entry.type, to: toEntry.type });
+        }
+        if (changes.length > 0) {
+            result.changed.push({ ...describe(name, toEntry), changes });
+        }
+    });
+
+    return result;
+}
+
+function diffConnectors(fromFlow, toFlow) {
+    const edgeKey = edge => `${edge.source}|${edge.kind}|${edge.label || ''}|${edge.target}`;
+    const fromEdges = new Map(buildFlowDiagram(fromFlow).edges.map(edge => [edgeKey(edge), edge]));
+    const toEdges = new Map(buildFlowDiagram(toFlow).edges.map(edge => [edgeKey(edge), edge]));
+
+    return {
+        added: Array.from(toEdges.keys()).filter(key => !fromEdges.has(key)).map(key => toEdges.get(key)),
+        removed: Array.from(fromEdges.keys()).filter(key => !toEdges.has(key)).map(key => fromEdges.get(key))
+    };
+}
+
+function pickFlowProperties(metadata) {
+    const properties = {};
+    Object.keys(metadata || {}).forEach(key => {
+        if (!SECTION_KEYS.has(key)) properties[key] = metadata[key];
+    });
+    return properties;
+}
+
+function describeVersion(flow) {
+    return {
+        id: flow.Id,
+        name: getFlowName(flow),
+        versionNumber: flow.VersionNumber ?? null,
+        status: flow.Status,
+        lastModifiedDate: flow.LastModifiedDate
+    };
+}
+
+function countCollectionChanges(collection) {
+    return collection.added.length + collection.removed.length + collection.changed.length;
+}
+
+function diffFlowVersions(fromFlow, toFlow) {
+    const fromMetadata = fromFlow.Metadata || {};
+    const toMetadata = toFlow.Metadata || {};
+
+    const properties = diffObjects(pickFlowProperties(fromMetadata), pickFlowProperties(toMetadata));
+    const start = diffObjects(fromMetadata.start, toMetadata.start);
+    const elements = diffCollections(fromMetadata, toMetadata, ELEMENT_TYPES);
+    const connectors = diffConnectors(fromFlow, toFlow);
+    const formulas = diffCollections(fromMetadata, toMetadata, ['formulas']);
+    const resources = diffCollections(fromMetadata, toMetadata, RESOURCE_TYPES.filter(type => type !== 'formulas'));
+
+    const summary = {
+        propertyChanges: properties.length,
+        startChanges: start.length,
+        elementsAdded: elements.added.length,
+        elementsRemoved: elements.removed.length,
+        elementsChanged: elements.changed.length,
+        connectorsAdded: connectors.added.length,
+        connectorsRemoved: connectors.removed.length,
+        formulaChanges: countCollectionChanges(formulas),
+        resourceChanges: countCollectionChanges(resources)
+    };
+    summary.totalChanges = Object.values(summary).reduce((total, count) => total + count, 0);
+
+    return {
+        from: describeVersion(fromFlow),
+        to: describeVersion(toFlow),
+        summary,
+        properties,
+        start,
+        elements,
+        connectors,
+        formulas,
+        resources
+    };
+}
+
+module.exports = {
+    diffFlowVersions
+};
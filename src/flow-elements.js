@@ -0,0 +1,215 @@
+// Shared helpers for walking the Metadata object of a Flow record
+// (the same shape returned by the Tooling API in getFlowsData)
+
+// Every element collection that can appear on the canvas
+const ELEMENT_TYPES = [
+    'actionCalls',
+    'apexPluginCalls',
+    'assignments',
+    'collectionProcessors',
+    'customErrors',
+    'decisions',
+    'loops',
+    'orchestratedStages',
+    'recordCreates',
+    'recordDeletes',
+    'recordLookups',
+    'recordRollbacks',
+    'recordUpdates',
+    'screens',
+    'steps',
+    'subflows',
+    'transforms',
+    'waits'
+];
+
+// Elements that write to the database
+const DML_ELEMENT_TYPES = ['recordCreates', 'recordUpdates', 'recordDeletes'];
+
+// Elements that hit the database and can fail at runtime
+const DATA_ELEMENT_TYPES = ['recordCreates', 'recordUpdates', 'recordDeletes', 'recordLookups'];
+
+// Resource collections that hold values rather than canvas elements
+const RESOURCE_TYPES = ['variables', 'formulas', 'constants', 'textTemplates', 'choices', 'dynamicChoiceSets', 'stages'];
+
+function getFlowName(flow) {
+    return flow.MasterLabel || flow.FullName;
+}
+
+// Developer name without the version suffix the Tooling API adds to FullName (e.g. "My_Flow-3")
+function getFlowApiName(flow) {
+    return (flow.FullName || '').replace(/-\d+$/, '') || flow.MasterLabel;
+}
+
+function asArray(value) {
+    if (!value) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+// Flatten all canvas elements of a flow into { type, name, label, element }
+function getElements(metadata) {
+    const elements = [];
+    if (!metadata) return elements;
+
+    ELEMENT_TYPES.forEach(type => {
+        asArray(metadata[type]).forEach(element => {
+            elements.push({
+                type,
+                name: element.name,
+                label: element.label || element.name,
+                element
+            });
+        });
+    });
+
+    return elements;
+}
+
+function getElementMap(metadata) {
+    const map = new Map();
+    getElements(metadata).forEach(entry => map.set(entry.name, entry));
+    return map;
+}
+
+// Outgoing connectors of an element, including decision outcomes, loop paths and fault paths
+function getConnectors(element, type) {
+    const connectors = [];
+    if (!element) return connectors;
+
+    const push = (connector, kind, label) => {
+        if (connector?.targetReference) {
+            connectors.push({ targetReference: connector.targetReference, kind, label: label || null });
+        }
+    };
+
+    push(element.connector, 'connector');
+
+    if (type === 'decisions') {
+        asArray(element.rules).forEach(rule => push(rule.connector, 'rule', rule.label || rule.name));
+        push(element.defaultConnector, 'default', element.defaultConnectorLabel || 'Default Outcome');
+    } else if (type === 'loops') {
+        push(element.nextValueConnector, 'nextValue', 'For Each');
+        push(element.noMoreValuesConnector, 'noMoreValues', 'After Last');
+    } else if (type === 'waits') {
+        asArray(element.waitEvents).forEach(event => push(event.connector, 'waitEvent', event.label || event.name));
+        push(element.defaultConnector, 'default', element.defaultConnectorLabel || 'Default Path');
+    } else if (type === 'start') {
+        asArray(element.scheduledPaths).forEach(scheduledPath => push(scheduledPath.connector, 'scheduledPath', scheduledPath.label || scheduledPath.name));
+    }
+
+    push(element.faultConnector, 'fault', 'Fault');
+
+    return connectors;
+}
+
+// Name of the first element executed after the start
+function getStartTarget(metadata) {
+    return metadata?.start?.connector?.targetReference || metadata?.startElementReference || null;
+}
+
+// Readable form of a flow value ({ stringValue }, { elementReference }, ...)
+function getValue(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value !== 'object') return value;
+
+    const keys = ['stringValue', 'elementReference', 'numberValue', 'booleanValue', 'dateValue', 'dateTimeValue', 'formulaExpression'];
+    for (const key of keys) {
+        if (value[key] !== null && value[key] !== undefined) {
+            return value[key];
+        }
+    }
+    return null;
+}
+
+// sObject a record element works on, resolving inputReference/outputReference
+// through $Record, record variables and Get Records elements
+function getElementObject(metadata, element) {
+    if (element.object) return element.object;
+
+    const reference = (element.inputReference || element.outputReference || '').split('.')[0];
+    if (!reference) return null;
+    if (reference === '$Record' || reference === '$Record__Prior') return metadata?.start?.object || null;
+
+    const variable = asArray(metadata?.variables).find(v => v.name === reference);
+    if (variable?.objectType) return variable.objectType;
+
+    const lookup = asArray(metadata?.recordLookups).find(l => l.name === reference);
+    return lookup?.object || null;
+}
+
+// Fields a record element reads or writes on its object (see getElementObject), without the
+// object prefix: assigned and output fields, filter and sort fields, and queried fields
+function getElementFields(element) {
+    const fields = new Set();
+    const add = field => {
+        if (field) fields.add(field);
+    };
+
+    asArray(element.inputAssignments).forEach(assignment => add(assignment.field));
+    asArray(element.outputAssignments).forEach(assignment => add(assignment.field));
+    asArray(element.filters).forEach(filter => add(filter.field));
+    asArray(element.queriedFields).forEach(add);
+    add(element.sortField);
+
+    return [...fields];
+}
+
+// Names of the elements executed inside a loop body: reachable from the
+// "For Each" path and able to get back to the loop element
+function getLoopBodyElements(metadata, loopName) {
+    const elementMap = getElementMap(metadata);
+    const loop = elementMap.get(loopName);
+    const body = new Set();
+    if (!loop) return body;
+
+    const firstTarget = loop.element.nextValueConnector?.targetReference;
+    if (!firstTarget) return body;
+
+    // Forward pass from the first element of the iteration
+    const reachable = new Set();
+    const queue = [firstTarget];
+    while (queue.length > 0) {
+        const name = queue.shift();
+        if (name === loopName || reachable.has(name) || !elementMap.has(name)) continue;
+        reachable.add(name);
+
+        const entry = elementMap.get(name);
+        getConnectors(entry.element, entry.type).forEach(c => queue.push(c.targetReference));
+    }
+
+    // Backward pass: keep only elements that lead back to the loop
+    let changed = true;
+    while (changed) {
+        changed = false;
+        reachable.forEach(name => {
+            if (body.has(name)) return;
+            const entry = elementMap.get(name);
+            const leadsBack = getConnectors(entry.element, entry.type)
+                .some(c => c.targetReference === loopName || body.has(c.targetReference));
+            if (leadsBack) {
+                body.add(name);
+                changed = true;
+            }
+        });
+    }
+
+    return body;
+}
+
+module.exports = {
+    ELEMENT_TYPES,
+    DML_ELEMENT_TYPES,
+    DATA_ELEMENT_TYPES,
+    RESOURCE_TYPES,
+    getFlowName,
+    getFlowApiName,
+    asArray,
+    getElements,
+    getElementMap,
+    getConnectors,
+    getStartTarget,
+    getValue,
+    getElementObject,
+    getElementFields,
+    getLoopBodyElements
+};
@@ -0,0 +1,230 @@
+// Flow inventory for spreadsheets: one row per flow and one row per element, exported as
+// CSV (one sheet per file) or as an XLSX workbook with both sheets
+const AdmZip = require('adm-zip');
+const {
+    ELEMENT_TYPES,
+    DATA_ELEMENT_TYPES,
+    getFlowName,
+    getFlowApiName,
+    asArray,
+    getElements,
+    getElementObject,
+    getElementFields
+} = require('./flow-elements');
+
+const INVENTORY_SHEETS = ['flows', 'elements'];
+
+const SHEET_TITLES = {
+    flows: 'Flows',
+    elements: 'Elements'
+};
+
+const FLOW_COLUMNS = [
+    { key: 'label', title: 'Label' },
+    { key: 'apiName', title: 'API Name' },
+    { key: 'processType', title: 'Process Type' },
+    { key: 'status', title: 'Status' },
+    { key: 'triggerObject', title: 'Trigger Object' },
+    { key: 'triggerType', title: 'Trigger Type' },
+    { key: 'recordTriggerType', title: 'Record Trigger' },
+    { key: 'triggerOrder', title: 'Trigger Order' },
+    { key: 'apiVersion', title: 'API Version' },
+    { key: 'lastModifiedDate', title: 'Last Modified' },
+    { key: 'totalElements', title: 'Elements' }
+];
+
+const ELEMENT_COLUMNS = [
+    { key: 'flowLabel', title: 'Flow' },
+    { key: 'flowApiName', title: 'Flow API Name' },
+    { key: 'type', title: 'Element Type' },
+    { key: 'name', title: 'Name' },
+    { key: 'label', title: 'Label' },
+    { key: 'object', title: 'Object' },
+    { key: 'fields', title: 'Fields' }
+];
+
+function toNumber(value) {
+    return value === null || value === undefined || value === '' || isNaN(Number(value)) ? null : Number(value);
+}
+
+function createFlowRow(flow) {
+    const metadata = flow.Metadata || {};
+    const start = metadata.start || {};
+    const row = {
+        label: getFlowName(flow),
+        apiName: getFlowApiName(flow),
+        processType: flow.ProcessType || metadata.processType || null,
+        status: flow.Status || null,
+        triggerObject: start.object || null,
+        triggerType: start.triggerType || null,
+        recordTriggerType: start.recordTriggerType || null,
+        triggerOrder: toNumber(flow.TriggerOrder ?? metadata.triggerOrder),
+        apiVersion: toNumber(flow.ApiVersion ?? metadata.apiVersion),
+        lastModifiedDate: flow.LastModifiedDate || null,
+        totalElements: getElements(metadata).length
+    };
+    ELEMENT_TYPES.forEach(type => {
+        row[type] = asArray(metadata[type]).length;
+    });
+    return row;
+}
+
+function createElementRows(flow) {
+    const metadata = flow.Metadata || {};
+    return getElements(metadata).map(({ type, name, label, element }) => {
+        const isRecordElement = DATA_ELEMENT_TYPES.includes(type);
+        return {
+            flowLabel: getFlowName(flow),
+            flowApiName: getFlowApiName(flow),
+            type,
+            name,
+            label,
+            object: isRecordElement ? getElementObject(metadata, element) : null,
+            fields: isRecordElement ? getElementFields(element).join('; ') : null
+        };
+    });
+}
+
+// { flows: { columns, rows }, elements: { columns, rows } }. The flows sheet gets one count
+// column per element type that appears in at least one flow.
+function buildFlowInventory(flowsData) {
+    const flowRows = flowsData.flows.map(createFlowRow);
+    const countColumns = ELEMENT_TYPES
+        .filter(type => flowRows.some(row => row[type] > 0))
+        .map(type => ({ key: type, title: type }));
+
+    return {
+        flows: { columns: [...FLOW_COLUMNS, ...countColumns], rows: flowRows },
+        elements: { columns: ELEMENT_COLUMNS, rows: flowsData.flows.flatMap(createElementRows) }
+    };
+}
+
+// Text cells starting like a formula are prefixed with an apostrophe so spreadsheet
+// applications do not evaluate them
+function formatCsvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One sheet as CSV, with a byte order mark so Excel reads it as UTF-8
+function renderInventoryCsv(sheet) {
+    const lines = [
+        sheet.columns.map(column => formatCsvCell(column.title)).join(','),
+        ...sheet.rows.map(row => sheet.columns.map(column => formatCsvCell(row[column.key])).join(','))
+    ];
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+function escapeXml(value) {
+    return String(value)
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Column letters of a 0-based index: 0 -> A, 25 -> Z, 26 -> AA
+function columnLetters(index) {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+    }
+    return letters;
+}
+
+function renderXlsxCell(value, reference, style = 0) {
+    if (value === null || value === undefined || value === '') return '';
+    const styleAttribute = style ? ` s="${style}"` : '';
+    if (typeof value === 'number') {
+        return `<c r="${reference}"${styleAttribute}><v>${value}</v></c>`;
+    }
+    return `<c r="${reference}"${styleAttribute} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+// Worksheet with a bold, frozen header row and an autofilter over the whole table
+function renderWorksheetXml(sheet) {
+    const lastCell = `${columnLetters(sheet.columns.length - 1)}${sheet.rows.length + 1}`;
+    const header = sheet.columns.map((column, index) => renderXlsxCell(column.title, `${columnLetters(index)}1`, 1)).join('');
+    const rows = sheet.rows.map((row, rowIndex) => {
+        const cells = sheet.columns.map((column, index) => renderXlsxCell(row[column.key], `${columnLetters(index)}${rowIndex + 2}`)).join('');
+        return `<row r="${rowIndex + 2}">${cells}</row>`;
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        `<sheetData><row r="1">${header}</row>${rows.join('')}</sheetData>` +
+        `<autoFilter ref="A1:${lastCell}"/>` +
+        '</worksheet>';
+}
+
+// XLSX workbook (SpreadsheetML) with one worksheet per inventory sheet, as a Buffer
+function renderInventoryXlsx(inventory) {
+    const sheets = INVENTORY_SHEETS.map((key, index) => ({ key, number: index + 1, title: SHEET_TITLES[key] }));
+    const zip = new AdmZip();
+    const addFile = (name, content) => zip.addFile(name, Buffer.from(content, 'utf8'));
+
+    addFile('[Content_Types].xml',
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        sheets.map(sheet => `<Override PartName="/xl/worksheets/sheet${sheet.number}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+        '</Types>');
+
+    addFile('_rels/.rels',
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>');
+
+    addFile('xl/workbook.xml',
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets>${sheets.map(sheet => `<sheet name="${sheet.title}" sheetId="${sheet.number}" r:id="rId${sheet.number}"/>`).join('')}</sheets>` +
+        '<definedNames>' +
+        sheets.map(sheet => {
+            const { columns, rows } = inventory[sheet.key];
+            return `<definedName name="_xlnm._FilterDatabase" localSheetId="${sheet.number - 1}" hidden="1">'${sheet.title}'!$A$1:$${columnLetters(columns.length - 1)}$${rows.length + 1}</definedName>`;
+        }).join('') +
+        '</definedNames>' +
+        '</workbook>');
+
+    addFile('xl/_rels/workbook.xml.rels',
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        sheets.map(sheet => `<Relationship Id="rId${sheet.number}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${sheet.number}.xml"/>`).join('') +
+        `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+        '</Relationships>');
+
+    // Style 0 is the default, style 1 the bold header
+    addFile('xl/styles.xml',
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+        '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+        '</styleSheet>');
+
+    sheets.forEach(sheet => addFile(`xl/worksheets/sheet${sheet.number}.xml`, renderWorksheetXml(inventory[sheet.key])));
+
+    return zip.toBuffer();
+}
+
+module.exports = {
+    INVENTORY_SHEETS,
+    buildFlowInventory,
+    renderInventoryCsv,
+    renderInventoryXlsx
+};
@@ -0,0 +1,250 @@
+// Complexity metrics per flow and a technical-debt score that rolls them up, so the flows most
+// in need of refactoring can be ranked across the org
+const { isSalesforceId } = require('./rule-engine');
+const {
+    getFlowName,
+    getFlowApiName,
+    asArray,
+    getElements,
+    getElementMap,
+    getConnectors,
+    getStartTarget,
+    getLoopBodyElements
+} = require('./flow-elements');
+
+// Latest API version this tool retrieves flows with (see flow-retrieval.js)
+const CURRENT_API_VERSION = 64;
+
+// Three releases a year: a flow saved three years ago or more runs on outdated behaviour
+const OUTDATED_API_VERSIONS_BEHIND = 9;
+
+// Up to these values a metric adds no debt
+const THRESHOLDS = {
+    cyclomaticComplexity: 10,
+    maxPathDepth: 20,
+    variables: 20,
+    longestFormula: 500
+};
+
+// Debt points per unit above a threshold, per finding, or per API version behind
+const DEBT_POINTS = {
+    cyclomaticComplexity: 3,
+    maxPathDepth: 1,
+    variables: 1,
+    longestFormula: 0.01, // per character, so 1 point per 100 characters
+    hardcodedValue: 5,
+    missingElementDescription: 1,
+    missingFlowDescription: 3,
+    outdatedApiVersion: 1
+};
+
+// Keys whose text documents the flow rather than driving it
+const DOCUMENTATION_KEYS = new Set(['name', 'label', 'description', 'processMetadataValues', 'locationX', 'locationY']);
+
+const QUOTED_ID_PATTERN = /["']([a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?)["']/g;
+const URL_PATTERN = /\bhttps?:\/\/[^\s"'}]+/gi;
+const EMAIL_PATTERN = /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g;
+
+// Paths through the flow: 1, plus one per decision outcome, wait event and loop
+function getCyclomaticComplexity(metadata) {
+    const outcomes = asArray(metadata.decisions).reduce((total, decision) => total + asArray(decision.rules).length, 0);
+    const waitEvents = asArray(metadata.waits).reduce((total, wait) => total + asArray(wait.waitEvents).length, 0);
+    return 1 + outcomes + waitEvents + asArray(metadata.loops).length;
+}
+
+// Elements on the longest path from the start, following every connector (fault paths
+// included) except the ones that take a loop body back to its loop. Other cycles (connectors
+// going back to an earlier element) are collapsed into one step counting all their elements,
+// so the depth is the same whichever branch first reaches a cycle.
+function getMaxPathDepth(metadata) {
+    const elementMap = getElementMap(metadata);
+    const loopBodies = new Map(asArray(metadata.loops).map(loop => [loop.name, getLoopBodyElements(metadata, loop.name)]));
+    const isBackEdge = (from, to) => loopBodies.has(to) && loopBodies.get(to).has(from);
+    const getTargets = name => {
+        const entry = elementMap.get(name);
+        return getConnectors(entry.element, entry.type)
+            .map(connector => connector.targetReference)
+            .filter(target => elementMap.has(target) && !isBackEdge(name, target));
+    };
+
+    const starts = [
+        getStartTarget(metadata),
+        ...getConnectors(metadata.start, 'start').map(connector => connector.targetReference)
+    ].filter(name => elementMap.has(name));
+
+    // Strongly connected components (Tarjan): elements that can reach each other share one
+    const components = new Map();
+    const componentSizes = [];
+    const indexes = new Map();
+    const lowLinks = new Map();
+    const stack = [];
+    const strongConnect = name => {
+        indexes.set(name, indexes.size);
+        lowLinks.set(name, indexes.get(name));
+        stack.push(name);
+        getTargets(name).forEach(target => {
+            if (!indexes.has(target)) {
+                strongConnect(target);
+                lowLinks.set(name, Math.min(lowLinks.get(name), lowLinks.get(target)));
+            } else if (!components.has(target)) {
+                lowLinks.set(name, Math.min(lowLinks.get(name), indexes.get(target)));
+            }
+        });
+
+        if (lowLinks.get(name) === indexes.get(name)) {
+            const component = componentSizes.length;
+            let size = 0;
+            let member;
+            do {
+                member = stack.pop();
+                components.set(member, component);
+                size++;
+            } while (member !== name);
+            componentSizes.push(size);
+        }
+    };
+    starts.forEach(name => {
+        if (!indexes.has(name)) strongConnect(name);
+    });
+
+    // Longest path over the components, which form a graph without cycles
+    const successors = componentSizes.map(() => new Set());
+    components.forEach((component, name) => getTargets(name)
+        .map(target => components.get(target))
+        .filter(target => target !== component)
+        .forEach(target => successors[component].add(target)));
+    const depths = new Map();
+    const getDepth = component => {
+        if (!depths.has(component)) {
+            depths.set(component, componentSizes[component] + Math.max(0, ...Array.from(successors[component]).map(getDepth)));
+        }
+        return depths.get(component);
+    };
+    return Math.max(0, ...starts.map(name => getDepth(components.get(name))));
+}
+
+// Record IDs, URLs and email addresses written into the flow, which differ between orgs
+// and belong in custom metadata, custom labels or settings
+function findHardcodedValues(node, location, key = null, values = []) {
+    if (node === null || node === undefined || DOCUMENTATION_KEYS.has(key)) return values;
+
+    if (typeof node === 'string') {
+        const add = value => values.push({ location, value });
+        if (isSalesforceId(node)) {
+            add(node);
+        } else {
+            for (const match of node.matchAll(QUOTED_ID_PATTERN)) {
+                if (isSalesforceId(match[1])) add(match[1]);
+            }
+        }
+        (node.match(URL_PATTERN) || []).forEach(add);
+        (node.match(EMAIL_PATTERN) || []).forEach(add);
+    } else if (Array.isArray(node)) {
+        node.forEach(child => findHardcodedValues(child, location, key, values));
+    } else if (typeof node === 'object') {
+        Object.keys(node).forEach(childKey => findHardcodedValues(node[childKey], location, childKey, values));
+    }
+
+    return values;
+}
+
+function getApiVersion(flow) {
+    const version = Number(flow.ApiVersion ?? flow.Metadata?.apiVersion);
+    return version > 0 ? version : null;
+}
+
+// Debt points per metric, leaving out the ones that add nothing
+function getDebtBreakdown(metrics) {
+    const overThreshold = key => Math.max(0, metrics[key] - THRESHOLDS[key]) * DEBT_POINTS[key];
+    const breakdown = {
+        cyclomaticComplexity: overThreshold('cyclomaticComplexity'),
+        maxPathDepth: overThreshold('maxPathDepth'),
+        variables: overThreshold('variables'),
+        longestFormula: overThreshold('longestFormula'),
+        hardcodedValues: metrics.hardcodedValues.length * DEBT_POINTS.hardcodedValue,
+        missingDescriptions: metrics.missingDescriptions.length * DEBT_POINTS.missingElementDescription +
+            (metrics.hasDescription ? 0 : DEBT_POINTS.missingFlowDescription),
+        apiVersion: metrics.outdatedApiVersion ? metrics.apiVersionsBehind * DEBT_POINTS.outdatedApiVersion : 0
+    };
+
+    Object.keys(breakdown).forEach(key => {
+        breakdown[key] = Math.round(breakdown[key]);
+        if (breakdown[key] === 0) delete breakdown[key];
+    });
+    return breakdown;
+}
+
+function measureFlow(flow) {
+    const metadata = flow.Metadata || {};
+    const elements = getElements(metadata);
+    const formulaLengths = asArray(metadata.formulas).map(formula => String(formula.expression || '').length);
+    const apiVersion = getApiVersion(flow);
+    const apiVersionsBehind = apiVersion ? Math.max(0, CURRENT_API_VERSION - Math.floor(apiVersion)) : null;
+
+    const hardcodedValues = [
+        ...findHardcodedValues(metadata.start, 'start'),
+        ...elements.flatMap(({ name, element }) => findHardcodedValues(element, name)),
+        ...['formulas', 'constants', 'textTemplates', 'variables'].flatMap(type =>
+            asArray(metadata[type]).flatMap(resource => findHardcodedValues(resource, resource.name)))
+    ];
+
+    const metrics = {
+        flowId: flow.Id,
+        flowName: getFlowName(flow),
+        apiName: getFlowApiName(flow),
+        processType: flow.ProcessType || metadata.processType || null,
+        status: flow.Status || null,
+        elements: elements.length,
+        cyclomaticComplexity: getCyclomaticComplexity(metadata),
+        maxPathDepth: getMaxPathDepth(metadata),
+        variables: asArray(metadata.variables).length,
+        formulaLength: formulaLengths.reduce((total, length) => total + length, 0),
+        longestFormula: Math.max(0, ...formulaLengths),
+        hardcodedValues,
+        missingDescriptions: elements.filter(({ element }) => !element.description).map(({ name }) => name),
+        hasDescription: !!metadata.description,
+        apiVersion,
+        apiVersionsBehind,
+        outdatedApiVersion: apiVersionsBehind !== null && apiVersionsBehind >= OUTDATED_API_VERSIONS_BEHIND
+    };
+
+    metrics.debtBreakdown = getDebtBreakdown(metrics);
+    metrics.debtScore = Object.values(metrics.debtBreakdown).reduce((total, points) => total + points, 0);
+    return metrics;
+}
+
+// { metadata, summary, flows: metrics per flow, highest debt score first }
+function buildFlowMetricsReport(flowsData) {
+    const flows = (flowsData.flows || [])
+        .map(measureFlow)
+        .sort((a, b) => b.debtScore - a.debtScore || a.flowName.localeCompare(b.flowName));
+    const total = key => flows.reduce((sum, flow) => sum + (Array.isArray(flow[key]) ? flow[key].length : flow[key]), 0);
+
+    return {
+        metadata: {
+            generatedAt: new Date().toISOString(),
+            orgAlias: flowsData.metadata?.orgAlias,
+            totalFlows: flows.length,
+            currentApiVersion: CURRENT_API_VERSION,
+            outdatedApiVersionsBehind: OUTDATED_API_VERSIONS_BEHIND,
+            thresholds: THRESHOLDS,
+            debtPoints: DEBT_POINTS
+        },
+        summary: {
+            totalDebtScore: total('debtScore'),
+            averageDebtScore: flows.length > 0 ? Math.round(total('debtScore') / flows.length) : 0,
+            complexFlows: flows.filter(flow => flow.cyclomaticComplexity > THRESHOLDS.cyclomaticComplexity).length,
+            outdatedFlows: flows.filter(flow => flow.outdatedApiVersion).length,
+            hardcodedValues: total('hardcodedValues'),
+            missingDescriptions: total('missingDescriptions')
+        },
+        flows
+    };
+}
+
+module.exports = {
+    CURRENT_API_VERSION,
+    THRESHOLDS,
+    measureFlow,
+    buildFlowMetricsReport
+};
@@ -0,0 +1,571 @@
+// Flow retrieval from a connected org through the Tooling API
+const {
+    SessionExpiredError,
+    withTokenRefresh,
+    createConnection,
+    fetchWithRefresh
+} = require('./salesforce-auth');
+const { createRateLimiter, isRequestLimitExceeded } = require('./rate-limiter');
+const { normalizeReadMetadata } = require('./local-source');
+const { DATA_ELEMENT_TYPES, getElements, getElementObject } = require('./flow-elements');
+
+// Snapshot versions of the last sync, keyed by flow version Id.
+// options: { snapshots: a FlowSnapshotStore (flow-snapshot.js), fullResync: true to fetch every
+// version again (the snapshot still provides the versions a filtered retrieval does not list) }
+async function loadSnapshotVersions(connectionInfo, options) {
+    if (!options.snapshots) return {};
+    const snapshot = await options.snapshots.load(connectionInfo);
+    if (snapshot && !options.fullResync) {
+        console.error(`🗃️ Using flow snapshot from ${snapshot.syncedAt}`);
+    }
+    return snapshot?.versions || {};
+}
+
+// Only versions that are new or whose LastModifiedDate moved on since the last sync are fetched
+function splitByModification(basicFlows, snapshotVersions) {
+    const reused = [];
+    const modified = [];
+    basicFlows.forEach(basicFlow => {
+        const known = snapshotVersions[basicFlow.Id];
+        if (known && known.LastModifiedDate === basicFlow.LastModifiedDate) {
+            reused.push(known);
+        } else {
+            modified.push(basicFlow);
+        }
+    });
+    return { reused, modified };
+}
+
+// Versions that could not be fetched are left out, so the next sync tries them again
+async function saveSnapshot(connectionInfo, options, flowDetails) {
+    if (!options.snapshots) return;
+
+    const versions = {};
+    flowDetails.filter(flow => !flow.error).forEach(flow => {
+        versions[flow.Id] = flow;
+    });
+    try {
+        await options.snapshots.save(connectionInfo, { syncedAt: new Date().toISOString(), versions });
+    } catch (error) {
+        console.error('Failed to save the flow snapshot:', error.message);
+    }
+}
+
+const API_VERSION = '64.0';
+
+const BASIC_FLOW_FIELDS = 'Id, MasterLabel, Status, ProcessType, TriggerOrder, LastModifiedDate, Description';
+// Flow version Ids per `Id IN (...)` query, well below the SOQL statement length limit
+const ID_QUERY_BATCH_SIZE = 200;
+
+async function queryFlowVersions(connectionInfo, fields, conditions) {
+    const query = `
+        SELECT ${fields}
+        FROM Flow
+        ${conditions.length > 0 ? `WHERE ${conditions.map(condition => `(${condition})`).join(' AND ')}` : ''}
+    `;
+    const result = await withTokenRefresh(connectionInfo, () => createConnection(connectionInfo).tooling.query(query));
+    return result.records || [];
+}
+
+// Newest LastModifiedDate among the snapshot's versions, as a SOQL datetime (Salesforce's own
+// clock, unlike the time of the sync); null for an empty snapshot
+function getSnapshotWatermark(snapshotVersions) {
+    const times = Object.values(snapshotVersions)
+        .map(version => Date.parse(version.LastModifiedDate))
+        .filter(time => !Number.isNaN(time));
+    if (times.length === 0) return null;
+    return new Date(Math.max(...times)).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// Basic information of every flow version matching the filter conditions.
+// With a snapshot, only the versions modified since its watermark (and versions it does not know)
+// are queried in full; an Id-only listing finds the others, whose snapshot entries are used, and
+// leaves out deleted ones. Versions modified at the watermark itself are listed again and then
+// recognized as unchanged by splitByModification.
+async function listFlowVersions(connectionInfo, conditions, snapshotVersions) {
+    const watermark = getSnapshotWatermark(snapshotVersions);
+    if (!watermark) {
+        const basicFlows = await queryFlowVersions(connectionInfo, BASIC_FLOW_FIELDS, conditions);
+        return sortFlowVersions(basicFlows);
+    }
+
+    const [listed, modified] = await Promise.all([
+        queryFlowVersions(connectionInfo, 'Id', conditions),
+        queryFlowVersions(connectionInfo, BASIC_FLOW_FIELDS, [...conditions, `LastModifiedDate >= ${watermark}`])
+    ]);
+    const basicFlows = new Map(modified.map(flow => [flow.Id, flow]));
+
+    // Versions the snapshot lacks although older than its watermark, e.g. ones that failed to fetch
+    const unknownIds = listed.map(flow => flow.Id).filter(id => !basicFlows.has(id) && !snapshotVersions[id]);
+    for (let i = 0; i < unknownIds.length; i += ID_QUERY_BATCH_SIZE) {
+        const ids = unknownIds.slice(i, i + ID_QUERY_BATCH_SIZE).map(id => `'${id}'`).join(', ');
+        (await queryFlowVersions(connectionInfo, BASIC_FLOW_FIELDS, [`Id IN (${ids})`])).forEach(flow => basicFlows.set(flow.Id, flow));
+    }
+
+    console.error(`🗃️ ${modified.length} flow versions modified since ${watermark}, ${unknownIds.length} missing from the snapshot`);
+    return sortFlowVersions(listed.map(flow => basicFlows.get(flow.Id) || snapshotVersions[flow.Id]).filter(Boolean));
+}
+
+// By Status descending, then label, as the listing was ordered before snapshots
+function sortFlowVersions(basicFlows) {
+    return basicFlows.sort((a, b) => String(b.Status).localeCompare(String(a.Status)) ||
+        String(a.MasterLabel).localeCompare(String(b.MasterLabel)));
+}
+const METADATA_READ_BATCH_SIZE = 10; // the most flows readMetadata returns per call
+
+// A fetched flow version in the shape every consumer of getFlowsData expects
+function toFlowRecord(flowRecord) {
+    return {
+        attributes: {
+            type: "Flow",
+            url: `/services/data/v${API_VERSION}/tooling/sobjects/Flow/${flowRecord.Id}`
+        },
+        Id: flowRecord.Id,
+        FullName: flowRecord.FullName,
+        MasterLabel: flowRecord.MasterLabel,
+        Status: flowRecord.Status,
+        ProcessType: flowRecord.ProcessType,
+        Metadata: flowRecord.Metadata,
+        TriggerOrder: flowRecord.TriggerOrder,
+        ApiVersion: flowRecord.ApiVersion,
+        LastModifiedDate: flowRecord.LastModifiedDate,
+        Description: flowRecord.Description,
+        isActive: flowRecord.Status === 'Active'
+    };
+}
+
+// The basic information of a version whose Metadata could not be fetched
+function toFailedFlowRecord(basicFlow, error) {
+    return {
+        ...toFlowRecord({ ...basicFlow, FullName: 'Unknown', ApiVersion: null, Metadata: {} }),
+        error
+    };
+}
+
+// Tooling API query through the rate limiter: records the org's API usage and turns
+// REQUEST_LIMIT_EXCEEDED answers into errors, so the limiter backs off and retries
+function limitedToolingQuery(connectionInfo, limiter, query) {
+    return limiter.run(async () => {
+        const response = await fetchWithRefresh(connectionInfo, `/services/data/v${API_VERSION}/tooling/query/?q=${encodeURIComponent(query)}`);
+        limiter.recordLimitInfo(response.headers.get('sforce-limit-info'));
+
+        const result = await response.json();
+        const limitError = Array.isArray(result) ? result.find(isRequestLimitExceeded) : null;
+        if (limitError) {
+            throw Object.assign(new Error(limitError.message), { errorCode: limitError.errorCode });
+        }
+        return result;
+    });
+}
+
+// Metadata and FullName can only be selected when the query returns a single record
+async function fetchToolingFlow(connectionInfo, limiter, basicFlow) {
+    const detailedFlowQuery = `SELECT Id, FullName, MasterLabel, Status, ProcessType, Metadata, TriggerOrder, ApiVersion, LastModifiedDate, Description FROM Flow WHERE Id = '${basicFlow.Id}'`;
+    const detailedFlowResult = await limitedToolingQuery(connectionInfo, limiter, detailedFlowQuery);
+
+    if (detailedFlowResult.records && detailedFlowResult.records.length > 0) {
+        return toFlowRecord(detailedFlowResult.records[0]);
+    }
+    return toFailedFlowRecord(basicFlow, 'Could not fetch detailed metadata');
+}
+
+// readMetadata reads a flow by its definition's DeveloperName and returns the latest version,
+// so only latest versions can be batched: DeveloperName keyed by latest version Id
+async function getLatestVersionNames(connectionInfo, limiter) {
+    try {
+        const result = await limitedToolingQuery(connectionInfo, limiter, 'SELECT DeveloperName, LatestVersionId FROM FlowDefinition');
+        if (result.records) {
+            return new Map(result.records.map(definition => [definition.LatestVersionId, definition.DeveloperName]));
+        }
+    } catch (error) {
+        if (error instanceof SessionExpiredError) throw error;
+    }
+    console.error('Could not list flow definitions, fetching every flow through the Tooling API');
+    return new Map();
+}
+
+// Up to METADATA_READ_BATCH_SIZE flows in one Metadata API call, keyed by DeveloperName;
+// flows missing from the answer are not in the map
+async function readFlowBatch(connectionInfo, limiter, developerNames) {
+    const results = await limiter.run(() => withTokenRefresh(connectionInfo, () =>
+        createConnection(connectionInfo, { version: API_VERSION }).metadata.read('Flow', developerNames)
+    ));
+    // jsforce answers a single name with a single object
+    return new Map([].concat(results || []).filter(result => result && result.fullName).map(result => [result.fullName, result]));
+}
+
+// Fetch the Metadata of new or modified flow versions, several calls at a time within the org's
+// API limits (see rate-limiter.js). Latest versions are read in batches through the Metadata API
+// when SALESFORCE_READ_METADATA is true. onFetched(flowRecord, fetchedCount) follows each version
+// as it completes; the returned records keep the order of `modified`.
+async function fetchFlowDetails(connectionInfo, modified, onFetched = () => {}) {
+    const limiter = createRateLimiter();
+    const flowRecords = new Array(modified.length);
+    let fetched = 0;
+
+    const complete = (index, flowRecord) => {
+        flowRecords[index] = flowRecord;
+        fetched++;
+        if (flowRecord.error) {
+            console.error(`   ❌ [${fetched}/${modified.length}] ${flowRecord.MasterLabel || flowRecord.Id}: ${flowRecord.error}`);
+        } else {
+            console.error(`   ✅ [${fetched}/${modified.length}] ${flowRecord.MasterLabel} - ProcessType: ${flowRecord.ProcessType}, ApiVersion: ${flowRecord.ApiVersion}`);
+        }
+        onFetched(flowRecord, fetched);
+    };
+
+    // An expired session affects every remaining flow; stop instead of recording each one
+    const fail = (index, flowError) => {
+        if (flowError instanceof SessionExpiredError) {
+            limiter.stop(flowError);
+            throw flowError;
+        }
+        complete(index, toFailedFlowRecord(modified[index], flowError.message));
+    };
+
+    const fetchFromTooling = async index => {
+        try {
+            complete(index, await fetchToolingFlow(connectionInfo, limiter, modified[index]));
+        } catch (flowError) {
+            fail(index, flowError);
+        }
+    };
+
+    // Flows the Metadata API did not return are fetched through the Tooling API instead
+    const fetchBatch = async batch => {
+        let flowMetadata = new Map();
+        try {
+            flowMetadata = await readFlowBatch(connectionInfo, limiter, batch.map(item => item.developerName));
+        } catch (batchError) {
+            if (batchError instanceof SessionExpiredError) {
+                limiter.stop(batchError);
+                throw batchError;
+            }
+            console.error(`   ❌ readMetadata failed for ${batch.length} flows, using the Tooling API:`, batchError.message);
+        }
+
+        await Promise.all(batch.map(({ index, developerName }) => {
+            if (!flowMetadata.has(developerName)) return fetchFromTooling(index);
+            const metadata = normalizeReadMetadata(flowMetadata.get(developerName));
+            complete(index, toFlowRecord({ ...modified[index], FullName: developerName, Metadata: metadata, ApiVersion: metadata.apiVersion ?? null }));
+            return null;
+        }));
+    };
+
+    let toolingIndexes = [...modified.keys()];
+    const batches = [];
+    if (process.env.SALESFORCE_READ_METADATA === 'true' && modified.length > 0) {
+        const latestVersionNames = await getLatestVersionNames(connectionInfo, limiter);
+        const readable = toolingIndexes
+            .filter(index => latestVersionNames.has(modified[index].Id))
+            .map(index => ({ index, developerName: latestVersionNames.get(modified[index].Id) }));
+        toolingIndexes = toolingIndexes.filter(index => !latestVersionNames.has(modified[index].Id));
+        for (let i = 0; i < readable.length; i += METADATA_READ_BATCH_SIZE) {
+            batches.push(readable.slice(i, i + METADATA_READ_BATCH_SIZE));
+        }
+        console.error(`📦 Reading ${readable.length} latest flow versions in ${batches.length} Metadata API calls`);
+    }
+
+    await Promise.all([
+        ...batches.map(fetchBatch),
+        ...toolingIndexes.map(fetchFromTooling)
+    ]);
+    return flowRecords;
+}
+
+// Flow filters from query parameters, null when there are none:
+//   ?status=Active,Draft&processType=AutoLaunchedFlow&object=Account&name=Order*
+// status, processType and object take comma-separated lists; name matches flow labels
+// case-insensitively, with * as a wildcard
+function parseFlowFilters(query = {}) {
+    const filters = {};
+    ['status', 'processType', 'object'].forEach(key => {
+        const values = String(query[key] || '').split(',').map(value => value.trim()).filter(Boolean);
+        if (values.length > 0) filters[key] = values;
+    });
+    const name = String(query.name || '').trim();
+    if (name) filters.name = name;
+    return Object.keys(filters).length > 0 ? filters : null;
+}
+
+function soqlString(value) {
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+// SOQL conditions for the filters the Flow object can answer. The objects a flow works on
+// are only known from its Metadata, so the object filter applies after retrieval.
+function buildFilterConditions(filters) {
+    const conditions = [];
+    if (!filters) return conditions;
+
+    if (filters.status) {
+        conditions.push(`Status IN (${filters.status.map(soqlString).join(', ')})`);
+    }
+    if (filters.processType) {
+        conditions.push(`ProcessType IN (${filters.processType.map(soqlString).join(', ')})`);
+    }
+    if (filters.name) {
+        const pattern = filters.name
+            .replace(/\\/g, '\\\\')
+            .replace(/'/g, "\\'")
+            .replace(/[%_]/g, wildcard => `\\${wildcard}`)
+            .replace(/\*/g, '%');
+        conditions.push(`MasterLabel LIKE '${pattern}'`);
+    }
+    return conditions;
+}
+
+function namePatternToRegExp(pattern) {
+    const source = pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+// Objects a flow works on: the object that triggers it and those of its record elements
+function getFlowObjects(flow) {
+    const metadata = flow.Metadata || {};
+    const objects = new Set();
+    if (metadata.start?.object) objects.add(metadata.start.object);
+    getElements(metadata)
+        .filter(entry => DATA_ELEMENT_TYPES.includes(entry.type))
+        .forEach(entry => {
+            const object = getElementObject(metadata, entry.element);
+            if (object) objects.add(object);
+        });
+    return [...objects];
+}
+
+function matchesFilters(flow, filters) {
+    const includes = (values, value) => values.some(item => item.toLowerCase() === String(value || '').toLowerCase());
+
+    if (filters.status && !includes(filters.status, flow.Status)) return false;
+    if (filters.processType && !includes(filters.processType, flow.ProcessType)) return false;
+    if (filters.name && !namePatternToRegExp(filters.name).test(flow.MasterLabel || '')) return false;
+    if (filters.object) {
+        const objects = getFlowObjects(flow);
+        if (!filters.object.some(object => includes(objects, object))) return false;
+    }
+    return true;
+}
+
+function countFlows(flows) {
+    const activeFlows = flows.filter(flow => flow.isActive).length;
+    return { totalFlows: flows.length, activeFlows, inactiveFlows: flows.length - activeFlows };
+}
+
+// Flows data restricted to the filters (see parseFlowFilters), for org retrievals and
+// already loaded sources alike; metadata.filters records what was applied
+function filterFlowsData(flowsData, filters) {
+    if (!filters) return flowsData;
+
+    const flows = flowsData.flows.filter(flow => matchesFilters(flow, filters));
+    return {
+        ...flowsData,
+        metadata: { ...flowsData.metadata, ...countFlows(flows), filters },
+        flows
+    };
+}
+
+// Retrieve the org's flows, keeping the latest version of each.
+// options: {
+//   snapshots, fullResync: see loadSnapshotVersions; without a snapshot store every version is fetched
+//   filters: see parseFlowFilters
+//   onProgress: called with { message, percent, total, current } as the retrieval goes on
+// }
+async function getFlowsData(connectionInfo, options = {}) {
+    const { filters = null, onProgress = () => {} } = options;
+
+    onProgress({ message: 'Getting basic flow information...', percent: 0 });
+
+    // First, get all Flow versions (both active and inactive) with their basic information
+    console.error("📋 Getting basic flow information...");
+    const snapshotVersions = await loadSnapshotVersions(connectionInfo, options);
+    const basicFlows = await listFlowVersions(connectionInfo, buildFilterConditions(filters), options.fullResync ? {} : snapshotVersions);
+    
+    const activeFlows = basicFlows.filter(flow => flow.Status === 'Active');
+    const inactiveFlows = basicFlows.filter(flow => flow.Status !== 'Active');
+    
+    console.error(`📊 Found ${basicFlows.length} total flows to process (${activeFlows.length} active, ${inactiveFlows.length} inactive)`);
+    
+    const { reused, modified } = splitByModification(basicFlows, options.fullResync ? {} : snapshotVersions);
+    console.error(`🔄 ${reused.length} flow versions unchanged since the last sync, fetching ${modified.length}`);
+    
+    onProgress({
+        message: `Found ${basicFlows.length} flows (${activeFlows.length} active, ${inactiveFlows.length} inactive), ${reused.length} unchanged since the last sync. Processing metadata...`,
+        percent: 10,
+        total: modified.length,
+        current: 0
+    });
+    
+    // Now get detailed metadata for each new or modified flow, several at a time
+    const fetchedFlows = await fetchFlowDetails(connectionInfo, modified, (flowRecord, fetched) => {
+        onProgress({
+            message: `Processed flow ${fetched}/${modified.length}: ${flowRecord.MasterLabel || flowRecord.Id}`,
+            percent: Math.round(10 + (fetched / modified.length) * 80), // 10% to 90%
+            total: modified.length,
+            current: fetched
+        });
+    });
+    const flowDetails = [...reused, ...fetchedFlows];
+
+    onProgress({
+        message: 'Filtering to latest versions only...',
+        percent: 95,
+        total: modified.length,
+        current: modified.length
+    });
+
+    // A filtered listing leaves out the other versions; they stay in the snapshot as they were
+    const listed = new Set(basicFlows.map(flow => flow.Id));
+    const unlisted = filters ? Object.values(snapshotVersions).filter(version => !listed.has(version.Id)) : [];
+    await saveSnapshot(connectionInfo, options, [...unlisted, ...flowDetails]);
+
+    // Filter to keep only the latest version of each flow
+    const latestFlows = filterToLatestVersions(flowDetails);
+    
+    const flowsData = filterFlowsData({
+        metadata: {
+            retrievedAt: new Date().toISOString(),
+            orgAlias: connectionInfo.instanceUrl.replace('https://', '').split('.')[0],
+            orgUsername: connectionInfo.userInfo?.username || 'Unknown',
+            ...countFlows(latestFlows),
+            source: "Salesforce Flow Analyzer Tool",
+            sync: describeSync(reused, modified)
+        },
+        flows: latestFlows
+    }, filters);
+
+    console.error(`📊 After filtering: ${flowsData.metadata.totalFlows} flows (${flowsData.metadata.activeFlows} active, ${flowsData.metadata.inactiveFlows} inactive)`);
+
+    return flowsData;
+}
+
+// How the flows were retrieved, for the dashboard and exports
+function describeSync(reused, modified) {
+    return {
+        mode: reused.length > 0 ? 'incremental' : 'full',
+        fetchedVersions: modified.length,
+        reusedVersions: reused.length
+    };
+}
+
+// Helper function to filter flows to only the latest version of each flow
+function filterToLatestVersions(flowDetails) {
+    console.error(`🔍 Filtering ${flowDetails.length} flows to latest versions only...`);
+    
+    // Group flows by MasterLabel
+    const flowGroups = {};
+    
+    flowDetails.forEach(flow => {
+        const key = flow.MasterLabel || flow.FullName;
+        if (!flowGroups[key]) {
+            flowGroups[key] = [];
+        }
+        flowGroups[key].push(flow);
+    });
+    
+    // For each group, keep only the latest version
+    const latestFlows = [];
+    
+    Object.keys(flowGroups).forEach(flowName => {
+        const versions = flowGroups[flowName];
+        
+        if (versions.length === 1) {
+            latestFlows.push(versions[0]);
+        } else {
+            // Sort by LastModifiedDate (newest first) and take the first one
+            const sortedVersions = versions.sort((a, b) => {
+                const dateA = new Date(a.LastModifiedDate || 0);
+                const dateB = new Date(b.LastModifiedDate || 0);
+                return dateB - dateA;
+            });
+            
+            // Prefer active version if available, otherwise take the newest
+            let latestVersion = sortedVersions[0];
+            const activeVersion = sortedVersions.find(v => v.isActive);
+            if (activeVersion) {
+                latestVersion = activeVersion;
+            }
+            
+            console.error(`   📝 ${flowName}: ${versions.length} versions → keeping ${latestVersion.Status} version (${latestVersion.LastModifiedDate})`);
+            latestFlows.push(latestVersion);
+        }
+    });
+    
+    console.error(`✅ Filtered from ${flowDetails.length} to ${latestFlows.length} flows`);
+    return latestFlows;
+}
+
+// Tooling API query through REST. Metadata and FullName can only be selected
+// when the query returns a single record, so full versions are fetched one by one.
+async function queryTooling(connectionInfo, query) {
+    const response = await fetchWithRefresh(connectionInfo, `/services/data/v${API_VERSION}/tooling/query/?q=${encodeURIComponent(query)}`);
+
+    const result = await response.json();
+    if (!response.ok) {
+        const message = Array.isArray(result) ? result[0]?.message : result.message;
+        throw new Error(message || `Tooling API query failed with status: ${response.status}`);
+    }
+    return result.records || [];
+}
+
+function assertRecordId(id) {
+    if (!/^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/.test(id || '')) {
+        throw new Error(`Invalid flow version Id: ${id}`);
+    }
+}
+
+// All versions of the flow definition a flow version belongs to, newest first (without Metadata)
+async function getFlowVersions(connectionInfo, flowId) {
+    assertRecordId(flowId);
+
+    const [flow] = await queryTooling(connectionInfo, `SELECT DefinitionId FROM Flow WHERE Id = '${flowId}'`);
+    if (!flow) {
+        throw new Error(`Flow not found: ${flowId}`);
+    }
+
+    const versions = await queryTooling(connectionInfo, `
+        SELECT Id, DefinitionId, VersionNumber, MasterLabel, Status, ProcessType, LastModifiedDate, Description
+        FROM Flow
+        WHERE DefinitionId = '${flow.DefinitionId}'
+        ORDER BY VersionNumber DESC
+    `);
+
+    console.error(`📚 Found ${versions.length} versions for flow definition ${flow.DefinitionId}`);
+
+    return versions.map(version => ({
+        Id: version.Id,
+        DefinitionId: version.DefinitionId,
+        VersionNumber: version.VersionNumber,
+        MasterLabel: version.MasterLabel,
+        Status: version.Status,
+        ProcessType: version.ProcessType,
+        LastModifiedDate: version.LastModifiedDate,
+        Description: version.Description,
+        isActive: version.Status === 'Active'
+    }));
+}
+
+// One flow version with its complete Metadata, in the same shape as getFlowsData records
+async function getFlowVersion(connectionInfo, versionId) {
+    assertRecordId(versionId);
+
+    const [flowRecord] = await queryTooling(connectionInfo, `SELECT Id, DefinitionId, VersionNumber, FullName, MasterLabel, Status, ProcessType, Metadata, TriggerOrder, ApiVersion, LastModifiedDate, Description FROM Flow WHERE Id = '${versionId}'`);
+    if (!flowRecord) {
+        throw new Error(`Flow version not found: ${versionId}`);
+    }
+
+    return {
+        ...toFlowRecord(flowRecord),
+        DefinitionId: flowRecord.DefinitionId,
+        VersionNumber: flowRecord.VersionNumber
+    };
+}
+
+module.exports = {
+    getFlowsData,
+    parseFlowFilters,
+    filterFlowsData,
+    filterToLatestVersions,
+    getFlowVersions,
+    getFlowVersion
+};
@@ -0,0 +1,55 @@
+// Per-org snapshot of retrieved flow versions, so a retrieval only fetches the Metadata of
+// versions modified since the last sync. One JSON file per org:
+//   { syncedAt, versions: { <flow version Id>: <flow record as returned by getFlowsData> } }
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// The org a connection belongs to; sandboxes and production have different IDs
+function getSnapshotOrgId(connectionInfo) {
+    return connectionInfo.userInfo?.organizationId || connectionInfo.instanceUrl;
+}
+
+class FlowSnapshotStore {
+    constructor({ directory }) {
+        this.directory = directory;
+        fs.mkdirSync(directory, { recursive: true });
+    }
+
+    filePath(connectionInfo) {
+        const orgHash = crypto.createHash('sha256').update(String(getSnapshotOrgId(connectionInfo))).digest('hex');
+        return path.join(this.directory, `${orgHash}.json`);
+    }
+
+    // null when the org has never been synced or the snapshot is unreadable (a full retrieval follows)
+    async load(connectionInfo) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.filePath(connectionInfo), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Ignoring unreadable flow snapshot:', error.message);
+            }
+            return null;
+        }
+    }
+
+    // Write then rename so a crash never leaves a half-written snapshot
+    async save(connectionInfo, snapshot) {
+        const filePath = this.filePath(connectionInfo);
+        const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(snapshot), { mode: 0o600 });
+        await fs.promises.rename(tempPath, filePath);
+    }
+}
+
+function createFlowSnapshotStore() {
+    return new FlowSnapshotStore({
+        directory: process.env.SNAPSHOT_DIR || path.join(__dirname, '..', '.snapshots')
+    });
+}
+
+module.exports = {
+    FlowSnapshotStore,
+    getSnapshotOrgId,
+    createFlowSnapshotStore
+};
@@ -0,0 +1,268 @@
+// Static governor-limit estimate per flow and per chain of record-triggered flows sharing a
+// transaction: SOQL queries, DML statements and DML rows for a batch of 200 records.
+//
+// The model is a worst case, not a simulation:
+//   - every element counts, whichever decision outcome leads to it
+//   - Flow bulkifies the interviews of a batch, so an element outside loops uses one query or
+//     DML statement for the whole batch, and one per iteration inside a loop
+//   - loops are assumed to go over LOOP_ITERATIONS records, nested loops multiply
+//   - each DML statement writes one record per interview, or LOOP_ITERATIONS when it saves a
+//     collection or updates/deletes by filter conditions
+const {
+    DML_ELEMENT_TYPES,
+    getFlowName,
+    getFlowApiName,
+    asArray,
+    getElements,
+    getElementObject,
+    getLoopBodyElements
+} = require('./flow-elements');
+
+// Records per trigger batch, and the records a loop or record collection is assumed to hold
+const BATCH_SIZE = 200;
+const LOOP_ITERATIONS = 200;
+
+// Synchronous transaction limits
+const LIMITS = {
+    soql: 100,
+    dml: 150,
+    dmlRows: 10000
+};
+
+const LIMIT_LABELS = {
+    soql: 'SOQL queries',
+    dml: 'DML statements',
+    dmlRows: 'DML rows'
+};
+
+// Share of a limit above which an estimate is a warning
+const WARNING_RATIO = 0.5;
+
+// Flows started by records (record changes, scheduled batches, platform events) run a batch of interviews
+function isBatchStarted(flow) {
+    return !!flow.Metadata?.start?.object;
+}
+
+// How many loops each element runs inside, keyed by element name
+function getLoopDepths(metadata) {
+    const depths = new Map();
+    asArray(metadata.loops).forEach(loop => {
+        getLoopBodyElements(metadata, loop.name).forEach(name => {
+            if (!depths.has(name)) depths.set(name, []);
+            depths.get(name).push(loop.label || loop.name);
+        });
+    });
+    return depths;
+}
+
+// Whether a DML element writes a collection of records rather than one per interview
+function writesCollection(metadata, element) {
+    if (!element.inputReference) {
+        return asArray(element.filters).length > 0;
+    }
+    const reference = element.inputReference.split('.')[0];
+    const variable = asArray(metadata.variables).find(v => v.name === reference);
+    if (variable) return !!variable.isCollection;
+    const lookup = asArray(metadata.recordLookups).find(l => l.name === reference);
+    return !!lookup && !lookup.getFirstRecordOnly;
+}
+
+function emptyUsage() {
+    return { soql: 0, dml: 0, dmlRows: 0 };
+}
+
+function addUsage(total, usage, factor = 1) {
+    Object.keys(LIMITS).forEach(key => {
+        total[key] += usage[key] * factor;
+    });
+}
+
+// Estimate for one flow run by `interviews` interviews at once. Subflows found in flowsByApiName
+// count with their own estimate; Apex actions and unknown subflows cannot be estimated.
+function estimateFlowUsage(flow, flowsByApiName, interviews, stack = new Set()) {
+    const metadata = flow.Metadata || {};
+    const loopDepths = getLoopDepths(metadata);
+    const usage = emptyUsage();
+    const contributions = [];
+    const unestimated = [];
+
+    getElements(metadata).forEach(({ type, name, label, element }) => {
+        const loops = loopDepths.get(name) || [];
+        const executions = LOOP_ITERATIONS ** loops.length;
+        const elementUsage = emptyUsage();
+
+        if (type === 'recordLookups') {
+            elementUsage.soql = executions;
+        } else if (DML_ELEMENT_TYPES.includes(type)) {
+            // Update and Delete Records with filter conditions query the records first
+            if (type !== 'recordCreates' && !element.inputReference && asArray(element.filters).length > 0) {
+                elementUsage.soql = executions;
+            }
+            elementUsage.dml = executions;
+            elementUsage.dmlRows = executions * interviews * (writesCollection(metadata, element) ? LOOP_ITERATIONS : 1);
+        } else if (type === 'subflows') {
+            const subflow = flowsByApiName.get(element.flowName);
+            if (subflow && !stack.has(element.flowName)) {
+                const subflowEstimate = estimateFlowUsage(subflow, flowsByApiName, interviews, new Set([...stack, element.flowName]));
+                addUsage(elementUsage, subflowEstimate.usage, executions);
+                unestimated.push(...subflowEstimate.unestimated);
+            } else if (!subflow) {
+                unestimated.push(`Subflow ${element.flowName}`);
+            }
+        } else if (type === 'actionCalls' && element.actionType === 'apex') {
+            unestimated.push(`Apex ${element.actionName}`);
+        }
+
+        if (Object.keys(LIMITS).some(key => elementUsage[key] > 0)) {
+            addUsage(usage, elementUsage);
+            contributions.push({
+                element: name,
+                label: label || name,
+                type,
+                object: type === 'subflows' ? null : getElementObject(metadata, element),
+                loops,
+                ...elementUsage
+            });
+        }
+    });
+
+    return { usage, contributions, unestimated: [...new Set(unestimated)] };
+}
+
+// Issues for estimates at or above WARNING_RATIO of a limit, naming the largest contributor
+function findLimitIssues(usage, contributions, subject) {
+    const issues = [];
+    Object.keys(LIMITS).forEach(key => {
+        const ratio = usage[key] / LIMITS[key];
+        if (ratio < WARNING_RATIO) return;
+
+        const top = [...(contributions || [])].sort((a, b) => b[key] - a[key])[0];
+        const cause = top && top[key] > 0 ?
+            `, mostly from "${top.label}"${top.loops?.length ? ` inside loop "${top.loops.join('" > "')}"` : ''}` :
+            '';
+        issues.push({
+            type: `${key.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase()}_LIMIT`,
+            severity: ratio > 1 ? 'error' : 'warning',
+            limit: key,
+            estimated: usage[key],
+            message: `${subject} uses an estimated ${usage[key].toLocaleString('en-US')} ${LIMIT_LABELS[key]} (limit ${LIMITS[key].toLocaleString('en-US')})${cause}`
+        });
+    });
+    return issues;
+}
+
+function estimateFlow(flow, flowsByApiName) {
+    const interviews = isBatchStarted(flow) ? BATCH_SIZE : 1;
+    const { usage, contributions, unestimated } = estimateFlowUsage(flow, flowsByApiName, interviews, new Set([getFlowApiName(flow)]));
+    const start = flow.Metadata?.start || {};
+
+    return {
+        flowId: flow.Id,
+        flowName: getFlowName(flow),
+        apiName: getFlowApiName(flow),
+        status: flow.Status,
+        triggerObject: start.object || null,
+        triggerType: start.triggerType || null,
+        interviews,
+        ...usage,
+        contributions: contributions.sort((a, b) => b.soql + b.dml - (a.soql + a.dml)),
+        unestimated,
+        issues: findLimitIssues(usage, contributions, start.object ?
+            `"${getFlowName(flow)}" on a batch of ${BATCH_SIZE} ${start.object} records` :
+            `One run of "${getFlowName(flow)}"`)
+    };
+}
+
+function isRecordTriggered(flow) {
+    return ['RecordBeforeSave', 'RecordAfterSave', 'RecordBeforeDelete'].includes(flow.Metadata?.start?.triggerType);
+}
+
+// Active record-triggered flows of each object, plus the ones their record creates, updates
+// and deletes set off on other objects, all in the same transaction
+function buildChains(flows, estimates) {
+    const triggered = new Map();
+    flows.filter(flow => flow.isActive && isRecordTriggered(flow)).forEach(flow => {
+        const object = flow.Metadata.start.object;
+        if (!triggered.has(object)) triggered.set(object, []);
+        triggered.get(object).push(flow);
+    });
+
+    const estimateOf = flow => estimates.find(estimate => estimate.flowId === flow.Id);
+    const writtenObjects = flow => estimateOf(flow).contributions
+        .filter(contribution => DML_ELEMENT_TYPES.includes(contribution.type) && contribution.object)
+        .map(contribution => contribution.object);
+
+    return [...triggered.keys()].sort().map(object => {
+        const chainFlows = [];
+        const cascadesTo = [];
+        const visited = new Set();
+        const queue = [object];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            if (visited.has(current)) continue;
+            visited.add(current);
+            if (current !== object && triggered.has(current)) cascadesTo.push(current);
+
+            (triggered.get(current) || []).forEach(flow => {
+                chainFlows.push(flow);
+                queue.push(...writtenObjects(flow));
+            });
+        }
+
+        const usage = emptyUsage();
+        const contributions = chainFlows.map(flow => {
+            const estimate = estimateOf(flow);
+            addUsage(usage, estimate);
+            return { label: estimate.flowName, soql: estimate.soql, dml: estimate.dml, dmlRows: estimate.dmlRows };
+        });
+
+        return {
+            object,
+            flows: contributions.map(contribution => contribution.label),
+            cascadesTo,
+            ...usage,
+            issues: findLimitIssues(usage, contributions, `Saving a batch of ${BATCH_SIZE} ${object} records`)
+        };
+    }).filter(chain => chain.flows.length > 0);
+}
+
+// { metadata, summary, flows: per-flow estimates, chains: per-object transaction estimates }
+function buildGovernorLimitReport(flowsData) {
+    const flows = flowsData.flows || [];
+    const flowsByApiName = new Map(flows.map(flow => [getFlowApiName(flow), flow]));
+    const estimates = flows.map(flow => estimateFlow(flow, flowsByApiName));
+    const chains = buildChains(flows, estimates);
+
+    // Most at risk first
+    const risk = entry => Math.max(...Object.keys(LIMITS).map(key => entry[key] / LIMITS[key]));
+    estimates.sort((a, b) => risk(b) - risk(a) || a.flowName.localeCompare(b.flowName));
+    chains.sort((a, b) => risk(b) - risk(a) || a.object.localeCompare(b.object));
+
+    const issues = [...estimates, ...chains].flatMap(entry => entry.issues);
+
+    return {
+        metadata: {
+            generatedAt: new Date().toISOString(),
+            orgAlias: flowsData.metadata?.orgAlias,
+            totalFlows: flows.length,
+            batchSize: BATCH_SIZE,
+            loopIterations: LOOP_ITERATIONS,
+            limits: LIMITS
+        },
+        summary: {
+            flowsAtRisk: estimates.filter(estimate => estimate.issues.length > 0).length,
+            chainsAtRisk: chains.filter(chain => chain.issues.length > 0).length,
+            errors: issues.filter(issue => issue.severity === 'error').length,
+            warnings: issues.filter(issue => issue.severity === 'warning').length
+        },
+        flows: estimates,
+        chains
+    };
+}
+
+module.exports = {
+    BATCH_SIZE,
+    LOOP_ITERATIONS,
+    LIMITS,
+    buildGovernorLimitReport
+};
@@ -0,0 +1,298 @@
+// Background AI analysis jobs: queued per provider and API key so concurrent users
+// cannot overload the same key, with state persisted to disk so a browser refresh,
+// a reconnect or a server restart does not lose a finished run.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { performAIAnalysis, summarizeFlowsForChat } = require('./ai-analysis');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const FINISHED_STATUSES = new Set(['completed', 'failed', 'cancelled']);
+
+const JOB_TTL = 24 * 60 * 60 * 1000; // finished jobs are kept for a day
+const CLEANUP_INTERVAL = 60 * 60 * 1000;
+
+function hash(value) {
+    return crypto.createHash('sha256').update(String(value || '')).digest('hex');
+}
+
+// Owners are identified by a hash of their session ID, so job files never hold live session IDs
+function getOwnerId(sessionId) {
+    return hash(sessionId);
+}
+
+class JobQueue {
+    // history: an AnalysisHistory (analysis-history.js) for cached flow analyses and saved runs
+    constructor({ directory, history = null, perKeyConcurrency = 1, perProviderConcurrency = 3, ttl = JOB_TTL }) {
+        this.directory = directory;
+        this.history = history;
+        this.perKeyConcurrency = perKeyConcurrency;
+        this.perProviderConcurrency = perProviderConcurrency;
+        this.ttl = ttl;
+
+        this.jobs = new Map();
+        // Not persisted: API keys, flow data and abort controllers of queued and running jobs,
+        // dropped as soon as the job finishes
+        this.runtime = new Map();
+        // Not persisted either: API key and flow summary of completed jobs, until the chat takes them
+        this.chatContexts = new Map();
+        this.queue = [];
+        this.pendingWrites = new Map();
+
+        fs.mkdirSync(directory, { recursive: true });
+        this.loadJobs();
+
+        this.cleanupTimer = setInterval(() => this.removeExpired(), CLEANUP_INTERVAL);
+        this.cleanupTimer.unref();
+    }
+
+    filePath(id) {
+        if (!/^[a-f0-9-]+$/.test(id)) {
+            throw new Error('Invalid job ID');
+        }
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    loadJobs() {
+        fs.readdirSync(this.directory).filter(file => file.endsWith('.json')).forEach(file => {
+            try {
+                const job = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+                // The process that ran it is gone, and the API key went with it
+                if (!FINISHED_STATUSES.has(job.status)) {
+                    job.status = 'failed';
+                    job.error = 'Interrupted by a server restart. Please start the analysis again.';
+                    job.finishedAt = new Date().toISOString();
+                    this.persist(job);
+                }
+                this.jobs.set(job.id, job);
+            } catch (error) {
+                console.error(`Skipping unreadable job file ${file}:`, error.message);
+            }
+        });
+    }
+
+    // Writes of one job are chained so progress updates land in order
+    persist(job) {
+        const filePath = this.filePath(job.id);
+        const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        const content = JSON.stringify(job);
+
+        const previous = this.pendingWrites.get(job.id) || Promise.resolve();
+        const write = previous
+            // Write then rename so a crash never leaves a half-written job
+            .then(() => fs.promises.writeFile(tempPath, content, { mode: 0o600 }))
+            .then(() => fs.promises.rename(tempPath, filePath))
+            .catch(error => console.error(`Failed to save job ${job.id}:`, error.message))
+            .finally(() => {
+                if (this.pendingWrites.get(job.id) === write) this.pendingWrites.delete(job.id);
+            });
+        this.pendingWrites.set(job.id, write);
+    }
+
+    // org ({ id, label }) files the run in the analysis history; useCache: false re-analyzes every flow
+    submit({ ownerId, provider, apiKey, model, flowsData, org = null, useCache = true }) {
+        const job = {
+            id: crypto.randomUUID(),
+            ownerId,
+            status: 'queued',
+            provider,
+            model: model || null,
+            org,
+            useCache,
+            historyRunId: null,
+            totalFlows: flowsData.flows.length,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            progress: { message: 'Waiting for a free slot...', percent: 0, current: 0, total: flowsData.flows.length },
+            flowAnalysis: [],
+            chunkErrors: [],
+            result: null,
+            error: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.runtime.set(job.id, {
+            apiKey,
+            flowsData,
+            slotKey: `${provider}:${hash(apiKey)}`,
+            abortController: new AbortController()
+        });
+        this.queue.push(job.id);
+        this.persist(job);
+
+        console.log(`📥 Queued analysis job ${job.id} (${provider}, ${job.totalFlows} flows)`);
+        this.startNext();
+        return job;
+    }
+
+    get(id, ownerId) {
+        const job = this.jobs.get(id);
+        return job && job.ownerId === ownerId ? job : null;
+    }
+
+    list(ownerId) {
+        return Array.from(this.jobs.values())
+            .filter(job => job.ownerId === ownerId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // What the chat needs to continue from a finished job, available once
+    takeChatContext(id) {
+        const chatContext = this.chatContexts.get(id);
+        const job = this.jobs.get(id);
+        if (!chatContext || job?.status !== 'completed') return null;
+
+        this.chatContexts.delete(id);
+        return {
+            provider: job.provider,
+            apiKey: chatContext.apiKey,
+            model: job.model || undefined,
+            flowSummary: chatContext.flowSummary,
+            analysisResult: job.result
+        };
+    }
+
+    cancel(id, ownerId) {
+        const job = this.get(id, ownerId);
+        if (!job || FINISHED_STATUSES.has(job.status)) return job;
+
+        if (job.status === 'queued') {
+            this.queue = this.queue.filter(queuedId => queuedId !== id);
+            this.finish(job, 'cancelled', { error: 'Cancelled before it started' });
+        } else {
+            // The running analysis stops at its next provider call and settles as cancelled
+            job.cancelRequested = true;
+            this.runtime.get(id).abortController.abort();
+        }
+        return job;
+    }
+
+    countRunning(predicate) {
+        return Array.from(this.jobs.values()).filter(job => job.status === 'running' && predicate(job)).length;
+    }
+
+    // Start every queued job whose provider and API key still have a free slot, oldest first
+    startNext() {
+        for (const id of [...this.queue]) {
+            const job = this.jobs.get(id);
+            const { slotKey } = this.runtime.get(id);
+
+            const keyBusy = this.countRunning(running => this.runtime.get(running.id)?.slotKey === slotKey) >= this.perKeyConcurrency;
+            const providerBusy = this.countRunning(running => running.provider === job.provider) >= this.perProviderConcurrency;
+            if (keyBusy || providerBusy) continue;
+
+            this.queue = this.queue.filter(queuedId => queuedId !== id);
+            this.run(job);
+        }
+    }
+
+    async run(job) {
+        const runtime = this.runtime.get(job.id);
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        job.progress = { ...job.progress, message: 'Starting AI analysis...' };
+        this.persist(job);
+        console.log(`🏃 Running analysis job ${job.id}`);
+
+        try {
+            const options = {
+                model: job.model || undefined,
+                useCache: job.useCache,
+                signal: runtime.abortController.signal,
+                onProgress: event => this.recordProgress(job, event)
+            };
+            if (this.history && job.org) {
+                const { result, run } = await this.history.analyze(job.org, job.provider, runtime.apiKey, runtime.flowsData, options);
+                this.finish(job, 'completed', { result, historyRunId: run ? run.id : null });
+            } else {
+                this.finish(job, 'completed', { result: await performAIAnalysis(job.provider, runtime.apiKey, runtime.flowsData, options) });
+            }
+        } catch (error) {
+            console.error(`Analysis job ${job.id} failed:`, error.message);
+            if (job.cancelRequested) {
+                this.finish(job, 'cancelled', { error: 'Cancelled while running' });
+            } else {
+                this.finish(job, 'failed', { error: error.message, statusCode: error.response?.status || null });
+            }
+        }
+    }
+
+    recordProgress(job, event) {
+        if (event.type === 'progress') {
+            job.progress = {
+                message: event.message,
+                percent: event.percent,
+                current: event.current,
+                total: event.total
+            };
+        } else if (event.type === 'flow') {
+            job.flowAnalysis.push(event.analysis);
+        } else if (event.type === 'chunk-error') {
+            job.chunkErrors.push({
+                chunk: event.chunk,
+                totalChunks: event.totalChunks,
+                flows: event.flows,
+                message: event.message
+            });
+        }
+        this.persist(job);
+    }
+
+    finish(job, status, fields) {
+        const runtime = this.runtime.get(job.id);
+        this.runtime.delete(job.id);
+        if (status === 'completed' && runtime) {
+            this.chatContexts.set(job.id, { apiKey: runtime.apiKey, flowSummary: summarizeFlowsForChat(runtime.flowsData) });
+        }
+
+        Object.assign(job, fields, { status, finishedAt: new Date().toISOString() });
+        delete job.cancelRequested;
+        if (status === 'completed') {
+            job.progress = { ...job.progress, message: 'Analysis complete', percent: 100 };
+            job.flowAnalysis = job.result.flows;
+        }
+        this.persist(job);
+        console.log(`🏁 Analysis job ${job.id} ${status}`);
+        this.startNext();
+    }
+
+    removeExpired() {
+        const cutoff = Date.now() - this.ttl;
+        this.jobs.forEach((job, id) => {
+            if (FINISHED_STATUSES.has(job.status) && new Date(job.finishedAt).getTime() < cutoff) {
+                this.jobs.delete(id);
+                this.chatContexts.delete(id);
+                fs.unlink(this.filePath(id), () => {});
+            }
+        });
+    }
+}
+
+// Job summary for listings: everything but the (possibly large) results
+function summarizeJob(job) {
+    const { result, flowAnalysis, ownerId, ...summary } = job;
+    return { ...summary, analyzedFlows: flowAnalysis.length };
+}
+
+function readPositiveInteger(variable, fallback) {
+    const value = parseInt(process.env[variable], 10);
+    return value > 0 ? value : fallback;
+}
+
+function createJobQueue(history) {
+    return new JobQueue({
+        directory: process.env.JOB_DIR || path.join(__dirname, '..', '.jobs'),
+        history,
+        perKeyConcurrency: readPositiveInteger('AI_JOBS_PER_KEY', 1),
+        perProviderConcurrency: readPositiveInteger('AI_JOBS_PER_PROVIDER', 3)
+    });
+}
+
+module.exports = {
+    JOB_STATUSES,
+    JobQueue,
+    getOwnerId,
+    summarizeJob,
+    createJobQueue
+};
@@ -0,0 +1,363 @@
+// Source adapter that reads flow metadata from a local SFDX project (or a zip of one)
+// and returns the same { metadata, flows[] } shape as getFlowsData, plus the project's
+// validation rules as validationRules[] (see validation-rules.js) and workflow rules as
+// workflowRules[] (see migration-readiness.js)
+const fs = require('fs').promises;
+const path = require('path');
+const xml2js = require('xml2js');
+const AdmZip = require('adm-zip');
+const { ELEMENT_TYPES, RESOURCE_TYPES } = require('./flow-elements');
+const { toValidationRule } = require('./validation-rules');
+const { toWorkflowRules } = require('./migration-readiness');
+
+const FLOW_FILE_PATTERN = /\.flow(-meta\.xml)?$/;
+// objects/<Object>/validationRules/<Rule>.validationRule-meta.xml in SFDX projects,
+// objects/<Object>.object with the rules inline in MDAPI packages
+const VALIDATION_RULE_FILE_PATTERN = /\.validationRule-meta\.xml$|\.object$/;
+// workflows/<Object>.workflow-meta.xml in SFDX projects, workflows/<Object>.workflow in MDAPI packages
+const WORKFLOW_FILE_PATTERN = /\.workflow(-meta\.xml)?$/;
+const SKIPPED_DIRECTORIES = ['node_modules', '.git', '.sfdx', '.sf'];
+
+// What an uploaded zip may hold, checked against its entry headers before anything is decompressed
+// (ZIP_MAX_SIZE_MB, ZIP_MAX_ENTRIES)
+const DEFAULT_ZIP_MAX_SIZE_MB = 200;
+const DEFAULT_ZIP_MAX_ENTRIES = 20000;
+
+// Keys that the Tooling API always returns as arrays, even with a single entry.
+// xml2js cannot tell a one-item list from a single value, so they are listed explicitly.
+const LIST_KEYS = new Set([
+    ...ELEMENT_TYPES,
+    ...RESOURCE_TYPES,
+    'assignmentItems',
+    'choiceReferences',
+    'conditions',
+    'environments',
+    'fields',
+    'filters',
+    'inputAssignments',
+    'inputParameters',
+    'outputAssignments',
+    'outputParameters',
+    'processMetadataValues',
+    'queriedFields',
+    'rules',
+    'scheduledPaths',
+    'sortOptions',
+    'validationRules',
+    'waitEvents'
+]);
+
+const NUMERIC_KEYS = new Set(['apiVersion', 'locationX', 'locationY', 'numberValue', 'offsetNumber', 'scale', 'triggerOrder', 'limit']);
+
+// Convert an xml2js node (explicitArray: true) into Tooling API style JSON
+function normalizeNode(node, key) {
+    if (Array.isArray(node)) {
+        const items = node.map(item => normalizeNode(item, key));
+        return LIST_KEYS.has(key) || items.length > 1 ? items : items[0];
+    }
+
+    if (node !== null && typeof node === 'object') {
+        const normalized = {};
+        Object.keys(node).forEach(childKey => {
+            if (childKey === '$') return; // xmlns and other attributes
+            normalized[childKey] = normalizeNode(node[childKey], childKey);
+        });
+        return normalized;
+    }
+
+    if (node === 'true') return true;
+    if (node === 'false') return false;
+    if (NUMERIC_KEYS.has(key) && node !== '' && !isNaN(Number(node))) return Number(node);
+    return node;
+}
+
+// Parse a metadata XML document and return its root element as plain JSON
+async function parseMetadataXml(xml) {
+    const parsed = await xml2js.parseStringPromise(xml, {
+        explicitArray: true,
+        trim: true,
+        emptyTag: null
+    });
+
+    const rootName = Object.keys(parsed)[0];
+    return {
+        type: rootName,
+        metadata: normalizeNode(parsed[rootName], rootName)
+    };
+}
+
+// Metadata API readMetadata results come parsed by jsforce without explicit arrays and with
+// nil elements as { $: { 'xsi:nil': 'true' } }; bring them to the xml2js form normalizeNode expects
+function toExplicitArrays(node) {
+    if (node === null || typeof node !== 'object') return node;
+    if (node.$ && node.$['xsi:nil'] === 'true') return null;
+
+    const converted = {};
+    Object.keys(node).forEach(key => {
+        const value = node[key];
+        converted[key] = key === '$' ? value : (Array.isArray(value) ? value : [value]).map(toExplicitArrays);
+    });
+    return converted;
+}
+
+// A Flow read through the Metadata API as Tooling API style JSON (without its fullName)
+function normalizeReadMetadata(flowMetadata) {
+    const { fullName, ...metadata } = normalizeNode(toExplicitArrays(flowMetadata), 'Flow');
+    return metadata;
+}
+
+function getFlowApiName(filePath) {
+    return path.basename(filePath).replace(FLOW_FILE_PATTERN, '');
+}
+
+// Build a flow record with the same fields getFlowsData returns
+function createFlowRecord(apiName, metadata, filePath, lastModified) {
+    const status = metadata.status || 'Draft';
+
+    return {
+        attributes: {
+            type: 'Flow',
+            url: null
+        },
+        Id: apiName,
+        FullName: apiName,
+        MasterLabel: metadata.label || apiName,
+        Status: status,
+        ProcessType: metadata.processType || 'Flow',
+        Metadata: metadata,
+        TriggerOrder: metadata.triggerOrder ?? null,
+        ApiVersion: metadata.apiVersion ?? null,
+        LastModifiedDate: lastModified ? lastModified.toISOString() : null,
+        Description: metadata.description || null,
+        isActive: status === 'Active',
+        source: 'local',
+        filePath
+    };
+}
+
+async function parseFlowFile(filePath, xml, lastModified) {
+    const apiName = getFlowApiName(filePath);
+
+    try {
+        const { type, metadata } = await parseMetadataXml(xml);
+        if (type !== 'Flow') {
+            throw new Error(`Expected a <Flow> root element, found <${type}>`);
+        }
+        return createFlowRecord(apiName, metadata, filePath, lastModified);
+    } catch (error) {
+        console.error(`   ❌ Error parsing ${filePath}:`, error.message);
+        return {
+            ...createFlowRecord(apiName, {}, filePath, lastModified),
+            error: error.message
+        };
+    }
+}
+
+// Validation rules of one SFDX rule file or MDAPI object file; unreadable files are skipped
+async function parseValidationRuleFile(filePath, xml) {
+    const parts = filePath.split(/[\\/]/);
+    try {
+        const { type, metadata } = await parseMetadataXml(xml);
+        if (type === 'ValidationRule') {
+            const object = parts[parts.length - 3];
+            return object ? [toValidationRule(object, metadata, 'local', filePath)] : [];
+        }
+        if (type === 'CustomObject') {
+            const object = parts[parts.length - 1].replace(/\.object$/, '');
+            return (metadata.validationRules || []).map(rule => toValidationRule(object, rule, 'local', filePath));
+        }
+    } catch (error) {
+        console.error(`   ❌ Error parsing ${filePath}:`, error.message);
+    }
+    return [];
+}
+
+// Workflow rules of one object's workflow file; unreadable files are skipped
+async function parseWorkflowFile(filePath, xml) {
+    try {
+        const { type, metadata } = await parseMetadataXml(xml);
+        if (type === 'Workflow') {
+            return toWorkflowRules(path.basename(filePath).replace(WORKFLOW_FILE_PATTERN, ''), metadata, 'local', filePath);
+        }
+    } catch (error) {
+        console.error(`   ❌ Error parsing ${filePath}:`, error.message);
+    }
+    return [];
+}
+
+async function findFiles(directory, pattern, found = []) {
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+
+    for (const entry of entries) {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            if (!SKIPPED_DIRECTORIES.includes(entry.name)) {
+                await findFiles(entryPath, pattern, found);
+            }
+        } else if (pattern.test(entry.name)) {
+            found.push(entryPath);
+        }
+    }
+
+    return found;
+}
+
+// Package directories declared in sfdx-project.json, or the directory itself
+async function getPackageDirectories(rootDirectory) {
+    let project;
+    try {
+        project = JSON.parse(await fs.readFile(path.join(rootDirectory, 'sfdx-project.json'), 'utf8'));
+    } catch (error) {
+        return {
+            name: path.basename(rootDirectory),
+            directories: [rootDirectory]
+        };
+    }
+
+    const directories = (project.packageDirectories || []).map(dir => {
+        // Package directories must stay inside the project, or a crafted sfdx-project.json
+        // could point the reader anywhere on the filesystem
+        const directory = path.resolve(rootDirectory, String(dir.path || ''));
+        if (directory !== rootDirectory && !directory.startsWith(rootDirectory + path.sep)) {
+            throw new Error(`Package directory is outside of the project: ${dir.path}`);
+        }
+        return directory;
+    });
+    return {
+        name: project.name || path.basename(rootDirectory),
+        directories: directories.length > 0 ? directories : [rootDirectory]
+    };
+}
+
+function createFlowsData(flows, validationRules, workflowRules, sourceName, sourceDescription) {
+    const activeFlows = flows.filter(flow => flow.isActive);
+
+    return {
+        metadata: {
+            retrievedAt: new Date().toISOString(),
+            orgAlias: sourceName,
+            orgUsername: 'Local source',
+            totalFlows: flows.length,
+            activeFlows: activeFlows.length,
+            inactiveFlows: flows.length - activeFlows.length,
+            source: sourceDescription
+        },
+        flows,
+        validationRules,
+        workflowRules
+    };
+}
+
+// Load every flow of an SFDX (or MDAPI) project directory
+async function loadFlowsFromDirectory(directory) {
+    const rootDirectory = path.resolve(directory);
+    const stats = await fs.stat(rootDirectory).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+        throw new Error(`Directory not found: ${directory}`);
+    }
+
+    const project = await getPackageDirectories(rootDirectory);
+    console.error(`📂 Reading flows from ${project.directories.join(', ')}`);
+
+    const flows = [];
+    const validationRules = [];
+    const workflowRules = [];
+    for (const packageDirectory of project.directories) {
+        const files = await findFiles(packageDirectory, FLOW_FILE_PATTERN);
+        for (const filePath of files) {
+            const [xml, fileStats] = await Promise.all([fs.readFile(filePath, 'utf8'), fs.stat(filePath)]);
+            flows.push(await parseFlowFile(path.relative(rootDirectory, filePath), xml, fileStats.mtime));
+        }
+
+        for (const filePath of await findFiles(packageDirectory, VALIDATION_RULE_FILE_PATTERN)) {
+            validationRules.push(...await parseValidationRuleFile(path.relative(rootDirectory, filePath), await fs.readFile(filePath, 'utf8')));
+        }
+
+        for (const filePath of await findFiles(packageDirectory, WORKFLOW_FILE_PATTERN)) {
+            workflowRules.push(...await parseWorkflowFile(path.relative(rootDirectory, filePath), await fs.readFile(filePath, 'utf8')));
+        }
+    }
+
+    flows.sort((a, b) => a.MasterLabel.localeCompare(b.MasterLabel));
+    console.error(`✅ Parsed ${flows.length} flows, ${validationRules.length} validation rules and ${workflowRules.length} workflow rules from local source`);
+
+    return createFlowsData(flows, validationRules, workflowRules, project.name, `Local SFDX project (${rootDirectory})`);
+}
+
+function readPositiveNumber(variable, fallback) {
+    const value = Number(process.env[variable]);
+    return value > 0 ? value : fallback;
+}
+
+// Entries of the archive, once their count and declared uncompressed size are within the limits
+function getZipEntries(zip, limits) {
+    const entries = zip.getEntries();
+    if (entries.length > limits.maxEntries) {
+        throw new Error(`Zip archive has more than ${limits.maxEntries} entries`);
+    }
+
+    let totalSize = 0;
+    entries.forEach(entry => {
+        totalSize += entry.header.size;
+        if (totalSize > limits.maxSize) {
+            throw new Error(`Zip archive expands to more than ${Math.round(limits.maxSize / 1024 / 1024)} MB`);
+        }
+    });
+    return entries;
+}
+
+// Decompressed content of an entry, which must be as large as its header declared
+function readZipEntry(entry) {
+    const data = entry.getData();
+    if (data.length !== entry.header.size) {
+        throw new Error(`Zip entry ${entry.entryName} does not match its declared size`);
+    }
+    return data.toString('utf8');
+}
+
+// Load every flow contained in a zip archive (an SFDX project or a retrieved MDAPI package).
+// limits: { maxSize in bytes, maxEntries }, from ZIP_MAX_SIZE_MB and ZIP_MAX_ENTRIES by default
+async function loadFlowsFromZip(buffer, archiveName = 'upload.zip', limits = {}) {
+    const { maxSize, maxEntries } = {
+        maxSize: readPositiveNumber('ZIP_MAX_SIZE_MB', DEFAULT_ZIP_MAX_SIZE_MB) * 1024 * 1024,
+        maxEntries: readPositiveNumber('ZIP_MAX_ENTRIES', DEFAULT_ZIP_MAX_ENTRIES),
+        ...limits
+    };
+
+    let zip;
+    try {
+        zip = new AdmZip(buffer);
+    } catch (error) {
+        throw new Error('Uploaded file is not a valid zip archive');
+    }
+
+    const flows = [];
+    const validationRules = [];
+    const workflowRules = [];
+    for (const entry of getZipEntries(zip, { maxSize, maxEntries })) {
+        if (entry.isDirectory || entry.entryName.split('/').some(part => SKIPPED_DIRECTORIES.includes(part))) continue;
+
+        const fileName = path.basename(entry.entryName);
+        if (FLOW_FILE_PATTERN.test(fileName)) {
+            flows.push(await parseFlowFile(entry.entryName, readZipEntry(entry), entry.header.time));
+        } else if (VALIDATION_RULE_FILE_PATTERN.test(fileName)) {
+            validationRules.push(...await parseValidationRuleFile(entry.entryName, readZipEntry(entry)));
+        } else if (WORKFLOW_FILE_PATTERN.test(fileName)) {
+            workflowRules.push(...await parseWorkflowFile(entry.entryName, readZipEntry(entry)));
+        }
+    }
+
+    flows.sort((a, b) => a.MasterLabel.localeCompare(b.MasterLabel));
+    console.error(`✅ Parsed ${flows.length} flows, ${validationRules.length} validation rules and ${workflowRules.length} workflow rules from ${archiveName}`);
+
+    return createFlowsData(flows, validationRules, workflowRules, path.basename(archiveName, '.zip'), `Uploaded archive (${archiveName})`);
+}
+
+module.exports = {
+    parseMetadataXml,
+    normalizeReadMetadata,
+    findFiles,
+    getPackageDirectories,
+    loadFlowsFromDirectory,
+    loadFlowsFromZip
+};
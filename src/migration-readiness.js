@@ -0,0 +1,571 @@
+// Migration readiness of the legacy automation Salesforce is retiring: Process Builders (flows
+// with ProcessType Workflow, CustomEvent or InvocableProcess) and workflow rules. Each one is
+// mapped onto the record-triggered flow that would replace it (which actions belong in a
+// before-save flow, an after-save flow or a scheduled path), with an effort estimate and the
+// features that have no direct equivalent. Workflow rules come from the local source (see
+// local-source.js) or are read from the org through the Metadata API.
+const { withTokenRefresh, createConnection } = require('./salesforce-auth');
+const { createRateLimiter } = require('./rate-limiter');
+const { SEVERITY_LEVELS } = require('./rule-engine');
+const {
+    getFlowName,
+    getFlowApiName,
+    asArray,
+    getElementMap,
+    getStartTarget,
+    getValue
+} = require('./flow-elements');
+
+const API_VERSION = '64.0';
+const METADATA_READ_BATCH_SIZE = 10; // the most components readMetadata returns per call
+
+const PROCESS_BUILDER_TYPES = ['Workflow', 'CustomEvent', 'InvocableProcess'];
+
+// Workflow action definitions, keyed by the action type rules refer to them with
+const WORKFLOW_ACTION_KEYS = {
+    FieldUpdate: 'fieldUpdates',
+    Alert: 'alerts',
+    Task: 'tasks',
+    OutboundMessage: 'outboundMessages',
+    KnowledgePublish: 'knowledgePublishes',
+    FlowAction: 'flowActions',
+    Send: 'send'
+};
+
+// Hours of work, added up per automation
+const EFFORT_HOURS = {
+    processBuilder: 1,
+    workflowRule: 0.5,
+    criterion: 0.5,
+    fieldAssignment: 0.25,
+    action: 0.5,
+    scheduledAction: 1,
+    codeAction: 1, // Apex and subflows need their callers retested
+    gap: { info: 0.5, warning: 2, error: 4 }
+};
+
+// Effort levels by hours: below 2 is low, below 6 medium, anything more high
+const EFFORT_LEVELS = [
+    { level: 'low', below: 2 },
+    { level: 'medium', below: 6 },
+    { level: 'high', below: Infinity }
+];
+
+function isTrue(value) {
+    return value === true || value === 'true';
+}
+
+function lastSegment(fullName) {
+    return String(fullName || '').split('.').pop();
+}
+
+// Workflow rules of one object's Workflow metadata (a .workflow file or a readMetadata result),
+// with the definitions of their immediate and time-dependent actions resolved
+function toWorkflowRules(object, metadata, source, filePath = null) {
+    const definitions = new Map();
+    Object.entries(WORKFLOW_ACTION_KEYS).forEach(([type, key]) => {
+        asArray(metadata[key]).forEach(definition => definitions.set(`${type}:${lastSegment(definition.fullName)}`, definition));
+    });
+    const resolveActions = actions => asArray(actions).map(action => ({
+        name: action.name,
+        type: action.type,
+        definition: definitions.get(`${action.type}:${lastSegment(action.name)}`) || null
+    }));
+
+    return asArray(metadata.rules).map(rule => {
+        const name = lastSegment(rule.fullName);
+        return {
+            object,
+            name,
+            fullName: `${object}.${name}`,
+            active: isTrue(rule.active),
+            description: rule.description || null,
+            triggerType: rule.triggerType || null,
+            booleanFilter: rule.booleanFilter || null,
+            criteriaItems: asArray(rule.criteriaItems).map(item => ({
+                field: item.field,
+                operation: item.operation,
+                value: item.value ?? null,
+                valueField: item.valueField || null
+            })),
+            formula: rule.formula || null,
+            actions: resolveActions(rule.actions),
+            timeTriggers: asArray(rule.workflowTimeTriggers).map(trigger => ({
+                offsetFromField: trigger.offsetFromField || null,
+                timeLength: trigger.timeLength ?? null,
+                unit: trigger.workflowTimeTriggerUnit || null,
+                actions: resolveActions(trigger.actions)
+            })),
+            source,
+            filePath
+        };
+    });
+}
+
+// Workflow rules of the org: the objects with Workflow metadata are listed through the Metadata
+// API, then read in batches within the org's API limits (see rate-limiter.js)
+async function getWorkflowRules(connectionInfo) {
+    const limiter = createRateLimiter();
+    const callMetadata = operation => limiter.run(() => withTokenRefresh(connectionInfo, () =>
+        operation(createConnection(connectionInfo, { version: API_VERSION }).metadata)
+    ));
+
+    const listed = await callMetadata(metadata => metadata.list([{ type: 'Workflow' }], API_VERSION));
+    // jsforce answers a single component with a single object
+    const objects = [].concat(listed || []).map(component => component.fullName).filter(Boolean);
+
+    console.error(`🔁 Reading workflow rules of ${objects.length} objects`);
+
+    const batches = [];
+    for (let i = 0; i < objects.length; i += METADATA_READ_BATCH_SIZE) {
+        batches.push(objects.slice(i, i + METADATA_READ_BATCH_SIZE));
+    }
+    const results = await Promise.all(batches.map(batch => callMetadata(metadata => metadata.read('Workflow', batch))));
+
+    return results.flatMap(result => [].concat(result || []))
+        .filter(result => result && result.fullName)
+        .flatMap(result => toWorkflowRules(result.fullName, result, 'org'))
+        .sort((a, b) => a.fullName.localeCompare(b.fullName));
+}
+
+function createGap(type, severity, message) {
+    return { type, severity, message };
+}
+
+// Scheduled path offset, e.g. "3 Days before $Record.CloseDate"
+function describeOffset(offset, unit, field) {
+    const length = Number(offset) || 0;
+    return `${Math.abs(length)} ${unit || 'Days'} ${length < 0 ? 'before' : 'after'} ${field || 'the record is saved'}`;
+}
+
+// Replacing flow trigger for a workflow or Process Builder trigger type
+function getTargetTrigger(triggerType) {
+    if (triggerType === 'onCreateOnly') {
+        return { recordTriggerType: 'Create', entryCondition: 'When a record is created and meets the condition requirements' };
+    }
+    if (triggerType === 'onCreateOrTriggeringUpdate') {
+        return { recordTriggerType: 'CreateAndUpdate', entryCondition: 'Only when a record is updated to meet the condition requirements' };
+    }
+    return { recordTriggerType: 'CreateAndUpdate', entryCondition: 'Every time a record is updated and meets the condition requirements' };
+}
+
+// Before-save, after-save or both, depending on where the actions go
+function getTargetTriggerTypes(criteria) {
+    const targets = new Set(criteria.flatMap(criterion => criterion.actions.map(action => action.target)));
+    return [
+        targets.has('before-save') ? 'RecordBeforeSave' : null,
+        targets.has('after-save') || targets.has('scheduled-path') ? 'RecordAfterSave' : null
+    ].filter(Boolean);
+}
+
+function estimateEffort(kind, criteria, gaps) {
+    const actions = criteria.flatMap(criterion => criterion.actions);
+    const hours = EFFORT_HOURS[kind] +
+        criteria.length * EFFORT_HOURS.criterion +
+        actions.reduce((total, action) => total + (
+            action.target === 'before-save' ? EFFORT_HOURS.fieldAssignment :
+                action.target === 'scheduled-path' ? EFFORT_HOURS.scheduledAction :
+                    EFFORT_HOURS.action
+        ) + (action.code ? EFFORT_HOURS.codeAction : 0), 0) +
+        gaps.reduce((total, gap) => total + EFFORT_HOURS.gap[gap.severity], 0);
+    const rounded = Math.ceil(hours * 2) / 2;
+    return { hours: rounded, level: EFFORT_LEVELS.find(entry => rounded < entry.below).level };
+}
+
+function getProcessMetadataValue(node, name) {
+    const entry = asArray(node?.processMetadataValues).find(value => value.name === name);
+    return entry ? getValue(entry.value) : null;
+}
+
+// Process Builder references the record as myVariable_current and its prior values as
+// myVariable_old, and in formulas as [Object].Field and PRIORVALUE([Object].Field)
+function toRecordReference(text, process) {
+    let converted = String(text ?? '');
+    if (process.recordVariable) converted = converted.split(`${process.recordVariable}.`).join('$Record.');
+    if (process.priorVariable) converted = converted.split(`${process.priorVariable}.`).join('$Record__Prior.');
+    if (process.object) converted = converted.split(`[${process.object}].`).join('$Record.');
+    return converted.replace(/PRIORVALUE\s*\(\s*\$Record\.([\w.]+)\s*\)/gi, '$$Record__Prior.$1');
+}
+
+function describeCondition(condition, process, formulas) {
+    const left = condition.leftValueReference;
+    const formula = formulas.get(left);
+    if (formula) {
+        return toRecordReference(formula.expression, process);
+    }
+    const right = getValue(condition.rightValue);
+    return `${toRecordReference(left, process)} ${condition.operator}${right === null ? '' : ` ${toRecordReference(right, process)}`}`;
+}
+
+function describeRule(rule, process, formulas) {
+    const conditions = asArray(rule.conditions).map(condition => describeCondition(condition, process, formulas));
+    if (conditions.length === 0) return 'No criteria (always executes)';
+    const logic = String(rule.conditionLogic || 'and');
+    if (['and', 'or'].includes(logic.toLowerCase())) {
+        return conditions.join(` ${logic.toUpperCase()} `);
+    }
+    return `${logic.toUpperCase()} where ${conditions.map((condition, index) => `${index + 1}: ${condition}`).join('; ')}`;
+}
+
+// Record updates filtered on the Id of the record that started the process
+function updatesTriggeringRecord(element, process) {
+    return (!element.object || element.object === process.object) &&
+        asArray(element.filters).some(filter =>
+            filter.field === 'Id' && getValue(filter.value) === `${process.recordVariable}.Id`);
+}
+
+// Replacing flow element for one Process Builder action element
+function mapProcessAction(entry, process, flowsByApiName, scheduled) {
+    const { type, name, element } = entry;
+    const action = { name, label: entry.label, sourceType: type, target: scheduled ? 'scheduled-path' : 'after-save', code: false, equivalent: null, gaps: [] };
+
+    if (type === 'recordUpdates') {
+        const fields = asArray(element.inputAssignments).map(assignment => assignment.field);
+        if (!scheduled && updatesTriggeringRecord(element, process)) {
+            action.target = 'before-save';
+            action.equivalent = `Assignment to $Record.${fields.join(', $Record.')} (saved without DML)`;
+        } else {
+            action.equivalent = `Update Records on ${element.object || 'related records'} (${fields.join(', ')})`;
+        }
+    } else if (type === 'recordCreates') {
+        action.equivalent = `Create Records (${element.object || 'record'})`;
+    } else if (type === 'actionCalls') {
+        const actionType = element.actionType;
+        if (actionType === 'flow') {
+            const calledFlow = flowsByApiName.get(element.actionName);
+            action.code = true;
+            action.equivalent = `Subflow ${element.actionName}`;
+            if (calledFlow && (calledFlow.ProcessType || calledFlow.Metadata?.processType) === 'InvocableProcess') {
+                action.gaps.push(createGap('INVOCABLE_PROCESS', 'warning',
+                    `"${entry.label}" calls the invocable process ${element.actionName}, which has to be rebuilt as an autolaunched flow first`));
+            }
+        } else {
+            action.code = actionType === 'apex';
+            action.equivalent = {
+                emailAlert: `Send Email Alert action (${element.actionName})`,
+                chatterPost: 'Post to Chatter action',
+                apex: `Apex action ${element.actionName}`,
+                quickAction: `Quick action ${element.actionName}`,
+                submit: 'Submit for Approval action'
+            }[actionType] || `${actionType} action ${element.actionName || ''}`.trim();
+        }
+    } else {
+        action.equivalent = `${type} element`;
+    }
+
+    return action;
+}
+
+// Action elements run after a criterion: the chain of elements from `target` until the next
+// decision or wait. A decision named <rule>_pmetdec is the "only when specified changes are made"
+// check of the criterion; its outcome leads on to the actions.
+function collectActionChain(target, ruleName, elementMap) {
+    const chain = [];
+    let onlyWhenChanged = false;
+    let evaluatesNext = false;
+    const visited = new Set();
+    let current = target;
+
+    while (current && elementMap.has(current) && !visited.has(current)) {
+        visited.add(current);
+        const entry = elementMap.get(current);
+        if (entry.type === 'decisions' && current === `${ruleName}_pmetdec`) {
+            onlyWhenChanged = true;
+            current = asArray(entry.element.rules)[0]?.connector?.targetReference;
+            continue;
+        }
+        if (entry.type === 'decisions' || entry.type === 'waits') {
+            evaluatesNext = entry.type === 'decisions';
+            break;
+        }
+        chain.push(entry);
+        current = entry.element.connector?.targetReference;
+    }
+
+    return { chain, onlyWhenChanged, evaluatesNext };
+}
+
+// Criteria decisions in the order the process evaluates them: along the default outcomes from
+// the start, or by the index Process Builder records when the start is not a decision
+function getCriteriaDecisions(metadata, elementMap) {
+    const isCriteria = entry => entry?.type === 'decisions' && !entry.name.endsWith('_pmetdec');
+    const ordered = [];
+    for (let name = getStartTarget(metadata); isCriteria(elementMap.get(name)) && !ordered.includes(name);) {
+        ordered.push(name);
+        name = elementMap.get(name).element.defaultConnector?.targetReference;
+    }
+    if (ordered.length > 0) return ordered.map(name => elementMap.get(name).element);
+
+    return asArray(metadata.decisions)
+        .filter(decision => !decision.name.endsWith('_pmetdec'))
+        .sort((a, b) => (getProcessMetadataValue(a, 'index') ?? 0) - (getProcessMetadataValue(b, 'index') ?? 0));
+}
+
+function describeSchedule(waitEvent, process) {
+    const parameter = name => getValue(asArray(waitEvent.inputParameters).find(input => input.name === name)?.value);
+    const field = parameter('TimeFieldColumnEnumOrId');
+    return describeOffset(parameter('TimeOffset'), parameter('TimeOffsetUnit'), field ? `$Record.${field}` : null);
+}
+
+function mapProcessBuilder(flow, flowsByApiName) {
+    const metadata = flow.Metadata || {};
+    const processType = flow.ProcessType || metadata.processType;
+    const elementMap = getElementMap(metadata);
+    const formulas = new Map(asArray(metadata.formulas).map(formula => [formula.name, formula]));
+    const process = {
+        object: getProcessMetadataValue(metadata, 'ObjectType') || metadata.start?.object || null,
+        recordVariable: getProcessMetadataValue(metadata, 'ObjectVariable') || 'myVariable_current',
+        priorVariable: getProcessMetadataValue(metadata, 'OldObjectVariable') || 'myVariable_old'
+    };
+    const triggerType = getProcessMetadataValue(metadata, 'TriggerType');
+    const gaps = [];
+
+    // Scheduled actions hang off wait events, named <rule>_SA1, <rule>_SA2, ...
+    const schedules = asArray(metadata.waits).flatMap(wait => asArray(wait.waitEvents).map(waitEvent => {
+        const { chain } = collectActionChain(waitEvent.connector?.targetReference, null, elementMap);
+        return { waitEvent, chain, rule: chain[0]?.name.replace(/_SA\d+$/, '') };
+    }));
+
+    const criteria = getCriteriaDecisions(metadata, elementMap).flatMap(decision => asArray(decision.rules).map(rule => {
+        const { chain, onlyWhenChanged, evaluatesNext } = collectActionChain(rule.connector?.targetReference, rule.name, elementMap);
+        const actions = [
+            ...chain.map(entry => mapProcessAction(entry, process, flowsByApiName, false)),
+            ...schedules.filter(schedule => schedule.rule === rule.name).flatMap(schedule =>
+                schedule.chain.map(entry => ({
+                    ...mapProcessAction(entry, process, flowsByApiName, true),
+                    schedule: describeSchedule(schedule.waitEvent, process)
+                })))
+        ];
+        actions.forEach(action => gaps.push(...action.gaps));
+        return {
+            name: rule.name,
+            label: rule.label || rule.name,
+            condition: describeRule(rule, process, formulas),
+            onlyWhenChanged,
+            evaluatesNext,
+            actions: actions.map(({ gaps: actionGaps, ...action }) => action)
+        };
+    }));
+
+    if (processType === 'CustomEvent') {
+        gaps.push(createGap('PLATFORM_EVENT_PROCESS', 'info',
+            `Starts from a platform event, so it becomes a platform event-triggered flow on ${process.object || 'the event'} rather than a before- or after-save flow`));
+    } else if (processType === 'InvocableProcess') {
+        gaps.push(createGap('INVOCABLE_PROCESS', 'warning',
+            'Invocable process: rebuild it as an autolaunched flow with a record input variable and update the processes that call it'));
+    }
+    if (getProcessMetadataValue(metadata, 'RecursiveCountVariable')) {
+        gaps.push(createGap('RECURSIVE_EVALUATION', 'warning',
+            'Re-evaluates records changed in the same transaction up to five more times; a record-triggered flow runs once per save, so the follow-up updates need to happen in the flow itself'));
+    }
+    if (criteria.some(criterion => criterion.evaluatesNext && criterion.actions.length > 0)) {
+        gaps.push(createGap('EVALUATE_NEXT_CRITERIA', 'info',
+            'Evaluates the next criteria after running actions: use one decision per criterion in sequence instead of one decision with several outcomes'));
+    }
+    const changedCriteria = criteria.filter(criterion => criterion.onlyWhenChanged);
+    if (changedCriteria.length > 0 && (criteria.length > 1 || triggerType === 'onCreateOnly')) {
+        gaps.push(createGap('ISCHANGED_CRITERIA', 'info',
+            `Criteria ${changedCriteria.map(criterion => `"${criterion.label}"`).join(', ')} only run when the record is changed to meet them: compare against $Record__Prior in the decision, since the entry condition covers the whole flow`));
+    }
+
+    const onlyWhenChanged = triggerType !== 'onCreateOnly' && criteria.length === 1 && criteria[0].onlyWhenChanged;
+    return {
+        kind: 'processBuilder',
+        id: flow.Id,
+        name: getFlowName(flow),
+        apiName: getFlowApiName(flow),
+        object: process.object,
+        active: flow.Status === 'Active',
+        sourceTrigger: processType === 'Workflow' ? triggerType : processType,
+        target: {
+            ...getTargetTrigger(onlyWhenChanged ? 'onCreateOrTriggeringUpdate' : triggerType),
+            triggerTypes: processType === 'Workflow' ? getTargetTriggerTypes(criteria) : []
+        },
+        criteria,
+        gaps
+    };
+}
+
+function describeWorkflowCriteria(rule) {
+    if (rule.formula) return rule.formula;
+    const items = rule.criteriaItems.map(item => {
+        const field = item.field.startsWith(`${rule.object}.`) ? `$Record.${item.field.substring(rule.object.length + 1)}` : item.field;
+        return `${field} ${item.operation}${item.valueField ? ` ${item.valueField}` : item.value !== null ? ` "${item.value}"` : ''}`;
+    });
+    if (items.length === 0) return 'No criteria (always executes)';
+    if (rule.booleanFilter) {
+        return `${rule.booleanFilter} where ${items.map((item, index) => `${index + 1}: ${item}`).join('; ')}`;
+    }
+    return items.join(' AND ');
+}
+
+// Replacing flow element for one workflow action
+function mapWorkflowAction(action, rule, scheduled) {
+    const definition = action.definition || {};
+    const mapped = { name: action.name, label: definition.name || action.name, sourceType: action.type, target: scheduled ? 'scheduled-path' : 'after-save', code: false, equivalent: null, gaps: [] };
+    const gap = (type, severity, message) => mapped.gaps.push(createGap(type, severity, message));
+
+    // Without its definition there is nothing to map the action onto
+    if (!action.definition) {
+        mapped.target = null;
+        gap('UNRESOLVED_ACTION', 'warning', `${action.type} "${action.name}" is not defined in the object's workflow metadata, so it cannot be mapped`);
+        return mapped;
+    }
+
+    if (action.type === 'FieldUpdate') {
+        const targetObject = definition.targetObject;
+        const value = {
+            Formula: `formula ${definition.formula}`,
+            Literal: `"${definition.literalValue ?? ''}"`,
+            LookupValue: `${definition.lookupValueType || 'record'} ${definition.lookupValue}`,
+            Null: 'blank',
+            NextValue: 'the next picklist value',
+            PreviousValue: 'the previous picklist value'
+        }[definition.operation] || definition.operation;
+
+        if (!targetObject && !scheduled) {
+            mapped.target = 'before-save';
+            mapped.equivalent = `Assignment of ${value} to $Record.${definition.field} (saved without DML)`;
+        } else {
+            mapped.equivalent = `Update Records on ${targetObject || rule.object}: ${definition.field} = ${value}`;
+        }
+        if (['NextValue', 'PreviousValue'].includes(definition.operation)) {
+            gap('PICKLIST_NEXT_PREVIOUS_VALUE', 'warning',
+                `"${action.name}" sets ${definition.field} to ${value}; flows have no such operation, so the picklist order has to be spelled out in a decision or formula`);
+        }
+        if (isTrue(definition.reevaluateOnChange)) {
+            gap('REEVALUATE_WORKFLOW', 'warning',
+                `"${action.name}" re-evaluates workflow rules after the update; record-triggered flows do not run again for it, so rules that depended on this must be folded into the flow`);
+        }
+        if (isTrue(definition.notifyAssignee)) {
+            gap('NOTIFY_ASSIGNEE', 'info',
+                `"${action.name}" notifies the new owner; add a Send Email or Send Custom Notification action to the after-save flow`);
+        }
+    } else if (action.type === 'Alert') {
+        mapped.equivalent = `Send Email Alert action (${rule.object}.${action.name})`;
+    } else if (action.type === 'Task') {
+        mapped.equivalent = `Create Records (Task: ${definition.subject || action.name})`;
+    } else if (action.type === 'OutboundMessage') {
+        mapped.equivalent = `Outbound Message action (${action.name})`;
+    } else if (action.type === 'FlowAction') {
+        mapped.code = true;
+        mapped.equivalent = `Subflow ${definition.flow || action.name}`;
+    } else {
+        mapped.target = null;
+        gap('NO_EQUIVALENT', 'error', `${action.type} action "${action.name}" has no record-triggered flow equivalent; it needs Apex or a manual process`);
+    }
+
+    return mapped;
+}
+
+function mapWorkflowRule(rule) {
+    const actions = [
+        ...rule.actions.map(action => mapWorkflowAction(action, rule, false)),
+        ...rule.timeTriggers.flatMap(trigger => trigger.actions.map(action => ({
+            ...mapWorkflowAction(action, rule, true),
+            schedule: describeOffset(trigger.timeLength, trigger.unit, trigger.offsetFromField ? `$Record.${lastSegment(trigger.offsetFromField)}` : null)
+        })))
+    ];
+    const gaps = actions.flatMap(action => action.gaps);
+    const criteria = [{
+        name: rule.name,
+        label: rule.name,
+        condition: describeWorkflowCriteria(rule),
+        onlyWhenChanged: rule.triggerType === 'onCreateOrTriggeringUpdate',
+        evaluatesNext: false,
+        actions: actions.map(({ gaps: actionGaps, ...action }) => action)
+    }];
+
+    return {
+        kind: 'workflowRule',
+        id: rule.fullName,
+        name: rule.name,
+        apiName: rule.fullName,
+        object: rule.object,
+        active: rule.active,
+        sourceTrigger: rule.triggerType,
+        target: {
+            ...getTargetTrigger(rule.triggerType),
+            triggerTypes: getTargetTriggerTypes(criteria)
+        },
+        criteria,
+        gaps
+    };
+}
+
+// { metadata, summary, objects, automations }: every Process Builder among the flows and every
+// workflow rule, mapped onto record-triggered flows. Objects suggests one before-save and one
+// after-save flow per object that take over all of its automation.
+function buildMigrationReport(flowsData, workflowRules) {
+    const flows = flowsData.flows || [];
+    const flowsByApiName = new Map(flows.map(flow => [getFlowApiName(flow), flow]));
+
+    const automations = [
+        ...flows.filter(flow => PROCESS_BUILDER_TYPES.includes(flow.ProcessType || flow.Metadata?.processType))
+            .map(flow => mapProcessBuilder(flow, flowsByApiName)),
+        ...(workflowRules || []).map(mapWorkflowRule)
+    ].map(automation => ({
+        ...automation,
+        gaps: automation.gaps.sort((a, b) => SEVERITY_LEVELS.indexOf(b.severity) - SEVERITY_LEVELS.indexOf(a.severity)),
+        effort: estimateEffort(automation.kind, automation.criteria, automation.gaps)
+    }));
+
+    // Active automation first, then the most work
+    automations.sort((a, b) =>
+        Number(b.active) - Number(a.active) ||
+        b.effort.hours - a.effort.hours ||
+        a.name.localeCompare(b.name)
+    );
+
+    const objectNames = [...new Set(automations.filter(automation => automation.active && automation.object).map(automation => automation.object))].sort();
+    const objects = objectNames.map(object => {
+        const objectAutomations = automations.filter(automation => automation.active && automation.object === object);
+        const actions = objectAutomations.flatMap(automation => automation.criteria.flatMap(criterion => criterion.actions));
+        const countTarget = target => actions.filter(action => action.target === target).length;
+        return {
+            object,
+            automations: objectAutomations.map(automation => automation.name),
+            beforeSaveActions: countTarget('before-save'),
+            afterSaveActions: countTarget('after-save'),
+            scheduledActions: countTarget('scheduled-path'),
+            effortHours: objectAutomations.reduce((total, automation) => total + automation.effort.hours, 0)
+        };
+    });
+
+    const gaps = automations.flatMap(automation => automation.gaps);
+    const byGap = {};
+    gaps.forEach(gap => {
+        byGap[gap.type] = (byGap[gap.type] || 0) + 1;
+    });
+    const byEffort = {};
+    EFFORT_LEVELS.forEach(({ level }) => {
+        byEffort[level] = automations.filter(automation => automation.effort.level === level).length;
+    });
+
+    return {
+        metadata: {
+            generatedAt: new Date().toISOString(),
+            orgAlias: flowsData.metadata?.orgAlias,
+            totalFlows: flows.length,
+            effortHours: EFFORT_HOURS
+        },
+        summary: {
+            processBuilders: automations.filter(automation => automation.kind === 'processBuilder').length,
+            workflowRules: automations.filter(automation => automation.kind === 'workflowRule').length,
+            active: automations.filter(automation => automation.active).length,
+            effortHours: automations.filter(automation => automation.active).reduce((total, automation) => total + automation.effort.hours, 0),
+            byEffort,
+            gaps: gaps.length,
+            byGap
+        },
+        objects,
+        automations
+    };
+}
+
+module.exports = {
+    PROCESS_BUILDER_TYPES,
+    toWorkflowRules,
+    getWorkflowRules,
+    buildMigrationReport
+};
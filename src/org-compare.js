@@ -0,0 +1,109 @@
+// Flow comparison between two sources (two orgs, or an org and a local SFDX project):
+// flows missing on either side, active status and version drift, and semantic differences
+const {
+    getFlowName,
+    getFlowApiName
+} = require('./flow-elements');
+const { diffFlowVersions } = require('./flow-diff');
+
+const COMPARISON_STATUSES = ['onlyInLeft', 'onlyInRight', 'different', 'identical'];
+
+// Version number from the record, or from the "-N" suffix the Tooling API adds to FullName
+function getVersionNumber(flow) {
+    if (flow.VersionNumber !== undefined && flow.VersionNumber !== null) return flow.VersionNumber;
+    const match = /-(\d+)$/.exec(flow.FullName || '');
+    return match ? Number(match[1]) : null;
+}
+
+function describeSide(flow) {
+    return {
+        id: flow.Id,
+        status: flow.Status,
+        isActive: !!flow.isActive,
+        versionNumber: getVersionNumber(flow),
+        lastModifiedDate: flow.LastModifiedDate
+    };
+}
+
+function describeSource(flowsData) {
+    const metadata = flowsData.metadata || {};
+    return {
+        label: metadata.orgAlias || 'Unknown',
+        username: metadata.orgUsername,
+        source: metadata.source,
+        totalFlows: (flowsData.flows || []).length
+    };
+}
+
+function indexByApiName(flowsData) {
+    const flows = new Map();
+    (flowsData.flows || []).forEach(flow => flows.set(getFlowApiName(flow), flow));
+    return flows;
+}
+
+function compareFlow(apiName, leftFlow, rightFlow) {
+    const entry = {
+        apiName,
+        name: getFlowName(rightFlow || leftFlow),
+        left: leftFlow ? describeSide(leftFlow) : null,
+        right: rightFlow ? describeSide(rightFlow) : null
+    };
+
+    if (!leftFlow || !rightFlow) {
+        return { ...entry, status: leftFlow ? 'onlyInLeft' : 'onlyInRight', activeDiffers: false, versionDiffers: false, changes: 0, diff: null };
+    }
+
+    const diff = diffFlowVersions(leftFlow, rightFlow);
+    const activeDiffers = entry.left.isActive !== entry.right.isActive;
+    // Local sources have no version numbers, so only compare when both sides have one
+    const versionDiffers = entry.left.versionNumber !== null && entry.right.versionNumber !== null &&
+        entry.left.versionNumber !== entry.right.versionNumber;
+
+    return {
+        ...entry,
+        status: diff.summary.totalChanges > 0 || activeDiffers ? 'different' : 'identical',
+        activeDiffers,
+        versionDiffers,
+        changes: diff.summary.totalChanges,
+        diff
+    };
+}
+
+function compareFlowSets(leftFlowsData, rightFlowsData) {
+    const leftFlows = indexByApiName(leftFlowsData);
+    const rightFlows = indexByApiName(rightFlowsData);
+    const apiNames = new Set([...leftFlows.keys(), ...rightFlows.keys()]);
+
+    const flows = Array.from(apiNames)
+        .map(apiName => compareFlow(apiName, leftFlows.get(apiName), rightFlows.get(apiName)))
+        .sort((a, b) =>
+            COMPARISON_STATUSES.indexOf(a.status) - COMPARISON_STATUSES.indexOf(b.status) ||
+            a.name.localeCompare(b.name)
+        );
+
+    const countStatus = status => flows.filter(flow => flow.status === status).length;
+
+    return {
+        metadata: {
+            comparedAt: new Date().toISOString(),
+            left: describeSource(leftFlowsData),
+            right: describeSource(rightFlowsData)
+        },
+        summary: {
+            totalFlows: flows.length,
+            onlyInLeft: countStatus('onlyInLeft'),
+            onlyInRight: countStatus('onlyInRight'),
+            different: countStatus('different'),
+            identical: countStatus('identical'),
+            activeStatusDifferences: flows.filter(flow => flow.activeDiffers).length,
+            versionDifferences: flows.filter(flow => flow.versionDiffers).length
+        },
+        flows
+    };
+}
+
+module.exports = {
+    COMPARISON_STATUSES,
+    getVersionNumber,
+    compareFlowSets
+};
@@ -0,0 +1,125 @@
+// Scheduling of the Salesforce API calls made while retrieving flows: at most `concurrency`
+// calls at once, the org's daily API usage tracked from the Sforce-Limit-Info response header,
+// and exponential backoff while Salesforce answers REQUEST_LIMIT_EXCEEDED.
+
+const DEFAULT_CONCURRENCY = 5;
+// Share of the org's daily API requests above which calls run one at a time, with a pause
+const USAGE_THRESHOLD = 0.9;
+const THROTTLED_DELAY_MS = 500;
+const BACKOFF_BASE_MS = 1000;
+const MAX_RETRIES = 4; // waits of 1, 2, 4 and 8 seconds before giving up
+
+// Raised once the backoff retries are used up; the remaining calls fail with it right away
+class RequestLimitExceededError extends Error {
+    constructor(message = 'The Salesforce API request limit is exceeded. Please try again later.') {
+        super(message);
+        this.name = 'RequestLimitExceededError';
+        this.code = 'REQUEST_LIMIT_EXCEEDED';
+    }
+}
+
+function isRequestLimitExceeded(error) {
+    return error?.errorCode === 'REQUEST_LIMIT_EXCEEDED' || error?.name === 'REQUEST_LIMIT_EXCEEDED';
+}
+
+// "api-usage=25/15000" -> { used: 25, max: 15000 }
+function parseLimitInfo(header) {
+    const match = /api-usage=(\d+)\/(\d+)/.exec(header || '');
+    return match ? { used: Number(match[1]), max: Number(match[2]) } : null;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class RateLimiter {
+    constructor({ concurrency = DEFAULT_CONCURRENCY, usageThreshold = USAGE_THRESHOLD, maxRetries = MAX_RETRIES, backoffMs = BACKOFF_BASE_MS } = {}) {
+        this.concurrency = concurrency;
+        this.usageThreshold = usageThreshold;
+        this.maxRetries = maxRetries;
+        this.backoffMs = backoffMs;
+        this.active = 0;
+        this.waiting = [];
+        this.usage = null;
+        this.pausedUntil = 0;
+        this.stopError = null;
+    }
+
+    get throttled() {
+        return !!this.usage && this.usage.max > 0 && this.usage.used / this.usage.max >= this.usageThreshold;
+    }
+
+    // Called with each response's Sforce-Limit-Info header
+    recordLimitInfo(header) {
+        const usage = parseLimitInfo(header);
+        if (!usage) return;
+
+        const wasThrottled = this.throttled;
+        this.usage = usage;
+        if (this.throttled && !wasThrottled) {
+            console.warn(`⚠️ Org API usage at ${usage.used}/${usage.max}, fetching one flow at a time`);
+        }
+    }
+
+    // Fail every call still to come, e.g. once the session has expired
+    stop(error) {
+        this.stopError = this.stopError || error;
+    }
+
+    async acquire() {
+        if (this.active < (this.throttled ? 1 : this.concurrency)) {
+            this.active++;
+            return;
+        }
+        await new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    release() {
+        this.active--;
+        while (this.waiting.length > 0 && this.active < (this.throttled ? 1 : this.concurrency)) {
+            this.active++;
+            this.waiting.shift()();
+        }
+    }
+
+    // Run one API call. A REQUEST_LIMIT_EXCEEDED error (see isRequestLimitExceeded) pauses
+    // every call of this limiter, then the call is retried with a doubled wait.
+    async run(call) {
+        await this.acquire();
+        try {
+            for (let attempt = 0; ; attempt++) {
+                const pause = this.pausedUntil - Date.now();
+                if (pause > 0) await sleep(pause);
+                if (this.stopError) throw this.stopError;
+
+                try {
+                    const result = await call();
+                    if (this.throttled) await sleep(THROTTLED_DELAY_MS);
+                    return result;
+                } catch (error) {
+                    if (!isRequestLimitExceeded(error)) throw error;
+                    if (attempt >= this.maxRetries) {
+                        this.stop(new RequestLimitExceededError());
+                        throw this.stopError;
+                    }
+                    const delay = this.backoffMs * 2 ** attempt;
+                    console.warn(`⏸️ Salesforce request limit exceeded, retrying in ${delay / 1000}s`);
+                    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+                }
+            }
+        } finally {
+            this.release();
+        }
+    }
+}
+
+function createRateLimiter() {
+    const concurrency = parseInt(process.env.SALESFORCE_FETCH_CONCURRENCY, 10);
+    return new RateLimiter({ concurrency: concurrency > 0 ? concurrency : DEFAULT_CONCURRENCY });
+}
+
+module.exports = {
+    RateLimiter,
+    RequestLimitExceededError,
+    isRequestLimitExceeded,
+    parseLimitInfo,
+    createRateLimiter
+};
@@ -0,0 +1,413 @@
+// Report rendering for analysis results (used by the CLI and export endpoints)
+const PDFDocument = require('pdfkit');
+
+const ANALYSIS_REPORT_TITLE = 'Salesforce Flow AI Analysis Report';
+
+function escapeTableCell(value) {
+    return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function renderLintMarkdown(lintResult) {
+    const lines = ['## Best-Practice Checks', ''];
+    const { summary, findings } = lintResult;
+
+    lines.push(`- Flows checked: ${lintResult.metadata.totalFlows}`);
+    lines.push(`- Errors: ${summary.bySeverity.error || 0}`);
+    lines.push(`- Warnings: ${summary.bySeverity.warning || 0}`);
+    lines.push(`- Info: ${summary.bySeverity.info || 0}`);
+    lines.push('');
+
+    if (findings.length === 0) {
+        lines.push('No best-practice issues found.', '');
+        return lines;
+    }
+
+    lines.push('| Severity | Rule | Flow | Element | Details |');
+    lines.push('|----------|------|------|---------|---------|');
+    findings.forEach(finding => {
+        lines.push(`| ${finding.severity} | \`${finding.ruleId}\` | ${escapeTableCell(finding.flowName)} | ${escapeTableCell(finding.elementName)} | ${escapeTableCell(finding.message)} |`);
+    });
+    lines.push('');
+
+    return lines;
+}
+
+function renderImprovementsMarkdown(heading, improvements) {
+    if (improvements.length === 0) return [];
+    return [
+        `**${heading}:**`,
+        '',
+        ...improvements.map(improvement => `- **${improvement.title}** - ${improvement.description} _(${improvement.estimatedHours} h)_`),
+        ''
+    ];
+}
+
+// Flow Builder URL of a flow version, built like generateFlowLink on the dashboard;
+// null for local sources, which have no org to link to
+function getFlowBuilderUrl(instanceUrl, flowId) {
+    return instanceUrl && flowId ? `${instanceUrl}/builder_platform_interaction/flowBuilder.app?flowId=${flowId}` : null;
+}
+
+function renderAnalysisMarkdown(analysisResult, instanceUrl = null) {
+    const lines = [];
+    const risks = analysisResult.risks || [];
+    const improvements = analysisResult.improvements || [];
+
+    lines.push('## Global Overview', '', analysisResult.overview || '_Not available_', '');
+
+    lines.push('## Potential Risks', '');
+    if (risks.length === 0) {
+        lines.push('_Not available_', '');
+    }
+    risks.forEach(risk => {
+        lines.push(`- **${risk.title}** (${risk.severity}) - ${risk.description}`);
+    });
+    if (risks.length > 0) lines.push('');
+
+    lines.push('## Global Improvements', '');
+    if (improvements.length === 0) {
+        lines.push('_Not available_', '');
+    }
+    improvements.forEach(improvement => {
+        lines.push(`### ${improvement.title}`, '', `**Benefits:** ${improvement.benefits}`, '');
+        improvement.steps.forEach((step, index) => lines.push(`${index + 1}. ${step}`));
+        lines.push('');
+    });
+
+    lines.push('## Individual Flow Analysis', '');
+
+    (analysisResult.flows || []).forEach(flow => {
+        const url = getFlowBuilderUrl(instanceUrl, flow.flowId);
+        lines.push(`### ${url ? `[${flow.name}](${url})` : flow.name}`, '');
+        lines.push('**Business Description:**', '', flow.businessDescription || '', '');
+        lines.push(...renderImprovementsMarkdown('Must Have', flow.mustHave));
+        lines.push(...renderImprovementsMarkdown('Nice to Have', flow.niceToHave));
+        if (!flow.unavailable) {
+            lines.push(`**Estimated effort:** ${flow.estimatedHours} h`, '');
+        }
+    });
+
+    return lines;
+}
+
+// Markdown document with the best-practice findings and, when available, the AI analysis
+function renderMarkdownReport({ flowsData, lintResult, analysisResult, generatedAt = new Date().toISOString() }) {
+    const metadata = flowsData.metadata || {};
+    const lines = [
+        '# Salesforce Flow Analysis Report',
+        '',
+        `- Source: ${metadata.source || 'Unknown'}`,
+        `- Org: ${metadata.orgAlias || 'Unknown'}`,
+        `- Flows: ${flowsData.flows.length} (${flowsData.flows.filter(f => f.isActive).length} active)`,
+        `- Generated: ${generatedAt}`,
+        ''
+    ];
+
+    if (lintResult) {
+        lines.push(...renderLintMarkdown(lintResult));
+    }
+
+    if (analysisResult) {
+        lines.push(...renderAnalysisMarkdown(analysisResult));
+    }
+
+    return lines.join('\n');
+}
+
+// Org details and totals shown at the top of every analysis report format.
+// orgInfo: { orgName, username, instanceUrl } as returned by /api/org-info
+function describeAnalysisReport({ analysisResult, orgInfo = {}, generatedAt }) {
+    const flows = analysisResult.flows || [];
+    const estimatedHours = flows.reduce((total, flow) => total + (flow.estimatedHours || 0), 0);
+    return [
+        ['Org', orgInfo.orgName],
+        ['User', orgInfo.username],
+        ['Instance', orgInfo.instanceUrl],
+        ['Flows analyzed', flows.length],
+        ['Estimated effort', `${estimatedHours} h`],
+        ['Generated', generatedAt]
+    ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+}
+
+function renderAnalysisReportMarkdown(report) {
+    return [
+        `# ${ANALYSIS_REPORT_TITLE}`,
+        '',
+        ...describeAnalysisReport(report).map(([label, value]) => `- ${label}: ${value}`),
+        '',
+        ...renderAnalysisMarkdown(report.analysisResult, report.orgInfo?.instanceUrl)
+    ].join('\n');
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// AI-written text as HTML paragraphs, keeping its line breaks
+function renderHtmlParagraphs(text) {
+    if (!text) return '<p><em>Not available</em></p>';
+    return String(text).split(/\n{2,}/).map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`).join('\n');
+}
+
+function renderHtmlImprovements(heading, improvements) {
+    if (improvements.length === 0) return '';
+    return `<h4>${heading}</h4>
+<ul>
+${improvements.map(improvement => `<li><strong>${escapeHtml(improvement.title)}</strong> - ${escapeHtml(improvement.description)} <span class="hours">(${escapeHtml(improvement.estimatedHours)} h)</span></li>`).join('\n')}
+</ul>`;
+}
+
+const HTML_REPORT_STYLES = `
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #333; line-height: 1.6; max-width: 960px; margin: 0 auto; padding: 30px; }
+h1 { color: #1976d2; border-bottom: 3px solid #1976d2; padding-bottom: 10px; }
+h2 { color: #1976d2; margin-top: 40px; border-bottom: 1px solid #e0e0e0; padding-bottom: 5px; }
+h4 { margin-bottom: 5px; }
+a { color: #1976d2; }
+table.details td { padding: 2px 20px 2px 0; }
+table.details td:first-child { font-weight: bold; }
+.severity { display: inline-block; padding: 1px 8px; border-radius: 10px; font-size: 12px; font-weight: bold; color: white; }
+.severity-high { background: #d32f2f; }
+.severity-medium { background: #f57c00; }
+.severity-low { background: #1976d2; }
+.flow { border: 1px solid #e0e0e0; border-radius: 8px; padding: 5px 20px 15px; margin-bottom: 20px; page-break-inside: avoid; }
+.hours { color: #666; font-style: italic; }
+@media print { body { padding: 0; } }
+`;
+
+// Self-contained HTML document: inline styles, no scripts or external resources
+function renderAnalysisReportHtml(report) {
+    const { analysisResult } = report;
+    const instanceUrl = report.orgInfo?.instanceUrl;
+    const risks = analysisResult.risks || [];
+    const improvements = analysisResult.improvements || [];
+    const notAvailable = '<p><em>Not available</em></p>';
+
+    const flowSections = (analysisResult.flows || []).map(flow => {
+        const url = getFlowBuilderUrl(instanceUrl, flow.flowId);
+        const name = url ? `<a href="${escapeHtml(url)}" target="_blank">${escapeHtml(flow.name)}</a>` : escapeHtml(flow.name);
+        return `<div class="flow">
+<h3>${name}</h3>
+<h4>Business Description</h4>
+${renderHtmlParagraphs(flow.businessDescription)}
+${renderHtmlImprovements('Must Have', flow.mustHave)}
+${renderHtmlImprovements('Nice to Have', flow.niceToHave)}
+${flow.unavailable ? '' : `<p><strong>Estimated effort:</strong> ${escapeHtml(flow.estimatedHours)} h</p>`}
+</div>`;
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${ANALYSIS_REPORT_TITLE}</title>
+<style>${HTML_REPORT_STYLES}</style>
+</head>
+<body>
+<h1>${ANALYSIS_REPORT_TITLE}</h1>
+<table class="details">
+${describeAnalysisReport(report).map(([label, value]) => `<tr><td>${label}</td><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>
+<h2>Global Overview</h2>
+${renderHtmlParagraphs(analysisResult.overview)}
+<h2>Potential Risks</h2>
+${risks.length === 0 ? notAvailable : `<ul>
+${risks.map(risk => `<li><strong>${escapeHtml(risk.title)}</strong> <span class="severity severity-${escapeHtml(risk.severity)}">${escapeHtml(risk.severity)}</span> - ${escapeHtml(risk.description)}</li>`).join('\n')}
+</ul>`}
+<h2>Global Improvements</h2>
+${improvements.length === 0 ? notAvailable : improvements.map(improvement => `<h3>${escapeHtml(improvement.title)}</h3>
+<p><strong>Benefits:</strong> ${escapeHtml(improvement.benefits)}</p>
+<ol>
+${improvement.steps.map(step => `<li>${escapeHtml(step)}</li>`).join('\n')}
+</ol>`).join('\n')}
+<h2>Individual Flow Analysis</h2>
+${flowSections.join('\n')}
+</body>
+</html>
+`;
+}
+
+const PDF_SEVERITY_COLORS = { high: '#d32f2f', medium: '#f57c00', low: '#1976d2' };
+
+// PDF document (A4) as a Buffer, laid out like the HTML report with the standard Helvetica fonts
+function renderAnalysisReportPdf(report) {
+    const { analysisResult } = report;
+    const instanceUrl = report.orgInfo?.instanceUrl;
+
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: ANALYSIS_REPORT_TITLE } });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const heading = (text, size, options = {}) => {
+            doc.moveDown(0.6).font('Helvetica-Bold').fontSize(size).fillColor('#1976d2').text(text, options);
+            doc.moveDown(0.3).font('Helvetica').fontSize(10).fillColor('black');
+        };
+        const paragraph = text => doc.font('Helvetica').fontSize(10).fillColor('black').text(text || 'Not available', { paragraphGap: 4 });
+        const item = (prefix, title, rest) => {
+            doc.font('Helvetica-Bold').text(`${prefix} ${title}`, { indent: 10, continued: !!rest });
+            if (rest) doc.font('Helvetica').text(rest);
+        };
+        const improvementList = (title, improvements) => {
+            if (improvements.length === 0) return;
+            doc.moveDown(0.3).font('Helvetica-Bold').text(`${title}:`);
+            improvements.forEach(improvement => item('•', improvement.title, ` - ${improvement.description} (${improvement.estimatedHours} h)`));
+        };
+
+        doc.font('Helvetica-Bold').fontSize(20).fillColor('#1976d2').text(ANALYSIS_REPORT_TITLE);
+        doc.moveDown(0.5).fontSize(10).fillColor('black');
+        describeAnalysisReport(report).forEach(([label, value]) => {
+            doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(String(value));
+        });
+
+        heading('Global Overview', 15);
+        paragraph(analysisResult.overview);
+
+        heading('Potential Risks', 15);
+        const risks = analysisResult.risks || [];
+        if (risks.length === 0) paragraph(null);
+        risks.forEach(risk => {
+            doc.font('Helvetica-Bold').text(`• ${risk.title} `, { indent: 10, continued: true })
+                .fillColor(PDF_SEVERITY_COLORS[risk.severity] || 'black').text(`(${risk.severity})`, { continued: true })
+                .fillColor('black').font('Helvetica').text(` - ${risk.description}`);
+        });
+
+        heading('Global Improvements', 15);
+        const improvements = analysisResult.improvements || [];
+        if (improvements.length === 0) paragraph(null);
+        improvements.forEach(improvement => {
+            heading(improvement.title, 12);
+            doc.font('Helvetica-Bold').text('Benefits: ', { continued: true }).font('Helvetica').text(improvement.benefits);
+            improvement.steps.forEach((step, index) => doc.text(`${index + 1}. ${step}`, { indent: 10 }));
+        });
+
+        heading('Individual Flow Analysis', 15);
+        (analysisResult.flows || []).forEach(flow => {
+            const url = getFlowBuilderUrl(instanceUrl, flow.flowId);
+            heading(flow.name, 12, url ? { link: url, underline: true } : {});
+            doc.font('Helvetica-Bold').text('Business Description:');
+            paragraph(flow.businessDescription);
+            improvementList('Must Have', flow.mustHave);
+            improvementList('Nice to Have', flow.niceToHave);
+            if (!flow.unavailable) {
+                doc.moveDown(0.3).font('Helvetica-Bold').text('Estimated effort: ', { continued: true }).font('Helvetica').text(`${flow.estimatedHours} h`);
+            }
+        });
+
+        doc.end();
+    });
+}
+
+// Analysis report formats for export endpoints; render(report) returns a string or a Promise of a Buffer.
+// report: { analysisResult, orgInfo, generatedAt }
+const ANALYSIS_REPORT_FORMATS = {
+    markdown: { extension: 'md', contentType: 'text/markdown', render: renderAnalysisReportMarkdown },
+    html: { extension: 'html', contentType: 'text/html', render: renderAnalysisReportHtml },
+    pdf: { extension: 'pdf', contentType: 'application/pdf', render: renderAnalysisReportPdf }
+};
+
+const COMPARISON_STATUS_LABELS = {
+    onlyInLeft: 'Missing on the right',
+    onlyInRight: 'Missing on the left',
+    different: 'Different',
+    identical: 'Identical'
+};
+
+function describeVersion(side) {
+    if (!side) return '-';
+    return `${side.status || 'Unknown'}${side.versionNumber !== null ? ` (v${side.versionNumber})` : ''}`;
+}
+
+function describeDiffSummary(summary) {
+    const count = (value, noun) => `${value} ${noun}${value !== 1 ? 's' : ''}`;
+    const parts = [];
+    if (summary.elementsAdded) parts.push(`${count(summary.elementsAdded, 'element')} added`);
+    if (summary.elementsRemoved) parts.push(`${count(summary.elementsRemoved, 'element')} removed`);
+    if (summary.elementsChanged) parts.push(`${count(summary.elementsChanged, 'element')} changed`);
+    if (summary.connectorsAdded || summary.connectorsRemoved) parts.push(count(summary.connectorsAdded + summary.connectorsRemoved, 'connector change'));
+    if (summary.startChanges) parts.push(count(summary.startChanges, 'start/filter change'));
+    if (summary.formulaChanges) parts.push(count(summary.formulaChanges, 'formula change'));
+    if (summary.resourceChanges) parts.push(count(summary.resourceChanges, 'resource change'));
+    if (summary.propertyChanges) parts.push(count(summary.propertyChanges, 'property change'));
+    return parts.join(', ');
+}
+
+// Markdown document for a flow comparison between two orgs or an org and a local source
+function renderComparisonReport(comparison) {
+    const { metadata, summary } = comparison;
+    const describeSource = side => `${side.label}${side.username ? ` (${side.username})` : ''} - ${side.totalFlows} flows`;
+    const lines = [
+        '# Salesforce Flow Comparison Report',
+        '',
+        `- Left: ${describeSource(metadata.left)}`,
+        `- Right: ${describeSource(metadata.right)}`,
+        `- Generated: ${metadata.comparedAt}`,
+        '',
+        '## Summary',
+        '',
+        `- Flows compared: ${summary.totalFlows}`,
+        `- Missing on the right: ${summary.onlyInLeft}`,
+        `- Missing on the left: ${summary.onlyInRight}`,
+        `- Different: ${summary.different} (${summary.activeStatusDifferences} with a different active status, ${summary.versionDifferences} with a different version)`,
+        `- Identical: ${summary.identical}`,
+        '',
+        '## Flows',
+        '',
+        '| Flow | Result | Left | Right | Differences |',
+        '|------|--------|------|-------|-------------|'
+    ];
+
+    comparison.flows.forEach(flow => {
+        const differences = flow.diff ? describeDiffSummary(flow.diff.summary) : '';
+        lines.push(`| ${escapeTableCell(flow.name)} (\`${flow.apiName}\`) | ${COMPARISON_STATUS_LABELS[flow.status]} | ${describeVersion(flow.left)} | ${describeVersion(flow.right)} | ${escapeTableCell(differences)} |`);
+    });
+    lines.push('');
+
+    const changed = comparison.flows.filter(flow => flow.status === 'different' && flow.changes > 0);
+    if (changed.length > 0) {
+        lines.push('## Differences', '');
+        changed.forEach(flow => {
+            lines.push(`### ${flow.name}`, '');
+            const { diff } = flow;
+            const changes = [
+                ...diff.properties.map(change => ({ item: `Flow: ${change.path}`, ...change })),
+                ...diff.start.map(change => ({ item: `Start: ${change.path}`, ...change })),
+                ...diff.elements.added.map(element => ({ item: `Element ${element.name} (${element.type})`, to: 'added' })),
+                ...diff.elements.removed.map(element => ({ item: `Element ${element.name} (${element.type})`, from: 'removed' })),
+                ...diff.elements.changed.flatMap(element => element.changes.map(change => ({ item: `${element.name}: ${change.path}`, ...change }))),
+                ...diff.connectors.removed.map(connector => ({ item: `Connector ${connector.source} -> ${connector.target}`, from: 'removed' })),
+                ...diff.connectors.added.map(connector => ({ item: `Connector ${connector.source} -> ${connector.target}`, to: 'added' })),
+                ...['formulas', 'resources'].flatMap(section => [
+                    ...diff[section].added.map(resource => ({ item: `${resource.name} (${resource.type})`, to: 'added' })),
+                    ...diff[section].removed.map(resource => ({ item: `${resource.name} (${resource.type})`, from: 'removed' })),
+                    ...diff[section].changed.flatMap(resource => resource.changes.map(change => ({ item: `${resource.name}: ${change.path}`, ...change })))
+                ])
+            ];
+            const formatValue = value => value === null || value === undefined ? '' : escapeTableCell(typeof value === 'object' ? JSON.stringify(value) : value);
+
+            lines.push('| Item | Left | Right |', '|------|------|-------|');
+            changes.forEach(change => {
+                lines.push(`| ${escapeTableCell(change.item)} | ${formatValue(change.from)} | ${formatValue(change.to)} |`);
+            });
+            lines.push('');
+        });
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    ANALYSIS_REPORT_FORMATS,
+    getFlowBuilderUrl,
+    renderMarkdownReport,
+    renderAnalysisReportMarkdown,
+    renderAnalysisReportHtml,
+    renderAnalysisReportPdf,
+    renderComparisonReport
+};
@@ -0,0 +1,250 @@
+// Deterministic best-practice checks over flow Metadata (no AI involved)
+const {
+    DML_ELEMENT_TYPES,
+    DATA_ELEMENT_TYPES,
+    getFlowName,
+    asArray,
+    getElements,
+    getValue,
+    getLoopBodyElements
+} = require('./flow-elements');
+
+// Ordered from least to most severe
+const SEVERITY_LEVELS = ['info', 'warning', 'error'];
+
+const RULES = {
+    DML_IN_LOOP: {
+        severity: 'error',
+        description: 'Create/Update/Delete Records element inside a loop'
+    },
+    SOQL_IN_LOOP: {
+        severity: 'error',
+        description: 'Get Records element inside a loop'
+    },
+    MISSING_FAULT_PATH: {
+        severity: 'warning',
+        description: 'Data element or action without a fault connector'
+    },
+    HARDCODED_ID: {
+        severity: 'warning',
+        description: 'Hardcoded Salesforce record ID'
+    },
+    UNUSED_VARIABLE: {
+        severity: 'info',
+        description: 'Variable is never referenced'
+    },
+    UNUSED_FORMULA: {
+        severity: 'info',
+        description: 'Formula is never referenced'
+    }
+};
+
+// 15 character case-sensitive IDs, optionally followed by the 3 character case checksum
+const SALESFORCE_ID_PATTERN = /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+const CHECKSUM_CHARACTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ012345';
+
+// One character per 5 character chunk of the 15 character ID, encoding which of its characters are uppercase
+function getIdChecksum(id) {
+    return [0, 5, 10].map(start => {
+        const bits = id.slice(start, start + 5).split('').reduce((total, character, index) =>
+            total + (/[A-Z]/.test(character) ? 1 << index : 0), 0);
+        return CHECKSUM_CHARACTERS[bits];
+    }).join('');
+}
+
+// 18 character IDs must carry a matching checksum. 15 character ones cannot be verified, so
+// they need both letters and digits to tell them from ordinary words and numbers.
+function isSalesforceId(value) {
+    if (typeof value !== 'string' || !SALESFORCE_ID_PATTERN.test(value)) return false;
+    if (value.length === 18) return getIdChecksum(value) === value.slice(15);
+    return /[a-zA-Z]/.test(value) && /[0-9]/.test(value);
+}
+
+function createFinding(ruleId, flow, elementName, elementType, message) {
+    return {
+        ruleId,
+        severity: RULES[ruleId].severity,
+        flowId: flow.Id,
+        flowName: getFlowName(flow),
+        elementName: elementName || null,
+        elementType: elementType || null,
+        message
+    };
+}
+
+function checkLoops(flow, elements) {
+    const findings = [];
+
+    elements.filter(e => e.type === 'loops').forEach(loop => {
+        const body = getLoopBodyElements(flow.Metadata, loop.name);
+
+        elements.filter(e => body.has(e.name)).forEach(entry => {
+            if (DML_ELEMENT_TYPES.includes(entry.type)) {
+                findings.push(createFinding('DML_IN_LOOP', flow, entry.name, entry.type,
+                    `"${entry.label}" runs a DML statement on every iteration of loop "${loop.label}". Collect records in a collection variable and write them once after the loop.`));
+            } else if (entry.type === 'recordLookups') {
+                findings.push(createFinding('SOQL_IN_LOOP', flow, entry.name, entry.type,
+                    `"${entry.label}" runs a query on every iteration of loop "${loop.label}". Query once before the loop and filter the collection instead.`));
+            }
+        });
+    });
+
+    return findings;
+}
+
+function checkFaultPaths(flow, elements) {
+    return elements
+        .filter(e => DATA_ELEMENT_TYPES.includes(e.type) || e.type === 'actionCalls')
+        .filter(e => !e.element.faultConnector?.targetReference)
+        .map(e => createFinding('MISSING_FAULT_PATH', flow, e.name, e.type,
+            `"${e.label}" has no fault connector, so a failure will surface as an unhandled flow error.`));
+}
+
+function checkHardcodedIds(flow, elements) {
+    const findings = [];
+    const metadata = flow.Metadata;
+
+    const inspect = (value, elementName, elementType, location) => {
+        const resolved = getValue(value);
+        if (isSalesforceId(resolved)) {
+            findings.push(createFinding('HARDCODED_ID', flow, elementName, elementType,
+                `Hardcoded record ID "${resolved}" in ${location}. Use a custom metadata type, custom label or a Get Records element instead.`));
+        }
+    };
+
+    asArray(metadata.start?.filters).forEach(filter => {
+        inspect(filter.value, 'start', 'start', `start condition on ${filter.field}`);
+    });
+
+    elements.forEach(({ type, name, element }) => {
+        asArray(element.assignmentItems).forEach(item => {
+            inspect(item.value, name, type, `assignment to ${item.assignToReference}`);
+        });
+        asArray(element.inputAssignments).forEach(assignment => {
+            inspect(assignment.value, name, type, `field assignment ${assignment.field}`);
+        });
+        asArray(element.filters).forEach(filter => {
+            inspect(filter.value, name, type, `filter on ${filter.field}`);
+        });
+        asArray(element.rules).forEach(rule => {
+            asArray(rule.conditions).forEach(condition => {
+                inspect(condition.rightValue, name, type, `condition of outcome ${rule.label || rule.name}`);
+            });
+        });
+    });
+
+    return findings;
+}
+
+// Collect every string in the metadata tree, skipping the given declaration objects
+function collectStrings(node, skip, strings = []) {
+    if (node === null || node === undefined || skip.has(node)) return strings;
+
+    if (typeof node === 'string') {
+        strings.push(node);
+    } else if (Array.isArray(node)) {
+        node.forEach(child => collectStrings(child, skip, strings));
+    } else if (typeof node === 'object') {
+        Object.keys(node).forEach(key => collectStrings(node[key], skip, strings));
+    }
+
+    return strings;
+}
+
+function isReferenced(name, strings) {
+    const mergeField = `{!${name}`;
+    return strings.some(value =>
+        value === name ||
+        value.startsWith(`${name}.`) ||
+        value.includes(`${mergeField}}`) ||
+        value.includes(`${mergeField}.`)
+    );
+}
+
+function checkUnusedResources(flow) {
+    const findings = [];
+    const metadata = flow.Metadata;
+
+    const variables = asArray(metadata.variables);
+    const formulas = asArray(metadata.formulas);
+
+    variables.forEach(variable => {
+        // Input/output variables are used by callers outside of the flow
+        if (variable.isInput || variable.isOutput) return;
+
+        const strings = collectStrings(metadata, new Set([variable]));
+        if (!isReferenced(variable.name, strings)) {
+            findings.push(createFinding('UNUSED_VARIABLE', flow, variable.name, 'variables',
+                `Variable "${variable.name}" is declared but never used.`));
+        }
+    });
+
+    formulas.forEach(formula => {
+        const strings = collectStrings(metadata, new Set([formula]));
+        if (!isReferenced(formula.name, strings)) {
+            findings.push(createFinding('UNUSED_FORMULA', flow, formula.name, 'formulas',
+                `Formula "${formula.name}" is declared but never used.`));
+        }
+    });
+
+    return findings;
+}
+
+function lintFlow(flow) {
+    if (!flow.Metadata || Object.keys(flow.Metadata).length === 0) {
+        return [];
+    }
+
+    const elements = getElements(flow.Metadata);
+
+    return [
+        ...checkLoops(flow, elements),
+        ...checkFaultPaths(flow, elements),
+        ...checkHardcodedIds(flow, elements),
+        ...checkUnusedResources(flow)
+    ];
+}
+
+function lintFlows(flowsData) {
+    const flows = flowsData.flows || [];
+    const findings = [];
+
+    flows.forEach(flow => findings.push(...lintFlow(flow)));
+
+    // Most severe findings first, then by flow name
+    findings.sort((a, b) =>
+        SEVERITY_LEVELS.indexOf(b.severity) - SEVERITY_LEVELS.indexOf(a.severity) ||
+        (a.flowName || '').localeCompare(b.flowName || '')
+    );
+
+    const bySeverity = {};
+    const byRule = {};
+    findings.forEach(finding => {
+        bySeverity[finding.severity] = (bySeverity[finding.severity] || 0) + 1;
+        byRule[finding.ruleId] = (byRule[finding.ruleId] || 0) + 1;
+    });
+
+    return {
+        metadata: {
+            analyzedAt: new Date().toISOString(),
+            orgAlias: flowsData.metadata?.orgAlias,
+            totalFlows: flows.length
+        },
+        summary: {
+            totalFindings: findings.length,
+            flowsWithFindings: new Set(findings.map(f => f.flowId || f.flowName)).size,
+            bySeverity,
+            byRule
+        },
+        rules: RULES,
+        findings
+    };
+}
+
+module.exports = {
+    RULES,
+    SEVERITY_LEVELS,
+    isSalesforceId,
+    lintFlow,
+    lintFlows
+};
@@ -0,0 +1,125 @@
+// Salesforce access token refresh for jsforce and direct REST calls.
+// connectionInfo is updated in place so the new token lands in the user's session.
+const jsforce = require('jsforce');
+const fetch = require('node-fetch');
+
+// Raised when the access token is rejected and cannot be refreshed: the user has to log in again
+class SessionExpiredError extends Error {
+    constructor(message = 'Your Salesforce session has expired. Please log in again.') {
+        super(message);
+        this.name = 'SessionExpiredError';
+        this.code = 'SESSION_EXPIRED';
+    }
+}
+
+// Refreshes in flight, keyed by refresh token, so parallel requests share one refresh
+const pendingRefreshes = new Map();
+
+function isInvalidSessionError(error) {
+    return error?.errorCode === 'INVALID_SESSION_ID' ||
+        error?.name === 'INVALID_SESSION_ID' ||
+        error?.statusCode === 401;
+}
+
+// OAuth2 client for the Connected App the user signed in with: the dynamic
+// credentials entered in the UI, or the ones from the environment
+function createOAuth2Client(connectionInfo) {
+    const credentials = connectionInfo.oauthCredentials || {
+        clientId: process.env.SALESFORCE_CLIENT_ID,
+        clientSecret: process.env.SALESFORCE_CLIENT_SECRET
+    };
+
+    return new jsforce.OAuth2({
+        // The org's own domain serves the token endpoint for production and sandboxes alike
+        loginUrl: connectionInfo.instanceUrl,
+        clientId: credentials.clientId,
+        clientSecret: credentials.clientSecret,
+        redirectUri: process.env.SALESFORCE_REDIRECT_URI || 'http://localhost:3000/auth/callback'
+    });
+}
+
+async function refreshAccessToken(connectionInfo) {
+    const { refreshToken } = connectionInfo;
+    if (!refreshToken) {
+        throw new SessionExpiredError();
+    }
+
+    if (!pendingRefreshes.has(refreshToken)) {
+        // jsforce 1.x returns its own promise type, which has no finally()
+        const refresh = Promise.resolve(createOAuth2Client(connectionInfo).refreshToken(refreshToken))
+            .then(token => {
+                console.error('🔄 Salesforce access token refreshed');
+                return token;
+            })
+            .catch(error => {
+                console.error('Salesforce token refresh failed:', error.message);
+                throw new SessionExpiredError();
+            })
+            .finally(() => pendingRefreshes.delete(refreshToken));
+        pendingRefreshes.set(refreshToken, refresh);
+    }
+
+    const token = await pendingRefreshes.get(refreshToken);
+    connectionInfo.accessToken = token.access_token;
+    if (token.instance_url) {
+        connectionInfo.instanceUrl = token.instance_url;
+    }
+    return connectionInfo;
+}
+
+// Run a Salesforce call; on an invalid session, refresh the token and run it once more
+async function withTokenRefresh(connectionInfo, operation) {
+    try {
+        return await operation();
+    } catch (error) {
+        if (!isInvalidSessionError(error)) throw error;
+
+        await refreshAccessToken(connectionInfo);
+        try {
+            return await operation();
+        } catch (retryError) {
+            throw isInvalidSessionError(retryError) ? new SessionExpiredError() : retryError;
+        }
+    }
+}
+
+// options: extra jsforce Connection options, e.g. { version: '64.0' } (jsforce 1.x defaults to 42.0)
+function createConnection(connectionInfo, options = {}) {
+    return new jsforce.Connection({
+        instanceUrl: connectionInfo.instanceUrl,
+        accessToken: connectionInfo.accessToken,
+        ...options
+    });
+}
+
+// node-fetch GET against the org's REST API with the current token, retried after a refresh on 401
+async function fetchWithRefresh(connectionInfo, apiPath) {
+    const request = () => fetch(`${connectionInfo.instanceUrl}${apiPath}`, {
+        method: 'GET',
+        headers: {
+            'Authorization': `Bearer ${connectionInfo.accessToken}`,
+            'Content-Type': 'application/json'
+        }
+    });
+
+    const response = await request();
+    if (response.status !== 401) {
+        return response;
+    }
+
+    await refreshAccessToken(connectionInfo);
+    const retryResponse = await request();
+    if (retryResponse.status === 401) {
+        throw new SessionExpiredError();
+    }
+    return retryResponse;
+}
+
+module.exports = {
+    SessionExpiredError,
+    isInvalidSessionError,
+    refreshAccessToken,
+    withTokenRefresh,
+    createConnection,
+    fetchWithRefresh
+};
@@ -0,0 +1,266 @@
+// Per-user sessions: signed session cookie with a pluggable store
+// (SESSION_STORE=memory for a single process, SESSION_STORE=file to survive restarts),
+// plus a store for session data too large to save with the session on every request
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const session = require('express-session');
+
+const SESSION_MAX_AGE = 8 * 60 * 60 * 1000; // 8 hours
+const CLEANUP_INTERVAL = 15 * 60 * 1000;
+
+// One JSON file per session; expired files are removed on read and periodically
+class FileSessionStore extends session.Store {
+    constructor({ directory, maxAge = SESSION_MAX_AGE }) {
+        super();
+        this.directory = directory;
+        this.maxAge = maxAge;
+        fs.mkdirSync(directory, { recursive: true });
+
+        this.cleanupTimer = setInterval(() => this.removeExpired(), CLEANUP_INTERVAL);
+        this.cleanupTimer.unref();
+    }
+
+    filePath(sid) {
+        // Session IDs are URL-safe base64; reject anything that could escape the directory
+        if (!/^[A-Za-z0-9_-]+$/.test(sid)) {
+            throw new Error('Invalid session ID');
+        }
+        return path.join(this.directory, `${sid}.json`);
+    }
+
+    expiresAt(sessionData) {
+        const expires = sessionData?.cookie?.expires;
+        return expires ? new Date(expires).getTime() : Date.now() + this.maxAge;
+    }
+
+    get(sid, callback) {
+        fs.readFile(this.filePath(sid), 'utf8', (error, content) => {
+            if (error) {
+                return callback(error.code === 'ENOENT' ? null : error, null);
+            }
+
+            let record;
+            try {
+                record = JSON.parse(content);
+            } catch (parseError) {
+                return this.destroy(sid, () => callback(null, null));
+            }
+
+            if (record.expires <= Date.now()) {
+                return this.destroy(sid, () => callback(null, null));
+            }
+            callback(null, record.session);
+        });
+    }
+
+    set(sid, sessionData, callback = () => {}) {
+        const record = JSON.stringify({ expires: this.expiresAt(sessionData), session: sessionData });
+        const filePath = this.filePath(sid);
+        const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+        // Write then rename so a crash never leaves a half-written session
+        fs.writeFile(tempPath, record, { mode: 0o600 }, error => {
+            if (error) return callback(error);
+            fs.rename(tempPath, filePath, callback);
+        });
+    }
+
+    touch(sid, sessionData, callback = () => {}) {
+        this.set(sid, sessionData, callback);
+    }
+
+    destroy(sid, callback = () => {}) {
+        fs.unlink(this.filePath(sid), error => {
+            callback(error && error.code !== 'ENOENT' ? error : null);
+        });
+    }
+
+    removeExpired() {
+        fs.readdir(this.directory, (error, files) => {
+            if (error) return;
+            files.filter(file => file.endsWith('.json')).forEach(file => {
+                const sid = file.slice(0, -'.json'.length);
+                this.get(sid, () => {});
+            });
+        });
+    }
+}
+
+function hash(value) {
+    return crypto.createHash('sha256').update(String(value || '')).digest('hex');
+}
+
+// Large per-session values, such as the flows of a loaded local source, kept outside the session
+// by session ID and name so the session itself only holds a reference. Entries expire like
+// sessions do, counted from their last use. Given a directory, entries are also written there
+// as JSON files so they survive restarts along with file sessions.
+class SessionDataStore {
+    constructor({ directory = null, maxAge = SESSION_MAX_AGE } = {}) {
+        this.directory = directory;
+        this.maxAge = maxAge;
+        this.entries = new Map();
+        if (directory) {
+            fs.mkdirSync(directory, { recursive: true });
+        }
+
+        this.cleanupTimer = setInterval(() => this.removeExpired(), CLEANUP_INTERVAL);
+        this.cleanupTimer.unref();
+    }
+
+    // Session IDs are hashed, so file names never hold live session IDs
+    key(sessionId, name) {
+        if (!/^[a-zA-Z]+$/.test(name)) {
+            throw new Error('Invalid session data name');
+        }
+        return `${hash(sessionId)}-${name}`;
+    }
+
+    filePath(key) {
+        return path.join(this.directory, `${key}.json`);
+    }
+
+    async set(sessionId, name, value) {
+        const key = this.key(sessionId, name);
+        this.entries.set(key, { value, expires: Date.now() + this.maxAge });
+
+        if (this.directory) {
+            // Write then rename so a crash never leaves a half-written file
+            const filePath = this.filePath(key);
+            const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+            await fs.promises.writeFile(tempPath, JSON.stringify(value), { mode: 0o600 });
+            await fs.promises.rename(tempPath, filePath);
+        }
+    }
+
+    // The stored value, or null when there is none or it has expired
+    async get(sessionId, name) {
+        const key = this.key(sessionId, name);
+        let entry = this.entries.get(key);
+        if (!entry && this.directory) {
+            entry = await this.readEntry(key);
+            if (entry) this.entries.set(key, entry);
+        }
+
+        if (!entry) return null;
+        if (entry.expires <= Date.now()) {
+            await this.delete(sessionId, name);
+            return null;
+        }
+
+        entry.expires = Date.now() + this.maxAge;
+        if (this.directory) {
+            const now = new Date();
+            fs.promises.utimes(this.filePath(key), now, now).catch(() => {});
+        }
+        return entry.value;
+    }
+
+    async readEntry(key) {
+        try {
+            const filePath = this.filePath(key);
+            const stats = await fs.promises.stat(filePath);
+            return { value: JSON.parse(await fs.promises.readFile(filePath, 'utf8')), expires: stats.mtimeMs + this.maxAge };
+        } catch (error) {
+            if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+            throw error;
+        }
+    }
+
+    async delete(sessionId, name) {
+        const key = this.key(sessionId, name);
+        this.entries.delete(key);
+        if (this.directory) {
+            await fs.promises.unlink(this.filePath(key)).catch(error => {
+                if (error.code !== 'ENOENT') throw error;
+            });
+        }
+    }
+
+    // Every value stored for the session, e.g. on logout
+    async deleteSession(sessionId) {
+        const prefix = `${hash(sessionId)}-`;
+        Array.from(this.entries.keys()).filter(key => key.startsWith(prefix)).forEach(key => this.entries.delete(key));
+        if (this.directory) {
+            const files = await fs.promises.readdir(this.directory);
+            await Promise.all(files.filter(file => file.startsWith(prefix) && file.endsWith('.json'))
+                .map(file => fs.promises.unlink(path.join(this.directory, file)).catch(() => {})));
+        }
+    }
+
+    removeExpired() {
+        const now = Date.now();
+        this.entries.forEach((entry, key) => {
+            if (entry.expires <= now) this.entries.delete(key);
+        });
+
+        if (!this.directory) return;
+        fs.readdir(this.directory, (error, files) => {
+            if (error) return;
+            files.filter(file => file.endsWith('.json')).forEach(file => {
+                const filePath = path.join(this.directory, file);
+                fs.stat(filePath, (statError, stats) => {
+                    if (!statError && stats.mtimeMs + this.maxAge <= now) {
+                        this.entries.delete(file.slice(0, -'.json'.length));
+                        fs.unlink(filePath, () => {});
+                    }
+                });
+            });
+        });
+    }
+}
+
+function getSessionDirectory() {
+    return process.env.SESSION_DIR || path.join(__dirname, '..', '.sessions');
+}
+
+function createSessionStore(type = process.env.SESSION_STORE || 'memory') {
+    switch (type) {
+        case 'memory':
+            return new session.MemoryStore();
+        case 'file':
+            return new FileSessionStore({
+                directory: getSessionDirectory()
+            });
+        default:
+            throw new Error(`Unsupported SESSION_STORE: ${type}. Use memory or file.`);
+    }
+}
+
+// Session data lives in memory, and with file sessions also next to them in SESSION_DIR/data
+function createSessionDataStore(type = process.env.SESSION_STORE || 'memory') {
+    return new SessionDataStore({
+        directory: type === 'file' ? path.join(getSessionDirectory(), 'data') : null
+    });
+}
+
+function createSessionMiddleware() {
+    let secret = process.env.SESSION_SECRET;
+    if (!secret) {
+        // Sessions still work, but every restart signs users out
+        secret = crypto.randomBytes(32).toString('hex');
+        console.warn('⚠️ SESSION_SECRET is not set; using a random secret for this process');
+    }
+
+    return session({
+        name: 'sfa.sid',
+        secret,
+        store: createSessionStore(),
+        resave: false,
+        saveUninitialized: false,
+        cookie: {
+            httpOnly: true,
+            sameSite: 'lax', // sent on the top-level redirect back from Salesforce OAuth
+            secure: 'auto',
+            maxAge: SESSION_MAX_AGE
+        }
+    });
+}
+
+module.exports = {
+    FileSessionStore,
+    SessionDataStore,
+    createSessionStore,
+    createSessionDataStore,
+    createSessionMiddleware
+};
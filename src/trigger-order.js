@@ -0,0 +1,189 @@
+// Record-triggered flow collisions: groups active flows per object, save timing and
+// record event, shows the effective execution order and flags ordering/field conflicts
+const {
+    getFlowName,
+    getFlowApiName,
+    asArray,
+    getElementObject
+} = require('./flow-elements');
+
+const TIMINGS = {
+    RecordBeforeSave: 'before-save',
+    RecordAfterSave: 'after-save',
+    RecordBeforeDelete: 'before-delete'
+};
+
+const EVENTS = {
+    Create: ['create'],
+    Update: ['update'],
+    CreateAndUpdate: ['create', 'update'],
+    Delete: ['delete']
+};
+
+// Trigger order values up to this one run before flows without a trigger order
+const EARLY_TRIGGER_ORDER_LIMIT = 1000;
+
+function getTriggerOrder(flow) {
+    const value = flow.TriggerOrder ?? flow.Metadata?.triggerOrder;
+    return value === null || value === undefined || value === '' ? null : Number(value);
+}
+
+// Fields of existing records a flow updates, as "Object.Field"
+// (created records are new rows, so they cannot collide with another flow)
+function getUpdatedFields(flow) {
+    const metadata = flow.Metadata || {};
+    const fields = new Set();
+
+    asArray(metadata.recordUpdates).forEach(element => {
+        const objectName = getElementObject(metadata, element);
+        if (!objectName) return;
+        asArray(element.inputAssignments).forEach(assignment => {
+            if (assignment.field) fields.add(`${objectName}.${assignment.field}`);
+        });
+    });
+
+    // Before-save flows change the triggering record through assignments to $Record
+    if (metadata.start?.object) {
+        asArray(metadata.assignments).forEach(assignment => {
+            asArray(assignment.assignmentItems).forEach(item => {
+                const match = /^\$Record\.([^.]+)$/.exec(item.assignToReference || '');
+                if (match) fields.add(`${metadata.start.object}.${match[1]}`);
+            });
+        });
+    }
+
+    return fields;
+}
+
+// Salesforce runs 1-1000 first, then flows without an order, then 1001-2000.
+// Ties are broken by API name here (the platform uses API name for equal values).
+function compareExecutionOrder(a, b) {
+    const bucket = order => order === null ? 1 : (order <= EARLY_TRIGGER_ORDER_LIMIT ? 0 : 2);
+    return bucket(a.triggerOrder) - bucket(b.triggerOrder) ||
+        (a.triggerOrder ?? 0) - (b.triggerOrder ?? 0) ||
+        a.apiName.localeCompare(b.apiName);
+}
+
+function findGroupIssues(group) {
+    const issues = [];
+    if (group.flows.length < 2) return issues;
+
+    const withoutOrder = group.flows.filter(flow => flow.triggerOrder === null);
+    if (withoutOrder.length > 0) {
+        issues.push({
+            type: 'MISSING_TRIGGER_ORDER',
+            severity: 'warning',
+            flows: withoutOrder.map(flow => flow.name),
+            message: `${withoutOrder.length} of ${group.flows.length} flows have no Trigger Order, so their relative execution order is not guaranteed.`
+        });
+    }
+
+    const byOrder = {};
+    group.flows.filter(flow => flow.triggerOrder !== null).forEach(flow => {
+        byOrder[flow.triggerOrder] = byOrder[flow.triggerOrder] || [];
+        byOrder[flow.triggerOrder].push(flow.name);
+    });
+    Object.keys(byOrder).filter(order => byOrder[order].length > 1).forEach(order => {
+        issues.push({
+            type: 'DUPLICATE_TRIGGER_ORDER',
+            severity: 'warning',
+            flows: byOrder[order],
+            message: `Trigger Order ${order} is shared by ${byOrder[order].join(', ')}.`
+        });
+    });
+
+    group.fieldOverlaps.forEach(overlap => {
+        issues.push({
+            type: 'FIELD_COLLISION',
+            severity: 'error',
+            flows: overlap.flows,
+            message: `${overlap.field} is updated by ${overlap.flows.join(', ')}; the last flow to run wins.`
+        });
+    });
+
+    return issues;
+}
+
+function findFieldOverlaps(groupFlows) {
+    const writers = {};
+    groupFlows.forEach(flow => {
+        flow.fieldsUpdated.forEach(field => {
+            writers[field] = writers[field] || [];
+            writers[field].push(flow.name);
+        });
+    });
+
+    return Object.keys(writers)
+        .filter(field => writers[field].length > 1)
+        .sort()
+        .map(field => ({ field, flows: writers[field] }));
+}
+
+function buildTriggerOrderReport(flowsData) {
+    const groups = new Map();
+
+    (flowsData.flows || []).forEach(flow => {
+        const start = flow.Metadata?.start;
+        const timing = TIMINGS[start?.triggerType];
+        if (!flow.isActive || !timing || !start.object) return;
+
+        // Before-delete flows have no recordTriggerType of their own
+        const events = timing === 'before-delete' ? ['delete'] : (EVENTS[start.recordTriggerType] || []);
+        const entry = {
+            id: flow.Id,
+            name: getFlowName(flow),
+            apiName: getFlowApiName(flow),
+            triggerOrder: getTriggerOrder(flow),
+            recordTriggerType: start.recordTriggerType || null,
+            fieldsUpdated: Array.from(getUpdatedFields(flow)).sort()
+        };
+
+        events.forEach(event => {
+            const key = `${start.object}|${timing}|${event}`;
+            if (!groups.has(key)) {
+                groups.set(key, { object: start.object, timing, event, flows: [] });
+            }
+            groups.get(key).flows.push(entry);
+        });
+    });
+
+    const report = Array.from(groups.values()).map(group => {
+        const flows = [...group.flows].sort(compareExecutionOrder)
+            .map((flow, index) => ({ ...flow, position: index + 1 }));
+        const withOverlaps = { ...group, flows, fieldOverlaps: findFieldOverlaps(flows) };
+        return { ...withOverlaps, issues: findGroupIssues(withOverlaps) };
+    });
+
+    // Groups with issues first, then by object and timing
+    report.sort((a, b) =>
+        b.issues.length - a.issues.length ||
+        a.object.localeCompare(b.object) ||
+        a.timing.localeCompare(b.timing) ||
+        a.event.localeCompare(b.event)
+    );
+
+    const issues = report.reduce((all, group) => all.concat(group.issues), []);
+
+    return {
+        metadata: {
+            generatedAt: new Date().toISOString(),
+            orgAlias: flowsData.metadata?.orgAlias,
+            totalFlows: (flowsData.flows || []).length
+        },
+        summary: {
+            groups: report.length,
+            groupsWithMultipleFlows: report.filter(group => group.flows.length > 1).length,
+            missingTriggerOrder: issues.filter(issue => issue.type === 'MISSING_TRIGGER_ORDER').length,
+            duplicateTriggerOrder: issues.filter(issue => issue.type === 'DUPLICATE_TRIGGER_ORDER').length,
+            fieldCollisions: issues.filter(issue => issue.type === 'FIELD_COLLISION').length
+        },
+        groups: report
+    };
+}
+
+module.exports = {
+    TIMINGS,
+    getTriggerOrder,
+    getUpdatedFields,
+    buildTriggerOrderReport
+};
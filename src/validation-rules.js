@@ -0,0 +1,290 @@
+// Validation rules of the objects flows create and update records on, and the Create/Update
+// Records elements that leave out (or blank) fields an active rule requires. Rules come from
+// the local source (see local-source.js) or are read from the org through the Metadata API.
+const { withTokenRefresh, createConnection } = require('./salesforce-auth');
+const { createRateLimiter } = require('./rate-limiter');
+const { SEVERITY_LEVELS } = require('./rule-engine');
+const {
+    getFlowName,
+    getFlowApiName,
+    asArray,
+    getElementObject
+} = require('./flow-elements');
+
+const API_VERSION = '64.0';
+const METADATA_READ_BATCH_SIZE = 10; // the most components readMetadata returns per call
+
+// Longest error condition formula handed to the AI, in characters
+const AI_FORMULA_LENGTH = 300;
+
+// ISBLANK(Field) and ISNULL(Field) on a field of the record itself, optionally inside NOT(...)
+const BLANK_CHECK_PATTERN = /(\bNOT\s*\(\s*)?\b(?:ISBLANK|ISNULL)\s*\(\s*([A-Za-z]\w*)\s*\)/gi;
+
+// A validation rule in the same shape for local and org sources
+function toValidationRule(object, metadata, source, filePath = null) {
+    const name = String(metadata.fullName || '').split('.').pop();
+    return {
+        object,
+        name,
+        fullName: `${object}.${name}`,
+        active: metadata.active === true || metadata.active === 'true',
+        description: metadata.description || null,
+        errorConditionFormula: metadata.errorConditionFormula || '',
+        errorDisplayField: metadata.errorDisplayField || null,
+        errorMessage: metadata.errorMessage || null,
+        source,
+        filePath
+    };
+}
+
+// Comments and text literals cannot hold field references
+function stripFormula(formula) {
+    return String(formula || '')
+        .replace(/\/\*[\s\S]*?\*\//g, ' ')
+        .replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g, '""');
+}
+
+// Fields a rule rejects when blank: the ones its formula checks with ISBLANK or ISNULL.
+// The rule is unconditional when nothing but OR and those checks remain, as in
+// OR(ISBLANK(A), ISBLANK(B)): every record without A or B fails. Any other logic (AND,
+// ISPICKVAL, NOT(ISBLANK(...)), ...) makes the fields required only in some cases.
+function getRequiredFields(formula) {
+    const fields = new Set();
+    const rest = stripFormula(formula).replace(BLANK_CHECK_PATTERN, (match, negated, field) => {
+        if (negated) return match;
+        fields.add(field);
+        return ' ';
+    });
+
+    return {
+        fields: [...fields],
+        conditional: /[^\s(),|]/.test(rest.replace(/\bOR\b/gi, ' '))
+    };
+}
+
+// An assigned value that leaves the field empty: no value at all, or only null and '' entries
+function isBlankValue(value) {
+    if (value === null || value === undefined || value === '') return true;
+    if (typeof value !== 'object') return false;
+    return Object.values(value).every(entry => entry === null || entry === undefined || entry === '');
+}
+
+// Fields a Create/Update Records element sets, keyed by lower-cased name (Salesforce field names
+// are case-insensitive) with true when the value is blank. Elements that save a record variable
+// get the fields assigned to that variable anywhere in the flow; `known` is false when the
+// variable's fields come from elsewhere ($Record, Get Records, an input or a collection).
+function getAssignedFields(metadata, element) {
+    const fields = new Map();
+    const add = (field, value) => fields.set(field.toLowerCase(), isBlankValue(value));
+
+    asArray(element.inputAssignments).forEach(assignment => {
+        if (assignment.field) add(assignment.field, assignment.value);
+    });
+
+    const reference = element.inputReference;
+    if (!reference) {
+        return { fields, known: true };
+    }
+
+    asArray(metadata.assignments).forEach(assignment => {
+        asArray(assignment.assignmentItems).forEach(item => {
+            const [variable, field, ...rest] = (item.assignToReference || '').split('.');
+            if (variable === reference && field && rest.length === 0 && item.operator === 'Assign') {
+                add(field, item.value);
+            }
+        });
+    });
+
+    const variable = asArray(metadata.variables).find(v => v.name === reference);
+    const filledElsewhere = asArray(metadata.recordLookups).some(lookup => lookup.outputReference === reference) ||
+        asArray(metadata.loops).some(loop => loop.assignNextValueToReference === reference);
+    const known = !!variable && !variable.isInput && !variable.isCollection && !filledElsewhere;
+    return { fields, known };
+}
+
+function describeRecordElements(flow) {
+    const metadata = flow.Metadata || {};
+    return ['recordCreates', 'recordUpdates'].flatMap(type =>
+        asArray(metadata[type]).map(element => ({
+            type,
+            element,
+            object: getElementObject(metadata, element)
+        }))
+    ).filter(({ object }) => object);
+}
+
+// Objects the flows create or update records on
+function getWrittenObjects(flowsData) {
+    const objects = new Set();
+    (flowsData.flows || []).forEach(flow => {
+        describeRecordElements(flow).forEach(({ object }) => objects.add(object));
+    });
+    return [...objects].sort();
+}
+
+function createFinding(type, severity, flow, recordElement, rule, fields, message) {
+    return {
+        type,
+        severity,
+        flowId: flow.Id,
+        flowName: getFlowName(flow),
+        flowApiName: getFlowApiName(flow),
+        elementName: recordElement.element.name || null,
+        elementType: recordElement.type,
+        object: recordElement.object,
+        rule: rule.name,
+        fields,
+        message
+    };
+}
+
+// Findings for one element against one rule of its object:
+//   BLANKS_REQUIRED_FIELD   - the element sets a required field to blank
+//   MISSING_REQUIRED_FIELD  - a created record leaves a required field out
+//   UNSET_REQUIRED_FIELD    - an update leaves it out, so records where it is blank still fail
+// Conditional rules only fail some records, so their findings are one level less severe.
+function checkElement(flow, recordElement, rule) {
+    const { fields: required, conditional } = rule.required;
+    const { fields: assigned, known } = getAssignedFields(flow.Metadata || {}, recordElement.element);
+    const findings = [];
+    const severity = level => SEVERITY_LEVELS[Math.max(0, SEVERITY_LEVELS.indexOf(level) - (conditional ? 1 : 0))];
+    const when = conditional ? ' when its other conditions are met' : '';
+    const action = recordElement.type === 'recordCreates' ? 'Creates' : 'Updates';
+
+    const blanked = required.filter(field => assigned.get(field.toLowerCase()) === true);
+    if (blanked.length > 0) {
+        findings.push(createFinding('BLANKS_REQUIRED_FIELD', severity('error'), flow, recordElement, rule, blanked,
+            `${action} ${recordElement.object} with ${blanked.join(', ')} set to blank, which validation rule ${rule.name} rejects${when}`));
+    }
+
+    const missing = required.filter(field => !assigned.has(field.toLowerCase()));
+    if (missing.length > 0 && known) {
+        if (recordElement.type === 'recordCreates') {
+            findings.push(createFinding('MISSING_REQUIRED_FIELD', severity('error'), flow, recordElement, rule, missing,
+                `Creates ${recordElement.object} without ${missing.join(', ')}, which validation rule ${rule.name} requires${when} (unless a default value or automation fills it)`));
+        } else {
+            findings.push(createFinding('UNSET_REQUIRED_FIELD', 'info', flow, recordElement, rule, missing,
+                `Updates ${recordElement.object} without setting ${missing.join(', ')}: records where ${missing.length === 1 ? 'it is' : 'one of them is'} blank fail validation rule ${rule.name}${when}`));
+        }
+    }
+
+    return findings;
+}
+
+// Validation rule findings of the flows. rules: every known validation rule (inactive ones
+// are listed but not checked); rules on objects the flows do not write to are left out.
+function buildValidationRuleReport(flowsData, rules) {
+    const flows = flowsData.flows || [];
+    const writtenObjects = new Set(getWrittenObjects(flowsData));
+    const relevantRules = (rules || [])
+        .filter(rule => writtenObjects.has(rule.object))
+        .map(rule => ({ ...rule, required: getRequiredFields(rule.errorConditionFormula) }));
+
+    const findings = [];
+    flows.forEach(flow => {
+        describeRecordElements(flow).forEach(recordElement => {
+            relevantRules
+                .filter(rule => rule.active && rule.object === recordElement.object && rule.required.fields.length > 0)
+                .forEach(rule => findings.push(...checkElement(flow, recordElement, rule)));
+        });
+    });
+
+    // Most severe findings first, then by flow name
+    findings.sort((a, b) =>
+        SEVERITY_LEVELS.indexOf(b.severity) - SEVERITY_LEVELS.indexOf(a.severity) ||
+        a.flowName.localeCompare(b.flowName)
+    );
+
+    const objects = [...writtenObjects].sort().map(object => ({
+        object,
+        writtenBy: flows.filter(flow => describeRecordElements(flow).some(recordElement => recordElement.object === object)).map(getFlowName),
+        rules: relevantRules.filter(rule => rule.object === object).map(rule => ({
+            name: rule.name,
+            active: rule.active,
+            requiredFields: rule.required.fields,
+            conditional: rule.required.conditional,
+            errorMessage: rule.errorMessage
+        }))
+    }));
+
+    const bySeverity = {};
+    findings.forEach(finding => {
+        bySeverity[finding.severity] = (bySeverity[finding.severity] || 0) + 1;
+    });
+
+    return {
+        metadata: {
+            generatedAt: new Date().toISOString(),
+            orgAlias: flowsData.metadata?.orgAlias,
+            totalFlows: flows.length
+        },
+        summary: {
+            objects: objects.length,
+            activeRules: relevantRules.filter(rule => rule.active).length,
+            totalFindings: findings.length,
+            flowsWithFindings: new Set(findings.map(finding => finding.flowId)).size,
+            bySeverity
+        },
+        objects,
+        findings
+    };
+}
+
+// Validation rule context for the AI prompt: the active rules on the objects these flows write
+// to (formulas shortened) and the findings of buildValidationRuleReport for these flows
+function createValidationRuleContext(flows, rules) {
+    const report = buildValidationRuleReport({ flows }, rules);
+    const activeRules = (rules || []).filter(rule => rule.active && report.objects.some(entry => entry.object === rule.object));
+
+    return {
+        rules: activeRules.map(rule => ({
+            object: rule.object,
+            name: rule.name,
+            errorConditionFormula: rule.errorConditionFormula.length > AI_FORMULA_LENGTH ?
+                rule.errorConditionFormula.substring(0, AI_FORMULA_LENGTH) + '...' :
+                rule.errorConditionFormula,
+            errorMessage: rule.errorMessage
+        })),
+        findings: report.findings.map(({ flowName, elementName, severity, message }) => ({ flowName, elementName, severity, message }))
+    };
+}
+
+// Validation rules of the given objects, read from the org: listed through the Metadata API,
+// then read in batches within the org's API limits (see rate-limiter.js)
+async function getValidationRules(connectionInfo, objects) {
+    if (objects.length === 0) return [];
+
+    const limiter = createRateLimiter();
+    const callMetadata = operation => limiter.run(() => withTokenRefresh(connectionInfo, () =>
+        operation(createConnection(connectionInfo, { version: API_VERSION }).metadata)
+    ));
+
+    const wanted = new Set(objects);
+    const listed = await callMetadata(metadata => metadata.list([{ type: 'ValidationRule' }], API_VERSION));
+    // jsforce answers a single component with a single object
+    const fullNames = [].concat(listed || [])
+        .map(component => component.fullName)
+        .filter(fullName => fullName && wanted.has(fullName.split('.')[0]));
+
+    console.error(`📏 Reading ${fullNames.length} validation rules on ${objects.length} objects`);
+
+    const batches = [];
+    for (let i = 0; i < fullNames.length; i += METADATA_READ_BATCH_SIZE) {
+        batches.push(fullNames.slice(i, i + METADATA_READ_BATCH_SIZE));
+    }
+    const results = await Promise.all(batches.map(batch => callMetadata(metadata => metadata.read('ValidationRule', batch))));
+
+    return results.flatMap(result => [].concat(result || []))
+        .filter(result => result && result.fullName)
+        .map(result => toValidationRule(result.fullName.split('.')[0], result, 'org'))
+        .sort((a, b) => a.fullName.localeCompare(b.fullName));
+}
+
+module.exports = {
+    toValidationRule,
+    getRequiredFields,
+    getWrittenObjects,
+    buildValidationRuleReport,
+    createValidationRuleContext,
+    getValidationRules
+};
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { measureFlow } = require('../src/flow-metrics');
+
+const connector = targetReference => ({ targetReference });
+
+// Decision whose two outcomes lead into the same part of the flow, listed in either order
+function decision(first, second) {
+    return { name: 'Route', rules: [{ name: 'Rule', connector: connector(first) }], defaultConnector: connector(second) };
+}
+
+function getMaxPathDepth(metadata) {
+    return measureFlow({ Id: 'flow', MasterLabel: 'Flow', Metadata: { start: { connector: connector('Route') }, ...metadata } }).maxPathDepth;
+}
+
+test('path depth is the same whichever branch enters a loop first', () => {
+    const metadata = first => ({
+        decisions: [first ? decision('Each_Record', 'Prepare') : decision('Prepare', 'Each_Record')],
+        loops: [{ name: 'Each_Record', nextValueConnector: connector('Set_Field'), noMoreValuesConnector: connector('Finish') }],
+        assignments: [
+            { name: 'Prepare', connector: connector('Each_Record') },
+            { name: 'Set_Field', connector: connector('Count') },
+            { name: 'Count', connector: connector('Each_Record') },
+            { name: 'Finish' }
+        ]
+    });
+
+    // Route, Prepare, Each_Record, Set_Field, Count
+    assert.strictEqual(getMaxPathDepth(metadata(true)), 5);
+    assert.strictEqual(getMaxPathDepth(metadata(false)), 5);
+});
+
+test('path depth is the same whichever branch enters a cycle of other elements first', () => {
+    const metadata = first => ({
+        decisions: [first ? decision('Check', 'Retry') : decision('Retry', 'Check')],
+        assignments: [
+            { name: 'Check', connector: connector('Retry') },
+            { name: 'Retry', connector: connector('Check'), faultConnector: connector('Finish') },
+            { name: 'Finish' }
+        ]
+    });
+
+    // Route, the Check/Retry cycle, Finish
+    assert.strictEqual(getMaxPathDepth(metadata(true)), 4);
+    assert.strictEqual(getMaxPathDepth(metadata(false)), 4);
+});